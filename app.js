@@ -2,21 +2,149 @@ import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { STLLoader } from "three/addons/loaders/STLLoader.js";
 import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { OBJExporter } from "three/addons/exporters/OBJExporter.js";
+import { PLYExporter } from "three/addons/exporters/PLYExporter.js";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
 import { OBJLoader } from "three/addons/loaders/OBJLoader.js";
 import { PLYLoader } from "three/addons/loaders/PLYLoader.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { ThreeMFLoader } from "three/addons/loaders/3MFLoader.js";
+import { mergeVertices } from "three/addons/utils/BufferGeometryUtils.js";
+import { export3mf } from "./mesh-export.js";
+import {
+  analyzeMesh,
+  analyzeOverhangs,
+  getDefaultTolerance,
+  measureMesh,
+  weldVertices,
+} from "./mesh-analysis.js";
+import { describeRepair, repairMesh } from "./mesh-repair.js";
+import { arrangeParts } from "./plate-arrange.js";
+import { SECTION_AXES, sliceMesh } from "./mesh-section.js";
+import { writeSectionDxf, writeSectionSvg } from "./section-format.js";
+import {
+  cancelScadCompile,
+  compileScad,
+  getScadDiagnostics,
+  getScadErrorMessage,
+  getScadTimeout,
+  setScadTimeout,
+} from "./scad-engine.js";
+import { renderScadDiagnostics } from "./scad-diagnostics.js";
+import { createScadProject, getScadProjectFile, readScadZip } from "./scad-project.js";
+import { createCodeEditor, setEditorMarkers, setEditorValue } from "./code-editor.js";
+import {
+  applyScadParameters,
+  createParameterSet,
+  parseParameterSetFile,
+  parseScadParameters,
+  readParameterSet,
+  writeParameterSetFile,
+} from "./scad-customizer.js";
+import { registerOfflineCache } from "./offline.js";
+import { STREAMING_STL_BYTES, parseStlFile } from "./stl-stream.js";
+import { simplifyInWorker } from "./simplify-engine.js";
 
 const fileInput = document.getElementById("file-input");
 const dropZone = document.getElementById("drop-zone");
+const folderInput = document.getElementById("folder-input");
+const projectPanel = document.getElementById("scad-project");
+const projectSummary = document.getElementById("project-summary");
+const projectEntry = document.getElementById("project-entry");
+const compileProjectButton = document.getElementById("compile-project");
+const closeProjectButton = document.getElementById("close-project");
 const stlText = document.getElementById("stl-text");
 const loadTextButton = document.getElementById("load-text");
+const livePreview = document.getElementById("live-preview");
+const scadTimeout = document.getElementById("scad-timeout");
+const scadDiagnostics = document.getElementById("scad-diagnostics");
+const cancelCompileButton = document.getElementById("cancel-compile");
+const customizerPanel = document.getElementById("customizer");
+const customizerForm = document.getElementById("customizer-form");
+const parameterSetSelect = document.getElementById("parameter-set");
+const parameterSetName = document.getElementById("parameter-set-name");
+const saveParameterSetButton = document.getElementById("save-parameter-set");
+const deleteParameterSetButton = document.getElementById("delete-parameter-set");
+const importParameterSetsInput = document.getElementById("import-parameter-sets");
+const exportParameterSetsButton = document.getElementById("export-parameter-sets");
 const autoFit = document.getElementById("auto-fit");
 const autoRotate = document.getElementById("auto-rotate");
 const binaryExport = document.getElementById("binary-export");
+const exportFormat = document.getElementById("export-format");
+const exportScope = document.getElementById("export-scope");
 const downloadButton = document.getElementById("download");
 const resetViewButton = document.getElementById("reset-view");
+const objectList = document.getElementById("object-list");
+const clearWorkspaceButton = document.getElementById("clear-workspace");
 const stats = document.getElementById("stats");
+const measurements = document.getElementById("measurements");
+const measureVolume = document.getElementById("measure-volume");
+const measureArea = document.getElementById("measure-area");
+const measureCenter = document.getElementById("measure-center");
+const measureMass = document.getElementById("measure-mass");
+const measureCost = document.getElementById("measure-cost");
+const materialPreset = document.getElementById("material-preset");
+const materialDensity = document.getElementById("material-density");
+const materialPrice = document.getElementById("material-price");
+const analysisPanel = document.getElementById("analysis");
+const analysisSummary = document.getElementById("analysis-summary");
+const analysisList = document.getElementById("analysis-list");
+const showIssues = document.getElementById("show-issues");
+const repairTolerance = document.getElementById("repair-tolerance");
+const repairHoleSize = document.getElementById("repair-hole-size");
+const repairMeshButton = document.getElementById("repair-mesh");
+const repairReport = document.getElementById("repair-report");
+const transformControls = document.getElementById("transform-controls");
+const scalePercent = document.getElementById("scale-percent");
+const applyScaleButton = document.getElementById("apply-scale");
+const sizeAxis = document.getElementById("size-axis");
+const sizeTarget = document.getElementById("size-target");
+const applySizeButton = document.getElementById("apply-size");
+const rotateButtons = document.querySelectorAll("[data-rotate]");
+const rotateAxis = document.getElementById("rotate-axis");
+const rotateAngle = document.getElementById("rotate-angle");
+const applyRotateButton = document.getElementById("apply-rotate");
+const mirrorButtons = document.querySelectorAll("[data-mirror]");
+const layFlatButton = document.getElementById("lay-flat");
+const dropButton = document.getElementById("drop-to-floor");
+const centerButton = document.getElementById("center-origin");
+const undoButton = document.getElementById("undo-transform");
+const redoButton = document.getElementById("redo-transform");
+const resetTransformButton = document.getElementById("reset-transform");
+const printerProfile = document.getElementById("printer-profile");
+const customVolume = document.getElementById("custom-volume");
+const customWidth = document.getElementById("custom-width");
+const customDepth = document.getElementById("custom-depth");
+const customHeight = document.getElementById("custom-height");
+const arrangeSpacing = document.getElementById("arrange-spacing");
+const arrangeRotate = document.getElementById("arrange-rotate");
+const arrangeButton = document.getElementById("arrange-parts");
+const plateWarning = document.getElementById("plate-warning");
+const plateWarningText = document.getElementById("plate-warning-text");
+const liveError = document.getElementById("live-error");
+const liveErrorText = document.getElementById("live-error-text");
+const scaleToPlateButton = document.getElementById("scale-to-plate");
+const viewMode = document.getElementById("view-mode");
+const overhangSettings = document.getElementById("overhang-settings");
+const overhangThreshold = document.getElementById("overhang-threshold");
+const overhangReport = document.getElementById("overhang-report");
+const sectionEnabled = document.getElementById("section-enabled");
+const sectionSettings = document.getElementById("section-settings");
+const sectionAxis = document.getElementById("section-axis");
+const sectionOffset = document.getElementById("section-offset");
+const sectionValue = document.getElementById("section-value");
+const sectionReport = document.getElementById("section-report");
+const sectionSvgButton = document.getElementById("section-svg");
+const sectionDxfButton = document.getElementById("section-dxf");
+const simplifyEnabled = document.getElementById("simplify-enabled");
+const simplifySettings = document.getElementById("simplify-settings");
+const simplifyMode = document.getElementById("simplify-mode");
+const simplifyTarget = document.getElementById("simplify-target");
+const simplifyTargetLabel = document.getElementById("simplify-target-label");
+const simplifyBoundary = document.getElementById("simplify-boundary");
+const simplifyApplyButton = document.getElementById("simplify-apply");
+const simplifyReport = document.getElementById("simplify-report");
+const orbitLod = document.getElementById("orbit-lod");
 const status = document.getElementById("status");
 const viewer = document.getElementById("viewer");
 const placeholder = document.getElementById("viewer-placeholder");
@@ -27,11 +155,20 @@ const repairConfirm = document.getElementById("repair-confirm");
 const repairCancel = document.getElementById("repair-cancel");
 
 const GENERATED_CODE_KEY = "stlStudio.generatedCode";
+const PRINTER_PROFILE_KEY = "stlStudio.printerProfile";
+const PARAMETER_SETS_KEY = "stlStudio.parameterSets";
+const CUSTOMIZER_DELAY = 400;
+const LIVE_PREVIEW_DELAY = 700;
+const SIMPLIFY_DELAY = 400;
+const LOD_MIN_TRIANGLES = 500000;
+const LOD_TRIANGLES = 200000;
+const LOD_RESTORE_DELAY = 300;
 
 const scene = new THREE.Scene();
 const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.setClearColor(0x000000, 0);
+renderer.localClippingEnabled = true;
 viewer.appendChild(renderer.domElement);
 
 const camera = new THREE.PerspectiveCamera(45, 1, 0.01, 1000);
@@ -46,11 +183,24 @@ keyLight.position.set(5, 8, 6);
 scene.add(keyLight);
 scene.add(new THREE.AmbientLight(0xffffff, 0.6));
 
+const buildSpace = new THREE.Group();
+buildSpace.rotation.x = -Math.PI / 2;
+scene.add(buildSpace);
+
 const modelGroup = new THREE.Group();
-scene.add(modelGroup);
+buildSpace.add(modelGroup);
+
+let plateGroup = null;
+let plateWarningEntry = null;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
 
 const stlLoader = new STLLoader();
 const stlExporter = new STLExporter();
+const objExporter = new OBJExporter();
+const plyExporter = new PLYExporter();
+const gltfExporter = new GLTFExporter();
 const objLoader = new OBJLoader();
 const plyLoader = new PLYLoader();
 const gltfLoader = new GLTFLoader();
@@ -69,12 +219,117 @@ const FORMAT_LABELS = {
   scad: "SCAD",
 };
 
+const EXPORT_FORMATS = {
+  stl: { label: "STL", extension: "stl" },
+  "3mf": { label: "3MF", extension: "3mf", type: "model/3mf" },
+  obj: { label: "OBJ", extension: "obj", type: "text/plain" },
+  "ply-ascii": { label: "PLY", extension: "ply", type: "text/plain" },
+  "ply-binary": { label: "PLY", extension: "ply", type: "application/octet-stream" },
+  glb: { label: "GLB", extension: "glb", type: "model/gltf-binary" },
+};
+
+const PRINTER_PROFILES = {
+  "prusa-mk4": { label: "Prusa MK4", width: 250, depth: 210, height: 220 },
+  "bambu-x1": { label: "Bambu Lab X1", width: 256, depth: 256, height: 256 },
+  "ender-3": { label: "Creality Ender 3", width: 220, depth: 220, height: 250 },
+};
+
+const MATERIAL_PRESETS = {
+  pla: { label: "PLA", density: 1.24, pricePerKg: 20 },
+  petg: { label: "PETG", density: 1.27, pricePerKg: 22 },
+  abs: { label: "ABS", density: 1.04, pricePerKg: 21 },
+  resin: { label: "Resin", density: 1.12, pricePerKg: 35 },
+};
+
+const OVERHANG_VERTEX_SHADER = `
+#include <clipping_planes_pars_vertex>
+uniform mat4 uModelMatrix;
+varying vec3 vModelPosition;
+varying vec3 vViewPosition;
+
+void main() {
+  vModelPosition = (uModelMatrix * vec4(position, 1.0)).xyz;
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vViewPosition = -mvPosition.xyz;
+  gl_Position = projectionMatrix * mvPosition;
+  #include <clipping_planes_vertex>
+}
+`;
+
+const OVERHANG_FRAGMENT_SHADER = `
+uniform float uThreshold;
+uniform float uFloorZ;
+uniform float uFloorTolerance;
+#include <clipping_planes_pars_fragment>
+varying vec3 vModelPosition;
+varying vec3 vViewPosition;
+
+void main() {
+  #include <clipping_planes_fragment>
+  vec3 modelNormal = normalize(cross(dFdx(vModelPosition), dFdy(vModelPosition)));
+  vec3 viewNormal = normalize(cross(dFdx(vViewPosition), dFdy(vViewPosition)));
+  if (!gl_FrontFacing) {
+    modelNormal = -modelNormal;
+  }
+  float overhang = asin(clamp(-modelNormal.z, -1.0, 1.0));
+  vec3 color = vec3(0.62, 0.68, 0.78);
+  if (vModelPosition.z > uFloorZ + uFloorTolerance && overhang > uThreshold) {
+    float severity = clamp((overhang - uThreshold) / max(1.5708 - uThreshold, 0.001), 0.0, 1.0);
+    color = mix(vec3(1.0, 0.78, 0.25), vec3(1.0, 0.25, 0.2), severity);
+  }
+  float light = 0.45 + 0.55 * max(dot(viewNormal, normalize(vec3(0.4, 0.6, 0.8))), 0.0);
+  gl_FragColor = vec4(color * light, 1.0);
+}
+`;
+
+const ISSUE_COLORS = {
+  boundary: 0xff4d4d,
+  nonManifold: 0xd86bff,
+  winding: 0xffd84d,
+  degenerate: 0x4dd8ff,
+  duplicate: 0x7dff8a,
+};
+
+const MAX_HISTORY = 100;
+const MAX_ANALYSIS_TRIANGLES = 2000000;
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+const workspace = [];
+let nextEntryId = 1;
+let selectedEntry = null;
+let selectionBox = null;
 let currentObject = null;
-let currentName = "model.stl";
-let currentSize = null;
+let partGroup = null;
+let isPickingFace = false;
+let pointerStart = null;
+const undoStack = [];
+const redoStack = [];
+let analysisOverlay = null;
+let currentMeasurement = null;
+let overhangOverlay = null;
+let overhangFloorZ = 0;
+const modelSpaceInverse = new THREE.Matrix4();
+const sectionModelPlane = new THREE.Plane();
+const sectionWorldPlane = new THREE.Plane();
+const sectionPlanes = [];
+let sectionOverlay = null;
+let sectionMesh = null;
+let currentSection = null;
 let pendingRepairText = null;
-let scadCompilerPromise = null;
-const scadErrors = [];
+let customizer = null;
+let customizerTimer = null;
+let livePreviewTimer = null;
+let scadProject = null;
+let simplifyPreview = null;
+let simplifyRequest = null;
+let simplifyTimer = null;
+let lodTimer = null;
+let isLodActive = false;
+const replaceableLoadIds = { text: 0, project: 0 };
 
 function triggerErrorFlash() {
   if (!errorFlash) {
@@ -93,23 +348,6 @@ function setStatus(message, isError = false) {
   }
 }
 
-function recordScadError(message) {
-  if (message === undefined || message === null) {
-    return;
-  }
-  scadErrors.push(String(message));
-}
-
-function getScadErrorMessage() {
-  if (!scadErrors.length) {
-    return null;
-  }
-  const normalized = scadErrors.map((line) => line.replace(/\s+/g, " ").trim());
-  const errorLine = [...normalized].reverse().find((line) => /error/i.test(line));
-  const warningLine = [...normalized].reverse().find((line) => /warning/i.test(line));
-  return errorLine || warningLine || null;
-}
-
 function showRepairPrompt(message, originalText) {
   if (!repairModal || typeof originalText !== "string") {
     return;
@@ -149,14 +387,6 @@ function repairStlText(input) {
   return text;
 }
 
-function normalizeScadText(input) {
-  return input
-    .replace(/^\uFEFF/, "")
-    .replace(/\r\n?/g, "\n")
-    .replace(/\u00A0/g, " ")
-    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
-}
-
 function resetTransforms() {
   modelGroup.position.set(0, 0, 0);
   modelGroup.rotation.set(0, 0, 0);
@@ -181,25 +411,193 @@ function disposeObject(object) {
   });
 }
 
-function clearModel(message, isError = false) {
-  if (currentObject) {
-    modelGroup.remove(currentObject);
-    disposeObject(currentObject);
+function getBaseName(name) {
+  return name.replace(/\.[^/.]+$/, "") || "model";
+}
+
+function createEntry(object, name, size, source) {
+  const group = new THREE.Group();
+  group.add(object);
+  modelGroup.add(group);
+  const entry = {
+    id: nextEntryId,
+    name: name || "model.stl",
+    size: size ?? null,
+    source,
+    object,
+    group,
+    analysis: null,
+  };
+  nextEntryId += 1;
+  workspace.push(entry);
+  buildEntryLod(entry);
+  return entry;
+}
+
+function replaceEntryObject(entry, object) {
+  if (entry === selectedEntry) {
+    clearSimplifyPreview();
+  }
+  clearEntryLod(entry);
+  entry.group.remove(entry.object);
+  disposeObject(entry.object);
+  entry.object = object;
+  entry.analysis = null;
+  entry.group.add(object);
+  buildEntryLod(entry);
+}
+
+function updateSelectionBox() {
+  if (selectionBox) {
+    modelGroup.remove(selectionBox);
+    selectionBox.geometry.dispose();
+    selectionBox.material.dispose();
+    selectionBox = null;
+  }
+  if (!selectedEntry || workspace.length < 2 || !selectedEntry.group.visible) {
+    return;
+  }
+  selectionBox = new THREE.Box3Helper(computeObjectStats(selectedEntry.object).bounds, 0x36c9c6);
+  modelGroup.add(selectionBox);
+}
+
+function selectEntry(entry) {
+  clearAnalysis();
+  setPickingFace(false);
+  if (entry !== selectedEntry || (!simplifyPreview && !simplifyRequest)) {
+    clearSimplifyPreview();
+    if (entry && simplifyEnabled?.checked) {
+      scheduleSimplifyPreview();
+    }
+  }
+  selectedEntry = entry;
+  currentObject = entry ? entry.object : null;
+  partGroup = entry ? entry.group : null;
+
+  if (entry) {
+    updateStats(entry.object);
+    showAnalysis(entry.analysis);
+  } else {
+    stats.textContent = "No model loaded.";
+    currentMeasurement = null;
+    if (measurements) {
+      measurements.hidden = true;
+    }
+    clearOverhangs();
+    checkBuildVolume();
+  }
+  updateSelectionBox();
+  renderObjectList();
+  updateTransformControls();
+}
+
+function setEntryVisible(entry, visible) {
+  entry.group.visible = visible;
+  updateSelectionBox();
+  checkBuildVolume();
+  invalidateSection();
+}
+
+function createObjectRow(entry) {
+  const item = document.createElement("li");
+  item.className = "object-item";
+  item.classList.toggle("is-selected", entry === selectedEntry);
+
+  const visibility = document.createElement("input");
+  visibility.type = "checkbox";
+  visibility.checked = entry.group.visible;
+  visibility.title = "Show in preview";
+  visibility.addEventListener("change", () => setEntryVisible(entry, visibility.checked));
+
+  const name = document.createElement("button");
+  name.type = "button";
+  name.className = "object-name";
+  name.textContent = entry.name;
+  name.addEventListener("click", () => selectEntry(entry));
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "object-remove";
+  remove.textContent = "Delete";
+  remove.setAttribute("aria-label", `Delete ${entry.name}`);
+  remove.addEventListener("click", () => removeEntry(entry));
+
+  item.append(visibility, name, remove);
+  return item;
+}
+
+function renderObjectList() {
+  if (!objectList) {
+    return;
+  }
+  objectList.replaceChildren(...workspace.map(createObjectRow));
+  clearWorkspaceButton.disabled = !workspace.length;
+}
+
+function updateWorkspaceState() {
+  placeholder.style.display = workspace.length ? "none" : "grid";
+  downloadButton.disabled = !workspace.length;
+  if (arrangeButton) {
+    arrangeButton.disabled = !workspace.length || !getPrinterVolume();
+  }
+  renderObjectList();
+  updateSelectionBox();
+  checkBuildVolume();
+  updateTransformControls();
+  invalidateSection();
+}
+
+function purgeHistory(entry) {
+  [undoStack, redoStack].forEach((stack) => {
+    const kept = stack
+      .map((step) => step.filter((snapshot) => snapshot.entry !== entry))
+      .filter((step) => step.length);
+    stack.splice(0, stack.length, ...kept);
+  });
+}
+
+function removeEntry(entry) {
+  const index = workspace.indexOf(entry);
+  if (index === -1) {
+    return;
+  }
+  if (entry === selectedEntry) {
+    selectEntry(null);
   }
+  workspace.splice(index, 1);
+  clearEntryLod(entry);
+  modelGroup.remove(entry.group);
+  disposeObject(entry.group);
+  purgeHistory(entry);
+  if (!selectedEntry && workspace.length) {
+    selectEntry(workspace[workspace.length - 1]);
+  }
+  updateWorkspaceState();
+  setStatus(`Removed ${entry.name}.`);
+}
 
-  currentObject = null;
-  currentName = "model.stl";
-  currentSize = null;
-  placeholder.style.display = "grid";
-  stats.textContent = "No model loaded.";
-  downloadButton.disabled = true;
+function clearWorkspace(message) {
+  selectEntry(null);
+  workspace.forEach((entry) => {
+    clearEntryLod(entry);
+    modelGroup.remove(entry.group);
+    disposeObject(entry.group);
+  });
+  workspace.length = 0;
+  undoStack.length = 0;
+  redoStack.length = 0;
+  updateWorkspaceState();
   resetTransforms();
 
   if (message) {
-    setStatus(message, isError);
+    setStatus(message);
   }
 }
 
+function showLoadError(message) {
+  setStatus(message, true);
+}
+
 function formatBytes(bytes) {
   if (bytes === null || bytes === undefined) {
     return "size unknown";
@@ -214,27 +612,39 @@ function formatBytes(bytes) {
   return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unitIndex]}`;
 }
 
-function computeObjectStats(object) {
+function getFrameMatrix(object, frame) {
+  let node = object.parent;
+  while (node && node !== frame) {
+    node = node.parent;
+  }
+  if (!node) {
+    return new THREE.Matrix4();
+  }
+  frame.updateWorldMatrix(true, false);
+  return frame.matrixWorld.clone().invert();
+}
+
+function computeObjectStats(object, frame = modelGroup) {
   const bounds = new THREE.Box3();
   bounds.makeEmpty();
   let triangles = 0;
 
   object.updateWorldMatrix(true, true);
+  const toFrame = getFrameMatrix(object, frame);
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
   object.traverse((child) => {
     if (!child.isMesh || !child.geometry) {
       return;
     }
     const position = child.geometry.getAttribute("position");
-    if (position) {
-      triangles += position.count / 3;
-    }
-    if (!child.geometry.boundingBox) {
-      child.geometry.computeBoundingBox();
+    if (!position) {
+      return;
     }
-    if (child.geometry.boundingBox) {
-      const childBox = child.geometry.boundingBox.clone();
-      childBox.applyMatrix4(child.matrixWorld);
-      bounds.union(childBox);
+    triangles += (child.geometry.index ? child.geometry.index.count : position.count) / 3;
+    matrix.multiplyMatrices(toFrame, child.matrixWorld);
+    for (let i = 0; i < position.count; i += 1) {
+      bounds.expandByPoint(vertex.fromBufferAttribute(position, i).applyMatrix4(matrix));
     }
   });
 
@@ -244,25 +654,302 @@ function computeObjectStats(object) {
 
 function updateStats(object) {
   const { size, triangles } = computeObjectStats(object);
-  stats.textContent = `${currentName} | ${triangles.toLocaleString()} triangles | ${formatBytes(
-    currentSize
+  stats.textContent = `${selectedEntry.name} | ${triangles.toLocaleString()} triangles | ${formatBytes(
+    selectedEntry.size
   )} | ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(2)}`;
+  updateMeasurements(object);
+  checkBuildVolume();
+  updateOverhangs();
 }
 
-function fitModel() {
-  if (!currentObject) {
+function clearOverhangs() {
+  if (overhangOverlay) {
+    modelGroup.remove(overhangOverlay);
+    overhangOverlay.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    overhangOverlay = null;
+  }
+  if (overhangReport) {
+    overhangReport.textContent = "";
+  }
+}
+
+function buildIslandOverlay(report) {
+  const overlay = new THREE.Group();
+  overlay.name = "overhang-islands";
+  if (!report.islands.length) {
+    return overlay;
+  }
+  const faces = report.islands.flatMap((island) => island.faces);
+  if (faces.length) {
+    overlay.add(createFaceHighlight(report.vertices, report.indices, faces, 0xd86bff));
+  }
+  const points = new THREE.BufferGeometry();
+  points.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(report.islands.flatMap((island) => island.point), 3)
+  );
+  const markers = new THREE.Points(
+    points,
+    new THREE.PointsMaterial({
+      color: 0xd86bff,
+      size: 10,
+      sizeAttenuation: false,
+      depthTest: false,
+      transparent: true,
+    })
+  );
+  markers.renderOrder = 11;
+  overlay.add(markers);
+  return overlay;
+}
+
+function updateOverhangs() {
+  clearOverhangs();
+  if (!currentObject || viewMode?.value !== "overhang") {
+    return;
+  }
+  const thresholdDegrees = getOverhangThreshold();
+  const report = analyzeOverhangs(collectTriangles(currentObject), { thresholdDegrees });
+  overhangFloorZ = report.floorZ;
+  overhangOverlay = buildIslandOverlay(report);
+  modelGroup.add(overhangOverlay);
+
+  const islands = report.islands.length;
+  overhangReport.textContent = `Overhangs past ${thresholdDegrees}°: ${(
+    report.overhangArea / 100
+  ).toFixed(2)} cm² across ${report.overhangFaces.toLocaleString()} faces | ${
+    islands ? `${islands} mid-air island${islands === 1 ? "" : "s"}` : "No mid-air islands"
+  }`;
+  overhangReport.classList.toggle("error", report.overhangFaces > 0 || islands > 0);
+}
+
+function setViewMode() {
+  overhangSettings.hidden = viewMode.value !== "overhang";
+  workspace.forEach((entry) => {
+    applyPreviewMaterial(entry.object);
+    if (entry.lod) {
+      applyPreviewMaterial(entry.lod);
+    }
+  });
+  if (simplifyPreview) {
+    applyPreviewMaterial(simplifyPreview.mesh);
+  }
+  updateOverhangs();
+}
+
+function clearSection() {
+  if (sectionOverlay) {
+    modelGroup.remove(sectionOverlay);
+    sectionOverlay.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    sectionOverlay = null;
+  }
+  sectionPlanes.length = 0;
+  currentSection = null;
+  if (sectionReport) {
+    sectionReport.textContent = "";
+    sectionSvgButton.disabled = true;
+    sectionDxfButton.disabled = true;
+  }
+}
+
+function getSectionMesh() {
+  if (!sectionMesh) {
+    const soups = getVisibleEntries().map((entry) => collectTriangles(entry.object));
+    const positions = new Float32Array(soups.reduce((total, soup) => total + soup.length, 0));
+    let offset = 0;
+    soups.forEach((soup) => {
+      positions.set(soup, offset);
+      offset += soup.length;
+    });
+    sectionMesh = weldVertices(positions, getDefaultTolerance(positions));
+  }
+  return sectionMesh;
+}
+
+function buildSectionOverlay(section) {
+  const { normal, u, v } = SECTION_AXES[section.axis];
+  const toModel = (x, y) => {
+    const point = new THREE.Vector3();
+    point.setComponent(normal, section.offset);
+    point.setComponent(u, x);
+    point.setComponent(v, y);
+    return point;
+  };
+  const toVectors = (points) => {
+    const vectors = [];
+    for (let i = 0; i < points.length; i += 2) {
+      vectors.push(new THREE.Vector2(points[i], points[i + 1]));
+    }
+    return vectors;
+  };
+
+  const capPoints = [];
+  section.regions.forEach((region) => {
+    const contour = toVectors(region.outer);
+    const holes = region.holes.map(toVectors);
+    const corners = contour.concat(...holes);
+    THREE.ShapeUtils.triangulateShape(contour, holes).forEach((triangle) => {
+      triangle.forEach((index) => {
+        capPoints.push(...toModel(corners[index].x, corners[index].y).toArray());
+      });
+    });
+  });
+  const linePoints = [];
+  section.loops.forEach(({ points, closed }) => {
+    const count = points.length / 2;
+    const segments = closed ? count : count - 1;
+    for (let i = 0; i < segments; i += 1) {
+      const j = (i + 1) % count;
+      linePoints.push(
+        ...toModel(points[i * 2], points[i * 2 + 1]).toArray(),
+        ...toModel(points[j * 2], points[j * 2 + 1]).toArray()
+      );
+    }
+  });
+
+  const overlay = new THREE.Group();
+  overlay.name = "section-overlay";
+  const capGeometry = new THREE.BufferGeometry();
+  capGeometry.setAttribute("position", new THREE.Float32BufferAttribute(capPoints, 3));
+  overlay.add(
+    new THREE.Mesh(
+      capGeometry,
+      new THREE.MeshBasicMaterial({
+        color: 0x36c9c6,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.85,
+      })
+    )
+  );
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute("position", new THREE.Float32BufferAttribute(linePoints, 3));
+  const lines = new THREE.LineSegments(
+    lineGeometry,
+    new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true })
+  );
+  lines.renderOrder = 10;
+  overlay.add(lines);
+  return overlay;
+}
+
+function updateSection() {
+  clearSection();
+  if (!sectionEnabled?.checked || !getVisibleEntries().length) {
+    return;
+  }
+  const axis = sectionAxis.value;
+  const { normal } = SECTION_AXES[axis];
+  const bounds = computeWorkspaceBounds();
+  const min = bounds.min.getComponent(normal);
+  const max = bounds.max.getComponent(normal);
+  const offset = min + (max - min) * (Number(sectionOffset.value) / 1000);
+
+  currentSection = sliceMesh(getSectionMesh(), axis, offset);
+  sectionOverlay = buildSectionOverlay(currentSection);
+  modelGroup.add(sectionOverlay);
+  sectionModelPlane.normal.set(0, 0, 0).setComponent(normal, -1);
+  sectionModelPlane.constant = offset;
+  sectionPlanes.push(sectionWorldPlane);
+
+  const { loops, area } = currentSection;
+  const open = loops.filter((loop) => !loop.closed).length;
+  sectionValue.textContent = `${axis.toUpperCase()} = ${offset.toFixed(2)} mm`;
+  sectionReport.textContent = loops.length
+    ? `${loops.length} outline${loops.length === 1 ? "" : "s"} | ${(area / 100).toFixed(2)} cm²${
+        open ? ` | ${open} open` : ""
+      }`
+    : "The plane does not cut the model.";
+  sectionSvgButton.disabled = !loops.length;
+  sectionDxfButton.disabled = !loops.length;
+}
+
+function invalidateSection() {
+  sectionMesh = null;
+  updateSection();
+}
+
+function downloadSection(format) {
+  if (!currentSection || !currentSection.loops.length) {
+    return;
+  }
+  const baseName =
+    selectedEntry && workspace.length === 1 ? getBaseName(selectedEntry.name) : "workspace";
+  const name = `${baseName}-section-${currentSection.axis}${currentSection.offset.toFixed(2)}`;
+  const blob =
+    format === "svg"
+      ? new Blob([writeSectionSvg(currentSection, name)], { type: "image/svg+xml" })
+      : new Blob([writeSectionDxf(currentSection)], { type: "application/dxf" });
+  saveBlob(blob, `${name}.${format}`);
+  setStatus(`Section exported as ${format.toUpperCase()}.`);
+}
+
+function updateMaterialEstimate() {
+  if (!measurements || !currentMeasurement) {
+    return;
+  }
+  const density = Number(materialDensity.value);
+  const pricePerKg = Number(materialPrice.value);
+  const grams = (currentMeasurement.volume / 1000) * (density > 0 ? density : 0);
+  measureMass.textContent = `${grams.toFixed(1)} g`;
+  measureCost.textContent =
+    pricePerKg >= 0 ? `$${((grams / 1000) * pricePerKg).toFixed(2)}` : "-";
+}
+
+function updateMeasurements(object) {
+  if (!measurements) {
+    return;
+  }
+  currentMeasurement = measureMesh(collectTriangles(object));
+  const { volume, area, centerOfMass } = currentMeasurement;
+  measureVolume.textContent = `${(volume / 1000).toFixed(2)} cm³`;
+  measureArea.textContent = `${(area / 100).toFixed(2)} cm²`;
+  measureCenter.textContent = centerOfMass
+    ? centerOfMass.map((value) => value.toFixed(2)).join(", ")
+    : "-";
+  updateMaterialEstimate();
+  measurements.hidden = false;
+}
+
+function applyMaterialPreset() {
+  const preset = MATERIAL_PRESETS[materialPreset.value];
+  if (!preset) {
     return;
   }
-  const { bounds, size } = computeObjectStats(currentObject);
+  materialDensity.value = preset.density;
+  materialPrice.value = preset.pricePerKg;
+  updateMaterialEstimate();
+}
+
+function getVisibleEntries() {
+  return workspace.filter((entry) => entry.group.visible);
+}
+
+function computeWorkspaceBounds(entries = getVisibleEntries()) {
+  const bounds = new THREE.Box3();
+  entries.forEach((entry) => {
+    bounds.union(computeObjectStats(entry.object).bounds);
+  });
+  return bounds;
+}
+
+function fitModel() {
+  const bounds = computeWorkspaceBounds();
   if (bounds.isEmpty()) {
     return;
   }
+  const size = bounds.getSize(new THREE.Vector3());
   const center = bounds.getCenter(new THREE.Vector3());
-  modelGroup.position.sub(center);
   const maxDim = Math.max(size.x, size.y, size.z);
-  if (maxDim > 0) {
-    modelGroup.scale.setScalar(1 / maxDim);
-  }
+  const scale = maxDim > 0 ? 1 / maxDim : 1;
+  modelGroup.scale.setScalar(scale);
+  modelGroup.position.copy(center).multiplyScalar(-scale);
 }
 
 function frameCamera(target) {
@@ -276,27 +963,352 @@ function frameCamera(target) {
   camera.near = Math.max(maxDim / 100, 0.01);
   camera.far = Math.max(maxDim * 100, 10);
   camera.updateProjectionMatrix();
+  controls.maxDistance = Math.max(maxDim * 20, 200);
 
   controls.target.copy(center);
   controls.update();
 }
 
+function frameScene() {
+  frameCamera(plateGroup ? buildSpace : modelGroup);
+}
+
 function resetView() {
-  if (!currentObject) {
+  if (!workspace.length) {
     return;
   }
   resetTransforms();
-  if (autoFit.checked) {
+  if (autoFit.checked && !plateGroup) {
     fitModel();
   }
-  frameCamera(modelGroup);
+  frameScene();
+}
+
+function getPrinterVolume() {
+  const choice = printerProfile?.value;
+  if (!choice || choice === "none") {
+    return null;
+  }
+  if (choice === "custom") {
+    const width = Number(customWidth.value);
+    const depth = Number(customDepth.value);
+    const height = Number(customHeight.value);
+    if (![width, depth, height].every((value) => Number.isFinite(value) && value > 0)) {
+      return null;
+    }
+    return { label: "Custom printer", width, depth, height };
+  }
+  return PRINTER_PROFILES[choice] || null;
+}
+
+function createGridLines(width, depth, spacing, color, opacity) {
+  const points = [];
+  const halfWidth = width / 2;
+  const halfDepth = depth / 2;
+  for (let x = 0; x <= halfWidth; x += spacing) {
+    points.push(x, -halfDepth, 0, x, halfDepth, 0);
+    if (x > 0) {
+      points.push(-x, -halfDepth, 0, -x, halfDepth, 0);
+    }
+  }
+  for (let y = 0; y <= halfDepth; y += spacing) {
+    points.push(-halfWidth, y, 0, halfWidth, y, 0);
+    if (y > 0) {
+      points.push(-halfWidth, -y, 0, halfWidth, -y, 0);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(points, 3));
+  return new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({ color, transparent: true, opacity })
+  );
+}
+
+function createBuildPlate(volume) {
+  const { width, depth, height } = volume;
+  const group = new THREE.Group();
+  group.name = "build-plate";
+
+  const surface = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, depth),
+    new THREE.MeshBasicMaterial({
+      color: 0x36c9c6,
+      transparent: true,
+      opacity: 0.08,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    })
+  );
+  surface.position.z = -0.05;
+  group.add(surface);
+  group.add(createGridLines(width, depth, 10, 0x9fb0cc, 0.18));
+  group.add(createGridLines(width, depth, 50, 0x9fb0cc, 0.4));
+
+  const frame = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(width, depth, height)),
+    new THREE.LineBasicMaterial({ color: 0x36c9c6, transparent: true, opacity: 0.6 })
+  );
+  frame.name = "build-volume";
+  frame.position.z = height / 2;
+  group.add(frame);
+  return group;
+}
+
+function disposePlate() {
+  if (!plateGroup) {
+    return;
+  }
+  buildSpace.remove(plateGroup);
+  plateGroup.traverse((child) => {
+    child.geometry?.dispose();
+    child.material?.dispose();
+  });
+  plateGroup = null;
+}
+
+function getVolumeOverflow(bounds, volume) {
+  const size = bounds.getSize(new THREE.Vector3());
+  const oversized = [
+    ["X", size.x, volume.width],
+    ["Y", size.y, volume.depth],
+    ["Z", size.z, volume.height],
+  ].filter(([, value, limit]) => value > limit + 1e-3);
+  const epsilon = 1e-3;
+  const outside =
+    bounds.min.x < -volume.width / 2 - epsilon ||
+    bounds.max.x > volume.width / 2 + epsilon ||
+    bounds.min.y < -volume.depth / 2 - epsilon ||
+    bounds.max.y > volume.depth / 2 + epsilon ||
+    bounds.min.z < -epsilon ||
+    bounds.max.z > volume.height + epsilon;
+  return { oversized, outside };
+}
+
+function checkBuildVolume() {
+  if (!plateWarning) {
+    return;
+  }
+  const volume = getPrinterVolume();
+  if (!volume || !plateGroup) {
+    plateWarning.hidden = true;
+    return;
+  }
+  const problems = getVisibleEntries()
+    .map((entry) => ({
+      entry,
+      ...getVolumeOverflow(computeObjectStats(entry.object).bounds, volume),
+    }))
+    .filter((problem) => problem.oversized.length || problem.outside);
+  const frame = plateGroup.getObjectByName("build-volume");
+  frame.material.color.setHex(problems.length ? 0xff6b5f : 0x36c9c6);
+
+  if (!problems.length) {
+    plateWarningEntry = null;
+    plateWarning.hidden = true;
+    return;
+  }
+  const problem = problems.find((item) => item.entry === selectedEntry) || problems[0];
+  const others = problems.length > 1 ? ` ${problems.length - 1} other part(s) also do not fit.` : "";
+  plateWarningEntry = problem.entry;
+  if (problem.oversized.length) {
+    const details = problem.oversized
+      .map(([axis, value, limit]) => `${axis} ${value.toFixed(1)} > ${limit} mm`)
+      .join(", ");
+    plateWarningText.textContent = `${problem.entry.name} is too large for the ${volume.label} build volume (${details}).${others}`;
+    scaleToPlateButton.textContent = "Scale to fit plate";
+  } else {
+    plateWarningText.textContent = `${problem.entry.name} sits outside the ${volume.label} build volume.${others}`;
+    scaleToPlateButton.textContent = "Move onto plate";
+  }
+  plateWarning.hidden = false;
+}
+
+function scaleToPlate() {
+  const volume = getPrinterVolume();
+  if (!volume || !plateWarningEntry) {
+    return;
+  }
+  selectEntry(plateWarningEntry);
+  commitTransform(() => {
+    const size = getModelBounds().getSize(new THREE.Vector3());
+    const factor = Math.min(
+      volume.width / size.x,
+      volume.depth / size.y,
+      volume.height / size.z
+    );
+    if (factor < 1) {
+      scaleAboutCenter(factor * 0.98);
+      partGroup.updateMatrixWorld(true);
+    }
+    const bounds = getModelBounds();
+    const center = bounds.getCenter(new THREE.Vector3());
+    partGroup.position.x -= center.x;
+    partGroup.position.y -= center.y;
+    partGroup.position.z -= bounds.min.z;
+  }, `Placed ${plateWarningEntry.name} on the ${volume.label} plate.`);
+}
+
+function placeEntry(entry, placement) {
+  const { group } = entry;
+  if (placement.rotated) {
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(AXES.z, Math.PI / 2);
+    group.quaternion.premultiply(quaternion);
+    group.position.applyQuaternion(quaternion);
+    group.updateMatrixWorld(true);
+  }
+  const bounds = computeObjectStats(entry.object).bounds;
+  const center = bounds.getCenter(new THREE.Vector3());
+  group.position.x += placement.x - center.x;
+  group.position.y += placement.y - center.y;
+  group.position.z -= bounds.min.z;
+  group.updateMatrixWorld(true);
+}
+
+function arrangeOnPlate() {
+  const volume = getPrinterVolume();
+  if (!volume) {
+    setStatus("Choose a printer to arrange parts on its plate.", true);
+    return;
+  }
+  const entries = getVisibleEntries();
+  if (!entries.length) {
+    setStatus("Show at least one object to arrange.", true);
+    return;
+  }
+  const spacing = Number(arrangeSpacing.value);
+  const parts = [];
+  const skipped = [];
+  entries.forEach((entry) => {
+    const { size } = computeObjectStats(entry.object);
+    if (size.z > volume.height) {
+      skipped.push(entry);
+    } else {
+      parts.push({ id: entry.id, width: size.x, depth: size.y });
+    }
+  });
+  const result = arrangeParts(parts, {
+    width: volume.width,
+    depth: volume.depth,
+    spacing: Number.isFinite(spacing) && spacing >= 0 ? spacing : 5,
+    allowRotation: arrangeRotate.checked,
+  });
+  skipped.push(...entries.filter((entry) => result.unplaced.includes(entry.id)));
+
+  const placed = result.placements.map((placement) => ({
+    placement,
+    entry: entries.find((entry) => entry.id === placement.id),
+  }));
+  commitTransform(
+    () => {
+      if (!placed.length) {
+        return false;
+      }
+      placed.forEach(({ entry, placement }) => placeEntry(entry, placement));
+      return true;
+    },
+    null,
+    placed.map(({ entry }) => entry)
+  );
+
+  const summary = `Arranged ${placed.length} of ${entries.length} part(s) on the ${volume.label} plate.`;
+  if (skipped.length) {
+    setStatus(`${summary} Did not fit: ${skipped.map((entry) => entry.name).join(", ")}.`, true);
+  } else {
+    setStatus(summary);
+  }
+}
+
+function savePrinterProfile() {
+  const choice = printerProfile.value;
+  const saved = { id: choice };
+  if (choice === "custom") {
+    saved.custom = {
+      width: Number(customWidth.value),
+      depth: Number(customDepth.value),
+      height: Number(customHeight.value),
+    };
+  }
+  localStorage.setItem(PRINTER_PROFILE_KEY, JSON.stringify(saved));
+}
+
+function restorePrinterProfile() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(PRINTER_PROFILE_KEY) || "null");
+  } catch (error) {
+    saved = null;
+  }
+  if (!saved || !printerProfile.querySelector(`option[value="${saved.id}"]`)) {
+    return;
+  }
+  printerProfile.value = saved.id;
+  if (saved.custom) {
+    customWidth.value = saved.custom.width;
+    customDepth.value = saved.custom.depth;
+    customHeight.value = saved.custom.height;
+  }
+}
+
+function updateBuildPlate() {
+  disposePlate();
+  customVolume.hidden = printerProfile.value !== "custom";
+  const volume = getPrinterVolume();
+  autoFit.disabled = Boolean(volume);
+  if (volume) {
+    plateGroup = createBuildPlate(volume);
+    buildSpace.add(plateGroup);
+  }
+  if (arrangeButton) {
+    arrangeButton.disabled = !workspace.length || !volume;
+  }
+  if (workspace.length) {
+    resetView();
+  } else {
+    frameScene();
+  }
+  checkBuildVolume();
+}
+
+function getOverhangThreshold() {
+  const degrees = Number(overhangThreshold?.value);
+  return Number.isFinite(degrees) ? THREE.MathUtils.clamp(degrees, 0, 89) : 45;
+}
+
+function createOverhangMaterial() {
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uModelMatrix: { value: new THREE.Matrix4() },
+      uThreshold: { value: THREE.MathUtils.degToRad(getOverhangThreshold()) },
+      uFloorZ: { value: overhangFloorZ },
+      uFloorTolerance: { value: 0.05 },
+    },
+    vertexShader: OVERHANG_VERTEX_SHADER,
+    fragmentShader: OVERHANG_FRAGMENT_SHADER,
+    side: THREE.DoubleSide,
+    extensions: { derivatives: true },
+    clipping: true,
+    clippingPlanes: sectionPlanes,
+  });
+  material.onBeforeRender = (_renderer, _scene, _camera, _geometry, object) => {
+    material.uniforms.uModelMatrix.value.multiplyMatrices(modelSpaceInverse, object.matrixWorld);
+    material.uniforms.uThreshold.value = THREE.MathUtils.degToRad(getOverhangThreshold());
+    material.uniforms.uFloorZ.value = overhangFloorZ;
+    material.uniformsNeedUpdate = true;
+  };
+  return material;
 }
 
 function createPreviewMaterial() {
+  if (viewMode?.value === "overhang") {
+    return createOverhangMaterial();
+  }
   return new THREE.MeshStandardMaterial({
     color: 0xff9a6a,
     metalness: 0.2,
     roughness: 0.45,
+    side: THREE.DoubleSide,
+    clippingPlanes: sectionPlanes,
   });
 }
 
@@ -319,38 +1331,835 @@ function applyPreviewMaterial(object) {
   });
 }
 
-function showObject(object) {
-  if (currentObject) {
-    modelGroup.remove(currentObject);
-    disposeObject(currentObject);
-  }
-  resetTransforms();
-  currentObject = object;
-  modelGroup.add(object);
-  placeholder.style.display = "none";
+function collectTriangles(object, frame = modelGroup) {
+  object.updateWorldMatrix(true, true);
+  const toFrame = getFrameMatrix(object, frame);
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const chunks = [];
+  let total = 0;
+
+  object.traverse((child) => {
+    const position = child.isMesh ? child.geometry?.getAttribute("position") : null;
+    if (!position) {
+      return;
+    }
+    matrix.multiplyMatrices(toFrame, child.matrixWorld);
+    const mirrored = matrix.determinant() < 0;
+    const index = child.geometry.index;
+    const count = Math.floor((index ? index.count : position.count) / 3) * 3;
+    const chunk = new Float32Array(count * 3);
+    for (let i = 0; i < count; i += 1) {
+      const corner = mirrored && i % 3 ? i + (i % 3 === 1 ? 1 : -1) : i;
+      vertex.fromBufferAttribute(position, index ? index.getX(corner) : corner);
+      vertex.applyMatrix4(matrix);
+      chunk[i * 3] = vertex.x;
+      chunk[i * 3 + 1] = vertex.y;
+      chunk[i * 3 + 2] = vertex.z;
+    }
+    chunks.push(chunk);
+    total += chunk.length;
+  });
+
+  const positions = new Float32Array(total);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    positions.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return positions;
 }
 
-function validateObject(object) {
-  const { bounds, size, triangles } = computeObjectStats(object);
-  if (!Number.isFinite(triangles) || triangles <= 0) {
-    return "No triangles found. Check that the data is valid.";
-  }
-  if (bounds.isEmpty()) {
-    return "Could not compute geometry bounds. Check the data.";
+function collectIndexedMesh(object, frame = modelGroup) {
+  const meshes = [];
+  object.traverse((child) => {
+    if (child.isMesh && child.geometry?.getAttribute("position")) {
+      meshes.push(child);
+    }
+  });
+  if (!meshes.every((mesh) => mesh.geometry.index)) {
+    return { positions: collectTriangles(object, frame), indices: null };
   }
-  if (![size.x, size.y, size.z].every(Number.isFinite)) {
+
+  object.updateWorldMatrix(true, true);
+  const toFrame = getFrameMatrix(object, frame);
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const vertexTotal = meshes.reduce(
+    (total, mesh) => total + mesh.geometry.getAttribute("position").count,
+    0
+  );
+  const indexTotal = meshes.reduce(
+    (total, mesh) => total + Math.floor(mesh.geometry.index.count / 3) * 3,
+    0
+  );
+  const positions = new Float32Array(vertexTotal * 3);
+  const indices = new Uint32Array(indexTotal);
+  let vertexOffset = 0;
+  let indexOffset = 0;
+  meshes.forEach((mesh) => {
+    const position = mesh.geometry.getAttribute("position");
+    const index = mesh.geometry.index;
+    matrix.multiplyMatrices(toFrame, mesh.matrixWorld);
+    const mirrored = matrix.determinant() < 0;
+    for (let i = 0; i < position.count; i += 1) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(matrix);
+      vertex.toArray(positions, (vertexOffset + i) * 3);
+    }
+    const count = Math.floor(index.count / 3) * 3;
+    for (let i = 0; i < count; i += 1) {
+      const corner = mirrored && i % 3 ? i + (i % 3 === 1 ? 1 : -1) : i;
+      indices[indexOffset + i] = vertexOffset + index.getX(corner);
+    }
+    vertexOffset += position.count;
+    indexOffset += count;
+  });
+  return { positions, indices };
+}
+
+function clearAnalysis() {
+  if (analysisOverlay) {
+    analysisOverlay.removeFromParent();
+    analysisOverlay.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    analysisOverlay = null;
+  }
+  if (analysisPanel) {
+    analysisPanel.hidden = true;
+    analysisList.replaceChildren();
+    analysisSummary.textContent = "";
+    repairReport.hidden = true;
+    repairReport.replaceChildren();
+  }
+}
+
+function createEdgeLines(vertices, pairs, color) {
+  const points = new Float32Array(pairs.length * 3);
+  pairs.forEach((vertexIndex, i) => {
+    points[i * 3] = vertices[vertexIndex * 3];
+    points[i * 3 + 1] = vertices[vertexIndex * 3 + 1];
+    points[i * 3 + 2] = vertices[vertexIndex * 3 + 2];
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(points, 3));
+  const lines = new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+  );
+  lines.renderOrder = 10;
+  return lines;
+}
+
+function createFaceEdges(indices, faces) {
+  const pairs = [];
+  faces.forEach((face) => {
+    const a = indices[face * 3];
+    const b = indices[face * 3 + 1];
+    const c = indices[face * 3 + 2];
+    pairs.push(a, b, b, c, c, a);
+  });
+  return pairs;
+}
+
+function createFaceHighlight(vertices, indices, faces, color) {
+  const points = new Float32Array(faces.length * 9);
+  faces.forEach((face, i) => {
+    for (let corner = 0; corner < 3; corner += 1) {
+      const vertexIndex = indices[face * 3 + corner];
+      points[i * 9 + corner * 3] = vertices[vertexIndex * 3];
+      points[i * 9 + corner * 3 + 1] = vertices[vertexIndex * 3 + 1];
+      points[i * 9 + corner * 3 + 2] = vertices[vertexIndex * 3 + 2];
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(points, 3));
+  const mesh = new THREE.Mesh(
+    geometry,
+    new THREE.MeshBasicMaterial({
+      color,
+      side: THREE.DoubleSide,
+      depthTest: false,
+      transparent: true,
+      opacity: 0.65,
+    })
+  );
+  mesh.renderOrder = 9;
+  return mesh;
+}
+
+function buildAnalysisOverlay(report) {
+  const { vertices, indices } = report;
+  const overlay = new THREE.Group();
+  overlay.name = "analysis-overlay";
+  if (report.boundaryEdges.length) {
+    overlay.add(createEdgeLines(vertices, report.boundaryEdges, ISSUE_COLORS.boundary));
+  }
+  if (report.nonManifoldEdges.length) {
+    overlay.add(createEdgeLines(vertices, report.nonManifoldEdges, ISSUE_COLORS.nonManifold));
+  }
+  if (report.windingEdges.length) {
+    overlay.add(createEdgeLines(vertices, report.windingEdges, ISSUE_COLORS.winding));
+  }
+  if (report.degenerateFaces.length) {
+    overlay.add(
+      createEdgeLines(
+        vertices,
+        createFaceEdges(indices, report.degenerateFaces),
+        ISSUE_COLORS.degenerate
+      )
+    );
+  }
+  if (report.duplicateFaces.length) {
+    overlay.add(
+      createFaceHighlight(vertices, indices, report.duplicateFaces, ISSUE_COLORS.duplicate)
+    );
+  }
+  overlay.visible = showIssues ? showIssues.checked : true;
+  return overlay;
+}
+
+function addAnalysisRow(label, count, color) {
+  const item = document.createElement("li");
+  item.classList.toggle("is-clean", count === 0);
+  const swatch = document.createElement("span");
+  swatch.className = "analysis-swatch";
+  if (color !== undefined) {
+    swatch.style.background = `#${color.toString(16).padStart(6, "0")}`;
+  }
+  const text = document.createElement("span");
+  text.textContent = label;
+  const value = document.createElement("strong");
+  value.textContent = count.toLocaleString();
+  item.append(swatch, text, value);
+  analysisList.appendChild(item);
+}
+
+function renderAnalysis(report) {
+  if (!analysisPanel) {
+    return;
+  }
+  analysisList.replaceChildren();
+  addAnalysisRow("Open boundary edges", report.boundaryEdges.length / 2, ISSUE_COLORS.boundary);
+  addAnalysisRow(
+    "Non-manifold edges",
+    report.nonManifoldEdges.length / 2,
+    ISSUE_COLORS.nonManifold
+  );
+  addAnalysisRow(
+    "Inconsistent winding edges",
+    report.windingEdges.length / 2,
+    ISSUE_COLORS.winding
+  );
+  addAnalysisRow(
+    "Degenerate triangles",
+    report.degenerateFaces.length,
+    ISSUE_COLORS.degenerate
+  );
+  addAnalysisRow("Duplicate faces", report.duplicateFaces.length, ISSUE_COLORS.duplicate);
+  addAnalysisRow("Shells", report.shellCount);
+
+  const problems =
+    report.nonManifoldEdges.length +
+    report.windingEdges.length +
+    report.degenerateFaces.length +
+    report.duplicateFaces.length;
+  if (report.isWatertight && problems === 0) {
+    analysisSummary.textContent = "Watertight and manifold.";
+  } else if (report.isWatertight) {
+    analysisSummary.textContent = "Watertight, with mesh issues.";
+  } else {
+    analysisSummary.textContent = "Not watertight.";
+  }
+  analysisSummary.classList.toggle("error", !report.isWatertight || problems > 0);
+  analysisPanel.hidden = false;
+}
+
+function showAnalysis(report) {
+  if (!report) {
+    return;
+  }
+  analysisOverlay = buildAnalysisOverlay(report);
+  partGroup.add(analysisOverlay);
+  renderAnalysis(report);
+}
+
+function countTriangles(object) {
+  let triangles = 0;
+  object.traverse((child) => {
+    const position = child.isMesh ? child.geometry?.getAttribute("position") : null;
+    if (position) {
+      triangles += (child.geometry.index ? child.geometry.index.count : position.count) / 3;
+    }
+  });
+  return triangles;
+}
+
+function analyzeCurrentModel() {
+  clearAnalysis();
+  if (!selectedEntry || countTriangles(currentObject) > MAX_ANALYSIS_TRIANGLES) {
+    return null;
+  }
+  const report = analyzeMesh(collectTriangles(currentObject, partGroup));
+  selectedEntry.analysis = report;
+  showAnalysis(report);
+  return report;
+}
+
+function renderRepairReport(result) {
+  if (!repairReport) {
+    return;
+  }
+  const { actions, comparisons } = describeRepair(result);
+  const summary = document.createElement("p");
+  summary.textContent = `Repair: ${actions.join(", ")}.`;
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["", "Before", "After"].forEach((label) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+  table.appendChild(head);
+  comparisons.forEach(([label, before, after]) => {
+    const row = document.createElement("tr");
+    [label, before.toLocaleString(), after.toLocaleString()].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+
+  repairReport.replaceChildren(summary, table);
+  repairReport.hidden = false;
+}
+
+function repairCurrentMesh() {
+  if (!currentObject) {
+    return;
+  }
+  setStatus("Repairing mesh...");
+  const tolerance = Number(repairTolerance.value);
+  const result = repairMesh(collectTriangles(currentObject, partGroup), {
+    tolerance: repairTolerance.value !== "" && tolerance >= 0 ? tolerance : undefined,
+    maxHoleEdges: Number(repairHoleSize.value) || 32,
+  });
+  if (!result.positions.length) {
+    setStatus("Repair removed every triangle. Try a smaller weld tolerance.", true);
+    return;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(result.positions, 3));
+  geometry.computeVertexNormals();
+  const mesh = new THREE.Mesh(geometry, createPreviewMaterial());
+  const entry = selectedEntry;
+
+  replaceEntryObject(entry, mesh);
+  entry.name = `${getBaseName(entry.name).replace(/-repaired$/, "")}-repaired.stl`;
+  entry.size = null;
+  selectEntry(entry);
+  resetView();
+  invalidateSection();
+  const report = analyzeCurrentModel();
+  renderRepairReport(result);
+  setStatus(
+    report && report.isWatertight
+      ? "Mesh repaired and watertight. Ready to download."
+      : "Mesh repaired, but some issues remain. Check the mesh report."
+  );
+}
+
+function createSimplifiedMesh(result) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(result.positions, 3));
+  geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+  geometry.computeVertexNormals();
+  return new THREE.Mesh(geometry, createPreviewMaterial());
+}
+
+function getSimplifyTarget(total) {
+  const value = Number(simplifyTarget.value);
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  const target = simplifyMode.value === "percent" ? (total * Math.min(value, 100)) / 100 : value;
+  return Math.min(Math.max(Math.round(target), 4), total);
+}
+
+function clearSimplifyPreview() {
+  clearTimeout(simplifyTimer);
+  simplifyRequest?.abort();
+  simplifyRequest = null;
+  if (simplifyPreview) {
+    const { entry, mesh } = simplifyPreview;
+    entry.group.remove(mesh);
+    disposeObject(mesh);
+    entry.object.visible = true;
+    simplifyPreview = null;
+  }
+  if (simplifyReport) {
+    simplifyReport.textContent = "";
+    simplifyApplyButton.disabled = true;
+  }
+}
+
+async function updateSimplifyPreview() {
+  clearSimplifyPreview();
+  if (!simplifyEnabled.checked || !selectedEntry) {
+    return;
+  }
+  const entry = selectedEntry;
+  const total = countTriangles(entry.object);
+  const target = getSimplifyTarget(total);
+  if (!target) {
+    simplifyReport.textContent = "Enter a target above zero.";
+    return;
+  }
+  const request = new AbortController();
+  simplifyRequest = request;
+  simplifyReport.textContent = `Simplifying ${total.toLocaleString()} triangles...`;
+
+  let result;
+  try {
+    result = await simplifyInWorker(collectIndexedMesh(entry.object, entry.group), {
+      targetTriangles: target,
+      keepBoundary: simplifyBoundary.checked,
+      signal: request.signal,
+      onProgress: (progress) => {
+        simplifyReport.textContent = `Simplifying ${total.toLocaleString()} triangles: ${Math.round(
+          progress * 100
+        )}%`;
+      },
+    });
+  } catch (error) {
+    if (simplifyRequest === request) {
+      simplifyRequest = null;
+      simplifyReport.textContent = error?.message || "Simplification failed.";
+    }
+    return;
+  }
+  if (simplifyRequest !== request) {
+    return;
+  }
+  simplifyRequest = null;
+
+  const mesh = createSimplifiedMesh(result);
+  entry.object.visible = false;
+  if (entry.lod) {
+    entry.lod.visible = false;
+  }
+  entry.group.add(mesh);
+  simplifyPreview = { entry, mesh };
+  const percent = ((result.triangles / total) * 100).toFixed(1);
+  simplifyReport.textContent = `${total.toLocaleString()} -> ${result.triangles.toLocaleString()} triangles (${percent}%) | Estimated deviation ${result.error.toFixed(3)} mm`;
+  simplifyApplyButton.disabled = false;
+}
+
+function scheduleSimplifyPreview() {
+  clearTimeout(simplifyTimer);
+  simplifyTimer = setTimeout(updateSimplifyPreview, SIMPLIFY_DELAY);
+}
+
+function updateSimplifyMode() {
+  const isPercent = simplifyMode.value === "percent";
+  const total = currentObject ? countTriangles(currentObject) : 0;
+  const value = Number(simplifyTarget.value);
+  simplifyTargetLabel.textContent = isPercent ? "Keep (%)" : "Triangles";
+  simplifyTarget.max = isPercent ? "100" : "";
+  simplifyTarget.step = isPercent ? "any" : "1";
+  // Carry the target across so switching units keeps the same mesh size.
+  if (isPercent) {
+    const percent = total && value > 0 ? Math.min((value / total) * 100, 100) : 25;
+    simplifyTarget.value = percent.toFixed(1);
+  } else {
+    const percent = value > 0 ? value : 25;
+    simplifyTarget.value = total ? String(Math.round((total * percent) / 100)) : "10000";
+  }
+  if (simplifyEnabled.checked) {
+    scheduleSimplifyPreview();
+  }
+}
+
+function applySimplifiedMesh() {
+  if (!simplifyPreview) {
+    return;
+  }
+  const { entry, mesh } = simplifyPreview;
+  simplifyPreview = null;
+  mesh.visible = true;
+  replaceEntryObject(entry, mesh);
+  entry.name = `${getBaseName(entry.name).replace(/-simplified$/, "")}-simplified.stl`;
+  entry.size = null;
+  simplifyEnabled.checked = false;
+  simplifySettings.hidden = true;
+  selectEntry(entry);
+  invalidateSection();
+  analyzeCurrentModel();
+  setStatus(
+    `Simplified to ${countTriangles(mesh).toLocaleString()} triangles. Download exports the simplified mesh.`
+  );
+}
+
+function clearEntryLod(entry) {
+  entry.lodRequest?.abort();
+  entry.lodRequest = null;
+  if (entry.lod) {
+    entry.group.remove(entry.lod);
+    disposeObject(entry.lod);
+    entry.lod = null;
+    entry.object.visible = simplifyPreview?.entry !== entry;
+  }
+}
+
+async function buildEntryLod(entry) {
+  clearEntryLod(entry);
+  if (!orbitLod?.checked || countTriangles(entry.object) < LOD_MIN_TRIANGLES) {
+    return;
+  }
+  const request = new AbortController();
+  entry.lodRequest = request;
+  try {
+    const result = await simplifyInWorker(collectIndexedMesh(entry.object, entry.group), {
+      targetTriangles: LOD_TRIANGLES,
+      signal: request.signal,
+    });
+    if (entry.lodRequest !== request) {
+      return;
+    }
+    entry.lodRequest = null;
+    entry.lod = createSimplifiedMesh(result);
+    entry.lod.visible = false;
+    entry.group.add(entry.lod);
+  } catch (error) {
+    if (entry.lodRequest === request) {
+      entry.lodRequest = null;
+      setStatus(`${entry.name} orbits at full detail. ${error?.message || ""}`.trim(), true);
+    }
+  }
+}
+
+function setLodActive(active) {
+  isLodActive = active;
+  workspace.forEach((entry) => {
+    if (!entry.lod || simplifyPreview?.entry === entry) {
+      return;
+    }
+    entry.lod.visible = active;
+    entry.object.visible = !active;
+  });
+}
+
+function onCameraChange() {
+  if (!orbitLod?.checked || !workspace.some((entry) => entry.lod)) {
+    return;
+  }
+  if (!isLodActive) {
+    setLodActive(true);
+  }
+  clearTimeout(lodTimer);
+  lodTimer = setTimeout(() => setLodActive(false), LOD_RESTORE_DELAY);
+}
+
+function captureTransform(entry) {
+  return {
+    entry,
+    position: entry.group.position.clone(),
+    quaternion: entry.group.quaternion.clone(),
+    scale: entry.group.scale.clone(),
+  };
+}
+
+function restoreTransform(snapshot) {
+  const { group } = snapshot.entry;
+  group.position.copy(snapshot.position);
+  group.quaternion.copy(snapshot.quaternion);
+  group.scale.copy(snapshot.scale);
+  group.updateMatrixWorld(true);
+}
+
+function updateTransformControls() {
+  if (!transformControls) {
+    return;
+  }
+  transformControls.disabled = !currentObject;
+  undoButton.disabled = !undoStack.length;
+  redoButton.disabled = !redoStack.length;
+}
+
+function onTransformChanged(message) {
+  modelGroup.updateMatrixWorld(true);
+  if (currentObject) {
+    updateStats(currentObject);
+  }
+  updateSelectionBox();
+  updateTransformControls();
+  invalidateSection();
+  if (message) {
+    setStatus(message);
+  }
+}
+
+function commitTransform(mutate, message, entries = selectedEntry ? [selectedEntry] : []) {
+  if (!entries.length) {
+    return;
+  }
+  const before = entries.map(captureTransform);
+  if (mutate() === false) {
+    before.forEach(restoreTransform);
+    return;
+  }
+  undoStack.push(before);
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  onTransformChanged(message);
+}
+
+function stepHistory(from, to, message) {
+  if (!from.length) {
+    return;
+  }
+  const step = from.pop();
+  to.push(step.map((snapshot) => captureTransform(snapshot.entry)));
+  step.forEach(restoreTransform);
+  if (step.length === 1 && step[0].entry !== selectedEntry) {
+    selectEntry(step[0].entry);
+  }
+  onTransformChanged(message);
+}
+
+function undoTransform() {
+  stepHistory(undoStack, redoStack, "Transform undone.");
+}
+
+function redoTransform() {
+  stepHistory(redoStack, undoStack, "Transform redone.");
+}
+
+function getModelBounds() {
+  partGroup.updateMatrixWorld(true);
+  return computeObjectStats(currentObject).bounds;
+}
+
+function rotateAboutCenter(quaternion) {
+  const center = getModelBounds().getCenter(new THREE.Vector3());
+  partGroup.position.sub(center).applyQuaternion(quaternion).add(center);
+  partGroup.quaternion.premultiply(quaternion);
+}
+
+function scaleAboutCenter(factor) {
+  const center = getModelBounds().getCenter(new THREE.Vector3());
+  partGroup.position.sub(center).multiplyScalar(factor).add(center);
+  partGroup.scale.multiplyScalar(factor);
+}
+
+function mirrorAxis(axis) {
+  const center = getModelBounds().getCenter(new THREE.Vector3());
+  partGroup.position.sub(center);
+  partGroup.position[axis] *= -1;
+  partGroup.position.add(center);
+  const { x, y, z, w } = partGroup.quaternion;
+  partGroup.quaternion.set(
+    axis === "x" ? x : -x,
+    axis === "y" ? y : -y,
+    axis === "z" ? z : -z,
+    w
+  );
+  partGroup.scale[axis] *= -1;
+}
+
+function dropToFloor() {
+  partGroup.position.z -= getModelBounds().min.z;
+}
+
+function centerOnOrigin() {
+  partGroup.position.sub(getModelBounds().getCenter(new THREE.Vector3()));
+}
+
+function applyScalePercent() {
+  const percent = Number(scalePercent.value);
+  if (!Number.isFinite(percent) || percent <= 0) {
+    setStatus("Enter a scale percentage above 0.", true);
+    return;
+  }
+  commitTransform(() => scaleAboutCenter(percent / 100), `Scaled to ${percent}%.`);
+}
+
+function applyTargetSize() {
+  const axis = sizeAxis.value;
+  const target = Number(sizeTarget.value);
+  if (!Number.isFinite(target) || target <= 0) {
+    setStatus("Enter a target size in millimeters.", true);
+    return;
+  }
+  const current = getModelBounds().getSize(new THREE.Vector3())[axis];
+  if (!(current > 0)) {
+    setStatus(`The model has no extent along ${axis.toUpperCase()}.`, true);
+    return;
+  }
+  commitTransform(
+    () => scaleAboutCenter(target / current),
+    `Scaled ${axis.toUpperCase()} to ${target} mm.`
+  );
+}
+
+function applyRotation(axis, degrees) {
+  if (!Number.isFinite(degrees) || degrees === 0) {
+    return;
+  }
+  const quaternion = new THREE.Quaternion().setFromAxisAngle(
+    AXES[axis],
+    THREE.MathUtils.degToRad(degrees)
+  );
+  commitTransform(
+    () => rotateAboutCenter(quaternion),
+    `Rotated ${degrees}° around ${axis.toUpperCase()}.`
+  );
+}
+
+function setPickingFace(active) {
+  isPickingFace = active;
+  viewer.classList.toggle("is-picking", active);
+  if (layFlatButton) {
+    layFlatButton.classList.toggle("is-active", active);
+  }
+}
+
+function layFlat(normal) {
+  const down = new THREE.Vector3(0, 0, -1);
+  rotateAboutCenter(new THREE.Quaternion().setFromUnitVectors(normal, down));
+  partGroup.updateMatrixWorld(true);
+  dropToFloor();
+}
+
+function castPointer(event, objects) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+  const [hit] = raycaster.intersectObjects(objects, true);
+  return hit || null;
+}
+
+function pickFace(event) {
+  const hit = castPointer(event, [currentObject]);
+  if (!hit || !hit.face) {
+    setStatus("Click directly on a face of the model.");
+    return;
+  }
+  const toModel = getFrameMatrix(hit.object, modelGroup).multiply(hit.object.matrixWorld);
+  const normal = hit.face.normal
+    .clone()
+    .applyNormalMatrix(new THREE.Matrix3().getNormalMatrix(toModel))
+    .normalize();
+  setPickingFace(false);
+  commitTransform(() => layFlat(normal), "Face placed on the build plate.");
+}
+
+function pickEntry(event) {
+  const entries = getVisibleEntries();
+  const hit = castPointer(event, entries.map((entry) => entry.object));
+  if (!hit) {
+    return;
+  }
+  const entry = entries.find((candidate) => {
+    let node = hit.object;
+    while (node && node !== candidate.object) {
+      node = node.parent;
+    }
+    return Boolean(node);
+  });
+  if (entry && entry !== selectedEntry) {
+    selectEntry(entry);
+  }
+}
+
+function onViewerPointerUp(event) {
+  if (!pointerStart) {
+    return;
+  }
+  const moved = Math.hypot(event.clientX - pointerStart.x, event.clientY - pointerStart.y);
+  pointerStart = null;
+  if (moved > 4 || !workspace.length) {
+    return;
+  }
+  if (isPickingFace && currentObject) {
+    pickFace(event);
+  } else {
+    pickEntry(event);
+  }
+}
+
+function onKeyDown(event) {
+  if (event.key === "Escape" && isPickingFace) {
+    setPickingFace(false);
+    setStatus("Lay flat cancelled.");
+    return;
+  }
+  if (!(event.ctrlKey || event.metaKey)) {
+    return;
+  }
+  if (event.target instanceof Element && event.target.closest("input, textarea, select")) {
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undoTransform();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    redoTransform();
+  }
+}
+
+function validateObject(object) {
+  const { bounds, size, triangles } = computeObjectStats(object);
+  if (!Number.isFinite(triangles) || triangles <= 0) {
+    return "No triangles found. Check that the data is valid.";
+  }
+  if (bounds.isEmpty()) {
+    return "Could not compute geometry bounds. Check the data.";
+  }
+  if (![size.x, size.y, size.z].every(Number.isFinite)) {
     return "Invalid geometry values detected. Check the data.";
   }
   return null;
 }
 
-function finalizeLoad(object, name, size, label) {
-  currentName = name || "model.stl";
-  currentSize = size ?? null;
-  showObject(object);
-  updateStats(object);
-  downloadButton.disabled = false;
-  resetView();
+function finalizeLoad(object, name, size, label, source, keepView = false) {
+  const replaceable = source === "text" || source === "project";
+  let entry = replaceable ? workspace.find((item) => item.source === source) : null;
+  const replaced = Boolean(entry);
+  if (entry) {
+    replaceEntryObject(entry, object);
+    entry.name = name || "model.stl";
+    entry.size = size ?? null;
+  } else {
+    entry = createEntry(object, name, size, source);
+  }
+  selectEntry(entry);
+  updateWorkspaceState();
+  if (!keepView || !replaced) {
+    resetView();
+  }
+  const report = analyzeCurrentModel();
+  if (!report) {
+    setStatus(
+      `${label} loaded. The mesh check is skipped above ${MAX_ANALYSIS_TRIANGLES.toLocaleString()} triangles.`
+    );
+    return;
+  }
+  if (!report.isWatertight) {
+    setStatus(`${label} loaded, but the mesh is not watertight. Check the mesh report.`);
+    return;
+  }
   setStatus(`${label} loaded. Ready to download.`);
 }
 
@@ -412,48 +2221,33 @@ async function parseGltf(data) {
   });
 }
 
-async function getScadCompiler() {
-  if (!scadCompilerPromise) {
-    scadCompilerPromise = import(
-      "https://unpkg.com/openscad-wasm-prebuilt@1.2.0/dist/openscad.js"
-    ).then((mod) =>
-      mod.createOpenSCAD({
-        print: recordScadError,
-        printErr: recordScadError,
-      })
-    );
+function reportScadProgress({ stage, text }) {
+  if (stage === "loading") {
+    setStatus("Loading SCAD engine...");
+  } else if (stage === "compiling") {
+    setStatus("Compiling SCAD...");
+  } else if (text && text.trim()) {
+    setStatus(`Compiling SCAD... ${text.trim()}`);
   }
-  return scadCompilerPromise;
 }
 
-async function parseScad(text) {
-  scadErrors.length = 0;
-  setStatus("Loading SCAD engine...");
-  const compiler = await getScadCompiler();
-  scadErrors.length = 0;
-  setStatus("Compiling SCAD...");
-  const cleaned = normalizeScadText(text);
+async function parseScad(text, project = null) {
+  if (cancelCompileButton) {
+    cancelCompileButton.hidden = false;
+  }
   let stlOutput;
   try {
-    stlOutput = await compiler.renderToStl(cleaned);
-  } catch (error) {
-    const message =
-      getScadErrorMessage() || error?.message || "SCAD compile failed.";
-    throw new Error(message);
-  }
-  if (stlOutput === null || stlOutput === undefined) {
-    const message = getScadErrorMessage() || "SCAD produced no output.";
-    throw new Error(message);
-  }
-  if (typeof stlOutput === "string" && !stlOutput.trim()) {
-    const message = getScadErrorMessage() || "SCAD produced empty output.";
-    throw new Error(message);
-  }
-
-  let data = stlOutput;
-  if (stlOutput instanceof Uint8Array) {
-    data = stlOutput.buffer;
+    stlOutput = await compileScad(text, {
+      onProgress: reportScadProgress,
+      files: project?.files,
+      entry: project?.entry,
+    });
+  } finally {
+    if (cancelCompileButton) {
+      cancelCompileButton.hidden = true;
+    }
   }
+  const data = stlOutput instanceof Uint8Array ? stlOutput.buffer : stlOutput;
 
   try {
     return parseStlData(data);
@@ -466,12 +2260,39 @@ async function parseScad(text) {
   }
 }
 
+function showScadDiagnostics(name, source) {
+  if (!scadDiagnostics) {
+    return;
+  }
+  renderScadDiagnostics(scadDiagnostics, getScadDiagnostics(), {
+    fileName: name,
+    textarea: source === "text" ? stlText : null,
+  });
+}
+
 function parseStlData(data) {
   const geometry = stlLoader.parse(data);
   geometry.computeVertexNormals();
   return new THREE.Mesh(geometry, createPreviewMaterial());
 }
 
+async function parseLargeStl(file) {
+  const result = await parseStlFile(file, {
+    onProgress: ({ loaded, total }) => {
+      setStatus(
+        `Reading ${file.name}: ${formatBytes(loaded)} of ${formatBytes(total)} (${Math.round(
+          (loaded / total) * 100
+        )}%)...`
+      );
+    },
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(result.positions, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(result.normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+  return new THREE.Mesh(geometry, createPreviewMaterial());
+}
+
 function parseOff(text) {
   const lines = text
     .replace(/\r\n?/g, "\n")
@@ -549,10 +2370,10 @@ function parseOff(text) {
   return new THREE.Mesh(geometry, createPreviewMaterial());
 }
 
-async function parseByFormat(format, data) {
+async function parseByFormat(format, data, project = null) {
   switch (format) {
     case "stl":
-      return parseStlData(data);
+      return data instanceof File ? parseLargeStl(data) : parseStlData(data);
     case "obj":
       return objLoader.parse(data);
     case "ply":
@@ -570,32 +2391,80 @@ async function parseByFormat(format, data) {
     case "3mf":
       return threeMfLoader.parse(data);
     case "scad":
-      return await parseScad(data);
+      return await parseScad(data, project);
     default:
       throw new Error("Unsupported format.");
   }
 }
 
-async function loadInput({ format, data, name, size, allowRepair }) {
+function showLiveError(message) {
+  setStatus(message, true);
+  if (liveError) {
+    liveErrorText.textContent = `${message} Showing the last good model.`;
+    liveError.hidden = false;
+  }
+}
+
+function hideLiveError() {
+  if (liveError) {
+    liveError.hidden = true;
+  }
+}
+
+async function loadInput({ format, data, name, size, allowRepair, source, live = false, project = null }) {
   const label = FORMAT_LABELS[format] || format.toUpperCase();
   setStatus(`Loading ${label}...`);
-  downloadButton.disabled = true;
+  let loadId = null;
+  if (source in replaceableLoadIds) {
+    replaceableLoadIds[source] += 1;
+    loadId = replaceableLoadIds[source];
+  }
 
   let object;
   try {
-    object = await parseByFormat(format, data);
+    object = await parseByFormat(format, data, project);
   } catch (error) {
+    if (error?.name === "AbortError") {
+      if (!live) {
+        setStatus(error.message);
+      }
+      return;
+    }
+    if (loadId !== null && loadId !== replaceableLoadIds[source]) {
+      return;
+    }
+    if (format === "scad") {
+      showScadDiagnostics(name, source);
+    }
     const fallbackMessage = `Could not parse ${label}.`;
     const message = error?.message || fallbackMessage;
-    clearModel(message, true);
+    if (live) {
+      showLiveError(message);
+      return;
+    }
+    showLoadError(message);
     if (allowRepair && typeof data === "string") {
       showRepairPrompt("Formatting issues found. Try to auto-fix the STL text?", data);
     }
     return;
   }
+  if (loadId !== null && loadId !== replaceableLoadIds[source]) {
+    if (object?.isObject3D) {
+      disposeObject(object);
+    }
+    return;
+  }
+  if (format === "scad") {
+    showScadDiagnostics(name, source);
+  }
 
   if (!object || !object.isObject3D) {
-    clearModel(`${label} did not contain any renderable geometry.`, true);
+    const message = `${label} did not contain any renderable geometry.`;
+    if (live) {
+      showLiveError(message);
+    } else {
+      showLoadError(message);
+    }
     return;
   }
 
@@ -603,33 +2472,452 @@ async function loadInput({ format, data, name, size, allowRepair }) {
   const validationMessage = validateObject(object);
   if (validationMessage) {
     disposeObject(object);
-    clearModel(validationMessage, true);
+    if (live) {
+      showLiveError(validationMessage);
+      return;
+    }
+    showLoadError(validationMessage);
     if (allowRepair && typeof data === "string") {
       showRepairPrompt("Issues found. Try to auto-fix the STL text?", data);
     }
     return;
   }
 
-  finalizeLoad(object, name, size, label);
+  hideLiveError();
+  finalizeLoad(object, name, size, label, source, live);
+}
+
+function hideCustomizer() {
+  customizer = null;
+  clearTimeout(customizerTimer);
+  if (customizerPanel) {
+    customizerPanel.hidden = true;
+  }
+}
+
+function scheduleCustomizerCompile() {
+  clearTimeout(customizerTimer);
+  customizerTimer = setTimeout(() => {
+    if (!customizer) {
+      return;
+    }
+    const code = customizer.code;
+    loadInput({
+      format: "scad",
+      data: code,
+      name: "pasted.scad",
+      size: new Blob([code]).size,
+      allowRepair: false,
+      source: "text",
+      live: true,
+    }).catch((error) => {
+      showLiveError(error?.message || "Could not compile the customized model.");
+    });
+  }, CUSTOMIZER_DELAY);
+}
+
+function updateCustomizerCode() {
+  customizer.code = applyScadParameters(
+    customizer.source,
+    customizer.parameters,
+    customizer.values
+  );
+  setEditorValue(stlText, customizer.code);
+  scheduleCustomizerCompile();
+}
+
+function setCustomizerValue(name, value) {
+  customizer.values.set(name, value);
+  parameterSetSelect.value = "";
+  deleteParameterSetButton.disabled = true;
+  updateCustomizerCode();
+}
+
+function createNumberInput(parameter, value, onChange) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.value = value;
+  input.step = parameter.step ?? "any";
+  if (parameter.min !== undefined) {
+    input.min = parameter.min;
+  }
+  if (parameter.max !== undefined) {
+    input.max = parameter.max;
+  }
+  input.addEventListener("change", () => {
+    const number = Number(input.value);
+    if (input.value !== "" && Number.isFinite(number)) {
+      onChange(number);
+    }
+  });
+  return input;
+}
+
+function createParameterControl(parameter, id) {
+  const value = customizer.values.get(parameter.name);
+  const update = (next) => setCustomizerValue(parameter.name, next);
+
+  if (parameter.widget === "slider") {
+    const wrap = document.createElement("div");
+    wrap.className = "param-slider";
+    const range = document.createElement("input");
+    range.type = "range";
+    range.id = id;
+    range.min = parameter.min;
+    range.max = parameter.max;
+    range.step = parameter.step ?? "any";
+    range.value = value;
+    const number = createNumberInput(parameter, value, (next) => {
+      range.value = next;
+      update(next);
+    });
+    range.addEventListener("input", () => {
+      number.value = range.value;
+      update(Number(range.value));
+    });
+    wrap.append(range, number);
+    return wrap;
+  }
+
+  if (parameter.widget === "dropdown") {
+    const select = document.createElement("select");
+    select.id = id;
+    parameter.options.forEach((option, index) => {
+      select.appendChild(new Option(option.label, String(index), false, option.value === value));
+    });
+    select.addEventListener("change", () => {
+      update(parameter.options[Number(select.value)].value);
+    });
+    return select;
+  }
+
+  if (parameter.widget === "checkbox") {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = id;
+    checkbox.checked = value;
+    checkbox.addEventListener("change", () => update(checkbox.checked));
+    return checkbox;
+  }
+
+  if (parameter.widget === "vector") {
+    const wrap = document.createElement("div");
+    wrap.className = "param-vector";
+    value.forEach((item, index) => {
+      const input = createNumberInput(parameter, item, (next) => {
+        const vector = [...customizer.values.get(parameter.name)];
+        vector[index] = next;
+        update(vector);
+      });
+      if (index === 0) {
+        input.id = id;
+      }
+      wrap.appendChild(input);
+    });
+    return wrap;
+  }
+
+  if (parameter.widget === "text") {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.id = id;
+    input.value = value;
+    if (parameter.maxLength) {
+      input.maxLength = parameter.maxLength;
+    }
+    input.addEventListener("change", () => update(input.value));
+    return input;
+  }
+
+  const input = createNumberInput(parameter, value, update);
+  input.id = id;
+  return input;
+}
+
+function renderCustomizer() {
+  const sections = customizer.groups.map((group) => {
+    const details = document.createElement("details");
+    details.className = "param-group";
+    details.open = true;
+    const summary = document.createElement("summary");
+    summary.textContent = group.name;
+    details.appendChild(summary);
+
+    group.parameters.forEach((parameter) => {
+      const id = `param-${parameter.name}`;
+      const row = document.createElement("div");
+      row.className = "param-row";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = parameter.name;
+      row.appendChild(label);
+      if (parameter.description) {
+        const description = document.createElement("span");
+        description.className = "param-description";
+        description.textContent = parameter.description;
+        row.appendChild(description);
+      }
+      row.appendChild(createParameterControl(parameter, id));
+      details.appendChild(row);
+    });
+    return details;
+  });
+  customizerForm.replaceChildren(...sections);
+}
+
+function setupCustomizer(text) {
+  if (!customizerPanel || (customizer && text === customizer.code)) {
+    return;
+  }
+  const { parameters, groups } = parseScadParameters(text);
+  if (!parameters.length) {
+    hideCustomizer();
+    return;
+  }
+  customizer = {
+    source: text,
+    code: text,
+    parameters,
+    groups,
+    values: new Map(parameters.map((parameter) => [parameter.name, parameter.value])),
+  };
+  renderCustomizer();
+  renderParameterSetOptions();
+  customizerPanel.hidden = false;
+}
+
+function loadParameterSets() {
+  try {
+    const saved = localStorage.getItem(PARAMETER_SETS_KEY);
+    return saved ? parseParameterSetFile(saved) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function storeParameterSets(sets) {
+  localStorage.setItem(PARAMETER_SETS_KEY, writeParameterSetFile(sets));
+}
+
+function renderParameterSetOptions(selected = "") {
+  const names = Object.keys(loadParameterSets());
+  parameterSetSelect.replaceChildren(
+    new Option("Current values", ""),
+    ...names.map((name) => new Option(name, name))
+  );
+  parameterSetSelect.value = names.includes(selected) ? selected : "";
+  deleteParameterSetButton.disabled = !parameterSetSelect.value;
+}
+
+function applyParameterSet(name) {
+  const set = loadParameterSets()[name];
+  deleteParameterSetButton.disabled = !set;
+  if (!set || !customizer) {
+    return;
+  }
+  readParameterSet(customizer.parameters, set).forEach((value, key) => {
+    customizer.values.set(key, value);
+  });
+  renderCustomizer();
+  updateCustomizerCode();
+  setStatus(`Parameter set "${name}" applied.`);
+}
+
+function saveParameterSet() {
+  if (!customizer) {
+    return;
+  }
+  const name = parameterSetName.value.trim() || parameterSetSelect.value;
+  if (!name) {
+    setStatus("Name the parameter set before saving.", true);
+    return;
+  }
+  const sets = loadParameterSets();
+  sets[name] = createParameterSet(customizer.parameters, customizer.values);
+  storeParameterSets(sets);
+  parameterSetName.value = "";
+  renderParameterSetOptions(name);
+  setStatus(`Parameter set "${name}" saved.`);
+}
+
+function deleteParameterSet() {
+  const name = parameterSetSelect.value;
+  const sets = loadParameterSets();
+  if (!name || !sets[name]) {
+    return;
+  }
+  delete sets[name];
+  storeParameterSets(sets);
+  renderParameterSetOptions();
+  setStatus(`Parameter set "${name}" deleted.`);
+}
+
+async function importParameterSets(file) {
+  const imported = parseParameterSetFile(await file.text());
+  storeParameterSets({ ...loadParameterSets(), ...imported });
+  const names = Object.keys(imported);
+  renderParameterSetOptions(names.length === 1 ? names[0] : "");
+  if (names.length === 1) {
+    applyParameterSet(names[0]);
+  }
+  setStatus(`Imported ${names.length} parameter set(s) from ${file.name}.`);
+}
+
+function exportParameterSets() {
+  const sets = loadParameterSets();
+  if (!Object.keys(sets).length) {
+    setStatus("Save a parameter set before exporting.", true);
+    return;
+  }
+  saveBlob(new Blob([writeParameterSetFile(sets)], { type: "application/json" }), "parameters.json");
+  setStatus("Parameter sets exported.");
 }
 
-async function handleText() {
+async function handleText(live = false) {
+  clearTimeout(livePreviewTimer);
   const text = stlText.value.replace(/^\uFEFF/, "").trim();
   if (!text) {
-    clearModel("Paste model code before loading.", true);
+    if (!live) {
+      showLoadError("Paste model code before loading.");
+    }
     return;
   }
 
   const format = detectFormatFromText(text);
   if (!format) {
-    clearModel("Unrecognized format. Paste STL, OBJ, PLY, OFF, glTF JSON, or SCAD.", true);
+    const message = "Unrecognized format. Paste STL, OBJ, PLY, OFF, glTF JSON, or SCAD.";
+    if (live) {
+      showLiveError(message);
+    } else {
+      showLoadError(message);
+    }
     return;
   }
 
+  if (format === "scad") {
+    setupCustomizer(text);
+    clearTimeout(customizerTimer);
+  } else {
+    hideCustomizer();
+    setEditorMarkers(stlText, []);
+  }
+
   const size = new Blob([text]).size;
   const name = `pasted.${format}`;
-  const allowRepair = format === "stl";
-  await loadInput({ format, data: text, name, size, allowRepair });
+  const allowRepair = format === "stl" && !live;
+  await loadInput({ format, data: text, name, size, allowRepair, source: "text", live });
+}
+
+function scheduleLivePreview() {
+  clearTimeout(livePreviewTimer);
+  if (!livePreview?.checked) {
+    return;
+  }
+  livePreviewTimer = setTimeout(() => {
+    handleText(true).catch((error) => {
+      showLiveError(error?.message || "Could not parse the text.");
+    });
+  }, LIVE_PREVIEW_DELAY);
+}
+
+function renderScadProject() {
+  if (!projectPanel) {
+    return;
+  }
+  if (!scadProject) {
+    projectPanel.hidden = true;
+    return;
+  }
+  projectEntry.replaceChildren(...scadProject.scadFiles.map((path) => new Option(path, path)));
+  projectEntry.value = scadProject.entry;
+  const otherFiles = scadProject.files.length - scadProject.scadFiles.length;
+  projectSummary.textContent = `${scadProject.name}: ${scadProject.scadFiles.length} SCAD file(s), ${otherFiles} other file(s).`;
+  projectPanel.hidden = false;
+}
+
+async function compileScadProject() {
+  if (!scadProject) {
+    return;
+  }
+  const file = getScadProjectFile(scadProject, scadProject.entry);
+  await loadInput({
+    format: "scad",
+    data: textDecoder.decode(file.data),
+    name: scadProject.entry.split("/").pop(),
+    size: file.data.byteLength,
+    allowRepair: false,
+    source: "project",
+    project: scadProject,
+  });
+}
+
+async function openScadProject(project) {
+  if (!project.scadFiles.length) {
+    showLoadError(`${project.name} does not contain any .scad files.`);
+    return;
+  }
+  scadProject = project;
+  renderScadProject();
+  setStatus(`Opened ${project.name} with ${project.entry} as the entry file.`);
+  await compileScadProject();
+}
+
+function closeScadProject() {
+  scadProject = null;
+  renderScadProject();
+}
+
+function readDirectory(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (!batch.length) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+}
+
+async function collectEntryFiles(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({
+      path: entry.fullPath.replace(/^\/+/, ""),
+      data: new Uint8Array(await file.arrayBuffer()),
+    });
+    return;
+  }
+  for (const child of await readDirectory(entry)) {
+    await collectEntryFiles(child, files);
+  }
+}
+
+async function handleFolderDrop(entries) {
+  setStatus("Reading dropped folder...");
+  const files = [];
+  for (const entry of entries) {
+    await collectEntryFiles(entry, files);
+  }
+  const folder = entries.find((entry) => entry.isDirectory);
+  await openScadProject(createScadProject(files, folder.name));
+}
+
+async function handleFolderFiles(fileList) {
+  const files = [];
+  for (const file of fileList) {
+    files.push({
+      path: file.webkitRelativePath || file.name,
+      data: new Uint8Array(await file.arrayBuffer()),
+    });
+  }
+  await openScadProject(createScadProject(files));
 }
 
 async function handleFile(file) {
@@ -637,12 +2925,30 @@ async function handleFile(file) {
     return;
   }
 
+  if (/\.stl$/i.test(file.name) && file.size >= STREAMING_STL_BYTES) {
+    await loadInput({
+      format: "stl",
+      data: file,
+      name: file.name,
+      size: file.size,
+      allowRepair: false,
+      source: "file",
+    });
+    return;
+  }
+
   const buffer = await file.arrayBuffer();
+  if (/\.zip$/i.test(file.name)) {
+    await openScadProject(readScadZip(buffer, file.name));
+    return;
+  }
   const headerText = textDecoder.decode(buffer.slice(0, 512));
   const format = detectFormatFromFile(file.name, headerText);
 
   if (!format) {
-    clearModel("Unrecognized file format. Use STL, OBJ, PLY, OFF, glTF/GLB, 3MF, or SCAD.", true);
+    showLoadError(
+      `${file.name}: unrecognized file format. Use STL, OBJ, PLY, OFF, glTF/GLB, 3MF, or SCAD.`
+    );
     return;
   }
 
@@ -667,38 +2973,167 @@ async function handleFile(file) {
     name: file.name,
     size: file.size,
     allowRepair,
+    source: "file",
   });
 }
 
-function downloadStl() {
-  if (!currentObject) {
+async function handleFiles(files) {
+  for (const file of files) {
+    try {
+      await handleFile(file);
+    } catch (error) {
+      showLoadError(error?.message || `Could not read ${file.name}.`);
+    }
+  }
+}
+
+function getMaterialColor(material) {
+  const source = Array.isArray(material) ? material[0] : material;
+  return source?.color ? source.color.getHex() : 0xff9a6a;
+}
+
+function bakeExportMeshes(entries) {
+  const meshes = [];
+  entries.forEach((entry) => {
+    entry.object.updateWorldMatrix(true, true);
+    const toModel = getFrameMatrix(entry.object, modelGroup);
+    const parts = [];
+    entry.object.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.getAttribute("position")) {
+        return;
+      }
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", child.geometry.getAttribute("position").clone());
+      if (child.geometry.index) {
+        geometry.setIndex(child.geometry.index.clone());
+      }
+      const matrix = new THREE.Matrix4().multiplyMatrices(toModel, child.matrixWorld);
+      geometry.applyMatrix4(matrix);
+      if (matrix.determinant() < 0) {
+        flipWinding(geometry);
+      }
+      geometry.computeVertexNormals();
+      const mesh = new THREE.Mesh(
+        geometry,
+        new THREE.MeshStandardMaterial({ color: getMaterialColor(child.material) })
+      );
+      mesh.name = child.name;
+      parts.push(mesh);
+    });
+    const baseName = getBaseName(entry.name);
+    parts.forEach((mesh, index) => {
+      if (!mesh.name) {
+        mesh.name = parts.length > 1 ? `${baseName}-${index + 1}` : baseName;
+      }
+    });
+    meshes.push(...parts);
+  });
+  return meshes;
+}
+
+function flipWinding(geometry) {
+  if (geometry.index) {
+    const index = geometry.index;
+    for (let i = 0; i < index.count; i += 3) {
+      const b = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, b);
+    }
+    index.needsUpdate = true;
     return;
   }
+  const position = geometry.getAttribute("position");
+  const swap = new THREE.Vector3();
+  for (let i = 0; i < position.count; i += 3) {
+    swap.fromBufferAttribute(position, i + 1);
+    position.setXYZ(
+      i + 1,
+      position.getX(i + 2),
+      position.getY(i + 2),
+      position.getZ(i + 2)
+    );
+    position.setXYZ(i + 2, swap.x, swap.y, swap.z);
+  }
+  position.needsUpdate = true;
+}
 
-  const saved = {
-    position: modelGroup.position.clone(),
-    rotation: modelGroup.rotation.clone(),
-    scale: modelGroup.scale.clone(),
+function createThreeMfPart(mesh) {
+  const merged = mergeVertices(mesh.geometry.clone().deleteAttribute("normal"));
+  const vertices = merged.getAttribute("position").array;
+  const indices = merged.index
+    ? merged.index.array
+    : Array.from({ length: vertices.length / 3 }, (_, i) => i);
+  merged.dispose();
+  return {
+    name: mesh.name,
+    color: mesh.material.color.getHex(),
+    vertices,
+    indices,
   };
-  resetTransforms();
-  modelGroup.updateMatrixWorld(true);
-  const result = stlExporter.parse(currentObject, { binary: binaryExport.checked });
-  modelGroup.position.copy(saved.position);
-  modelGroup.rotation.copy(saved.rotation);
-  modelGroup.scale.copy(saved.scale);
+}
 
-  const blob = binaryExport.checked
-    ? new Blob([result], { type: "application/sla" })
-    : new Blob([result], { type: "text/plain" });
+async function exportMeshes(meshes, format) {
+  const root = new THREE.Group();
+  meshes.forEach((mesh) => root.add(mesh));
+  root.updateMatrixWorld(true);
+
+  switch (format) {
+    case "stl":
+      return stlExporter.parse(root, { binary: binaryExport.checked });
+    case "3mf":
+      return export3mf(meshes.map(createThreeMfPart));
+    case "obj":
+      return objExporter.parse(root);
+    case "ply-ascii":
+    case "ply-binary":
+      return plyExporter.parse(root, null, {
+        binary: format === "ply-binary",
+        excludeAttributes: ["uv", "color"],
+      });
+    case "glb":
+      return gltfExporter.parseAsync(root, { binary: true });
+    default:
+      throw new Error("Unsupported export format.");
+  }
+}
 
+function saveBlob(blob, fileName) {
   const anchor = document.createElement("a");
-  const baseName = currentName.replace(/\.[^/.]+$/, "") || "model";
-  anchor.download = `${baseName}-export.stl`;
+  anchor.download = fileName;
   anchor.href = URL.createObjectURL(blob);
   document.body.appendChild(anchor);
   anchor.click();
   anchor.remove();
   setTimeout(() => URL.revokeObjectURL(anchor.href), 0);
+}
+
+async function downloadModel() {
+  const entries =
+    exportScope?.value === "all" ? getVisibleEntries() : [selectedEntry].filter(Boolean);
+  if (!entries.length) {
+    setStatus("Nothing to export. Select or show an object first.", true);
+    return;
+  }
+
+  const format = exportFormat?.value || "stl";
+  const target = EXPORT_FORMATS[format] || EXPORT_FORMATS.stl;
+  const meshes = bakeExportMeshes(entries);
+  setStatus(`Exporting ${target.label}...`);
+
+  let result;
+  try {
+    result = await exportMeshes(meshes, format);
+  } finally {
+    meshes.forEach((mesh) => disposeObject(mesh));
+  }
+
+  let type = target.type;
+  if (format === "stl") {
+    type = binaryExport.checked ? "application/sla" : "text/plain";
+  }
+  const blob = new Blob([result], { type });
+  const baseName = entries.length === 1 ? getBaseName(entries[0].name) : "workspace";
+  saveBlob(blob, `${baseName}-export.${target.extension}`);
   setStatus("Download started.");
 }
 
@@ -713,13 +3148,14 @@ function applyRepair() {
     setStatus("No fixable issues found in the STL text.", true);
     return;
   }
-  stlText.value = repaired;
+  setEditorValue(stlText, repaired);
   loadInput({
     format: "stl",
     data: repaired,
     name: "repaired-model.stl",
     size: new Blob([repaired]).size,
     allowRepair: false,
+    source: "text",
   });
 }
 
@@ -732,30 +3168,58 @@ function onResize() {
 
 function animate() {
   requestAnimationFrame(animate);
-  if (autoRotate.checked && currentObject) {
-    modelGroup.rotation.y += 0.004;
+  if (autoRotate.checked && workspace.length) {
+    modelGroup.rotation.z += 0.004;
+  }
+  modelGroup.updateMatrixWorld();
+  modelSpaceInverse.copy(modelGroup.matrixWorld).invert();
+  if (sectionPlanes.length) {
+    sectionWorldPlane.copy(sectionModelPlane).applyMatrix4(modelGroup.matrixWorld);
   }
   controls.update();
   renderer.render(scene, camera);
 }
 
 fileInput.addEventListener("change", (event) => {
-  const [file] = event.target.files;
-  handleFile(file).catch((error) => {
-    clearModel(error?.message || "Could not read the file.", true);
-  });
+  handleFiles(Array.from(event.target.files));
   event.target.value = "";
 });
 
+stlText.addEventListener("input", scheduleLivePreview);
+
+if (livePreview) {
+  livePreview.addEventListener("change", () => {
+    if (livePreview.checked) {
+      scheduleLivePreview();
+    } else {
+      clearTimeout(livePreviewTimer);
+      hideLiveError();
+    }
+  });
+}
+
 loadTextButton.addEventListener("click", () => {
   handleText().catch((error) => {
-    clearModel(error?.message || "Could not parse the text.", true);
+    showLoadError(error?.message || "Could not parse the text.");
   });
 });
 
-downloadButton.addEventListener("click", downloadStl);
+downloadButton.addEventListener("click", () => {
+  downloadModel().catch((error) => {
+    setStatus(error?.message || "Export failed.", true);
+  });
+});
 resetViewButton.addEventListener("click", resetView);
 
+if (scadTimeout) {
+  scadTimeout.value = getScadTimeout();
+  scadTimeout.addEventListener("change", () => {
+    setScadTimeout(Number(scadTimeout.value));
+    scadTimeout.value = getScadTimeout();
+  });
+  cancelCompileButton.addEventListener("click", () => cancelScadCompile());
+}
+
 if (repairConfirm && repairCancel) {
   repairConfirm.addEventListener("click", applyRepair);
   repairCancel.addEventListener("click", hideRepairPrompt);
@@ -779,14 +3243,208 @@ dropZone.addEventListener("dragleave", () => {
 dropZone.addEventListener("drop", (event) => {
   event.preventDefault();
   dropZone.classList.remove("is-dragover");
-  const [file] = event.dataTransfer.files;
-  handleFile(file).catch((error) => {
-    clearModel(error?.message || "Could not read the file.", true);
+  const entries = Array.from(event.dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.some((entry) => entry.isDirectory)) {
+    handleFolderDrop(entries).catch((error) => {
+      showLoadError(error?.message || "Could not read the dropped folder.");
+    });
+    return;
+  }
+  handleFiles(Array.from(event.dataTransfer.files));
+});
+
+if (folderInput) {
+  folderInput.addEventListener("change", (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length) {
+      handleFolderFiles(files).catch((error) => {
+        showLoadError(error?.message || "Could not read the folder.");
+      });
+    }
+    event.target.value = "";
+  });
+}
+
+if (projectPanel) {
+  projectEntry.addEventListener("change", () => {
+    scadProject.entry = projectEntry.value;
+  });
+  compileProjectButton.addEventListener("click", () => {
+    compileScadProject().catch((error) => {
+      showLoadError(error?.message || "Could not compile the project.");
+    });
+  });
+  closeProjectButton.addEventListener("click", closeScadProject);
+}
+
+if (materialPreset) {
+  materialPreset.addEventListener("change", applyMaterialPreset);
+  [materialDensity, materialPrice].forEach((field) => {
+    field.addEventListener("input", () => {
+      materialPreset.value = "custom";
+      updateMaterialEstimate();
+    });
   });
+  applyMaterialPreset();
+}
+
+if (transformControls) {
+  applyScaleButton.addEventListener("click", applyScalePercent);
+  applySizeButton.addEventListener("click", applyTargetSize);
+  rotateButtons.forEach((button) => {
+    button.addEventListener("click", () => applyRotation(button.dataset.rotate, 90));
+  });
+  applyRotateButton.addEventListener("click", () => {
+    applyRotation(rotateAxis.value, Number(rotateAngle.value));
+  });
+  mirrorButtons.forEach((button) => {
+    const axis = button.dataset.mirror;
+    button.addEventListener("click", () => {
+      commitTransform(() => mirrorAxis(axis), `Mirrored on ${axis.toUpperCase()}.`);
+    });
+  });
+  layFlatButton.addEventListener("click", () => {
+    setPickingFace(!isPickingFace);
+    if (isPickingFace) {
+      setStatus("Click a face in the preview to lay it on the build plate. Press Esc to cancel.");
+    }
+  });
+  dropButton.addEventListener("click", () => {
+    commitTransform(dropToFloor, "Dropped to Z=0.");
+  });
+  centerButton.addEventListener("click", () => {
+    commitTransform(centerOnOrigin, "Centred on origin.");
+  });
+  undoButton.addEventListener("click", undoTransform);
+  redoButton.addEventListener("click", redoTransform);
+  resetTransformButton.addEventListener("click", () => {
+    commitTransform(() => {
+      partGroup.position.set(0, 0, 0);
+      partGroup.quaternion.identity();
+      partGroup.scale.set(1, 1, 1);
+    }, "Transforms reset.");
+  });
+  updateTransformControls();
+}
+
+renderer.domElement.addEventListener("pointerdown", (event) => {
+  pointerStart = { x: event.clientX, y: event.clientY };
 });
+renderer.domElement.addEventListener("pointerup", onViewerPointerUp);
+window.addEventListener("keydown", onKeyDown);
+
+if (printerProfile) {
+  restorePrinterProfile();
+  printerProfile.addEventListener("change", () => {
+    savePrinterProfile();
+    updateBuildPlate();
+  });
+  [customWidth, customDepth, customHeight].forEach((field) => {
+    field.addEventListener("change", () => {
+      savePrinterProfile();
+      updateBuildPlate();
+    });
+  });
+  scaleToPlateButton.addEventListener("click", scaleToPlate);
+  arrangeButton.addEventListener("click", arrangeOnPlate);
+  updateBuildPlate();
+}
+
+if (viewMode) {
+  viewMode.addEventListener("change", setViewMode);
+  overhangThreshold.addEventListener("change", updateOverhangs);
+  setViewMode();
+}
+
+if (customizerPanel) {
+  parameterSetSelect.addEventListener("change", () => {
+    applyParameterSet(parameterSetSelect.value);
+  });
+  saveParameterSetButton.addEventListener("click", saveParameterSet);
+  deleteParameterSetButton.addEventListener("click", deleteParameterSet);
+  exportParameterSetsButton.addEventListener("click", exportParameterSets);
+  importParameterSetsInput.addEventListener("change", (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      importParameterSets(file).catch((error) => {
+        setStatus(error?.message || "Could not read the parameter set file.", true);
+      });
+    }
+    event.target.value = "";
+  });
+}
+
+if (sectionEnabled) {
+  sectionEnabled.addEventListener("change", () => {
+    sectionSettings.hidden = !sectionEnabled.checked;
+    updateSection();
+  });
+  sectionAxis.addEventListener("change", updateSection);
+  sectionOffset.addEventListener("input", updateSection);
+  sectionSvgButton.addEventListener("click", () => downloadSection("svg"));
+  sectionDxfButton.addEventListener("click", () => downloadSection("dxf"));
+}
+
+if (simplifyEnabled) {
+  simplifyEnabled.addEventListener("change", () => {
+    simplifySettings.hidden = !simplifyEnabled.checked;
+    if (simplifyEnabled.checked) {
+      scheduleSimplifyPreview();
+    } else {
+      clearSimplifyPreview();
+    }
+  });
+  simplifyMode.addEventListener("change", updateSimplifyMode);
+  [simplifyTarget, simplifyBoundary].forEach((field) => {
+    field.addEventListener("change", scheduleSimplifyPreview);
+  });
+  simplifyApplyButton.addEventListener("click", applySimplifiedMesh);
+}
+
+if (orbitLod) {
+  orbitLod.addEventListener("change", () => {
+    clearTimeout(lodTimer);
+    setLodActive(false);
+    workspace.forEach((entry) => {
+      if (orbitLod.checked) {
+        buildEntryLod(entry);
+      } else {
+        clearEntryLod(entry);
+      }
+    });
+  });
+  controls.addEventListener("change", onCameraChange);
+}
+
+if (showIssues) {
+  showIssues.addEventListener("change", () => {
+    if (analysisOverlay) {
+      analysisOverlay.visible = showIssues.checked;
+    }
+  });
+}
+
+if (repairMeshButton) {
+  repairMeshButton.addEventListener("click", repairCurrentMesh);
+}
+
+if (exportFormat) {
+  exportFormat.addEventListener("change", () => {
+    binaryExport.disabled = exportFormat.value !== "stl";
+  });
+}
+
+if (clearWorkspaceButton) {
+  clearWorkspaceButton.addEventListener("click", () => {
+    clearWorkspace("Workspace cleared.");
+  });
+  renderObjectList();
+}
 
 autoFit.addEventListener("change", () => {
-  if (currentObject) {
+  if (workspace.length) {
     resetView();
   }
 });
@@ -795,11 +3453,13 @@ window.addEventListener("resize", onResize);
 
 const generatedCode = localStorage.getItem(GENERATED_CODE_KEY);
 if (generatedCode) {
-  stlText.value = generatedCode;
+  setEditorValue(stlText, generatedCode);
   localStorage.removeItem(GENERATED_CODE_KEY);
   setStatus("Generated code loaded. Click View Model.");
 }
 
+createCodeEditor(stlText, { mode: "auto" });
 onResize();
-frameCamera(modelGroup);
+frameScene();
 animate();
+registerOfflineCache();
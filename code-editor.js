@@ -0,0 +1,319 @@
+const CodeMirror = window.CodeMirror;
+const MARKER_GUTTER = "editor-markers";
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/i;
+
+const SCAD_KEYWORDS = [
+  "module",
+  "function",
+  "include",
+  "use",
+  "if",
+  "else",
+  "for",
+  "intersection_for",
+  "let",
+  "each",
+  "assert",
+  "echo",
+  "true",
+  "false",
+  "undef",
+];
+
+const SCAD_BUILTINS = [
+  "cube",
+  "sphere",
+  "cylinder",
+  "polyhedron",
+  "square",
+  "circle",
+  "polygon",
+  "text",
+  "import",
+  "surface",
+  "translate",
+  "rotate",
+  "scale",
+  "resize",
+  "mirror",
+  "multmatrix",
+  "color",
+  "offset",
+  "hull",
+  "minkowski",
+  "union",
+  "difference",
+  "intersection",
+  "linear_extrude",
+  "rotate_extrude",
+  "projection",
+  "render",
+  "children",
+  "abs",
+  "sign",
+  "sin",
+  "cos",
+  "tan",
+  "asin",
+  "acos",
+  "atan",
+  "atan2",
+  "floor",
+  "round",
+  "ceil",
+  "ln",
+  "log",
+  "pow",
+  "sqrt",
+  "exp",
+  "min",
+  "max",
+  "norm",
+  "cross",
+  "len",
+  "concat",
+  "lookup",
+  "str",
+  "chr",
+  "ord",
+  "search",
+  "rands",
+  "is_undef",
+  "is_bool",
+  "is_num",
+  "is_string",
+  "is_list",
+  "is_function",
+  "version",
+  "version_num",
+  "parent_module",
+];
+
+const SCAD_SPECIAL_VARIABLES = ["$fn", "$fa", "$fs", "$t", "$vpr", "$vpt", "$vpd", "$children", "$preview"];
+
+const MARKER_ORDER = ["trace", "warning", "error"];
+
+const editors = new WeakMap();
+
+function wordPattern(words) {
+  return new RegExp(`(?:${words.join("|")})\\b`);
+}
+
+function defineModes() {
+  if (!CodeMirror?.defineSimpleMode || CodeMirror.modes.scad) {
+    return;
+  }
+  CodeMirror.defineSimpleMode("scad", {
+    start: [
+      { regex: /\/\/.*/, token: "comment" },
+      { regex: /\/\*/, token: "comment", next: "comment" },
+      { regex: /"(?:[^\\"]|\\.)*"?/, token: "string" },
+      { regex: /(include|use)(\s*)(<[^>]*>)/, token: ["keyword", null, "string"] },
+      { regex: /(module|function)(\s+)([A-Za-z_]\w*)/, token: ["keyword", null, "def"] },
+      { regex: wordPattern(SCAD_KEYWORDS), token: "keyword" },
+      { regex: wordPattern(SCAD_BUILTINS), token: "builtin" },
+      { regex: /\$\w+/, token: "variable-2" },
+      { regex: NUMBER, token: "number" },
+      { regex: /[-+*/%^=<>!?:&|#]+/, token: "operator" },
+      { regex: /[{[(]/, indent: true },
+      { regex: /[}\])]/, dedent: true },
+      { regex: /[A-Za-z_]\w*/, token: "variable" },
+    ],
+    comment: [
+      { regex: /.*?\*\//, token: "comment", next: "start" },
+      { regex: /.*/, token: "comment" },
+    ],
+    meta: {
+      lineComment: "//",
+      blockCommentStart: "/*",
+      blockCommentEnd: "*/",
+      electricChars: "}]",
+      fold: "brace",
+    },
+  });
+  CodeMirror.defineSimpleMode("stl", {
+    start: [
+      { regex: /(?:end)?solid\b/, token: "keyword" },
+      { regex: /(?:facet|normal|outer|loop|vertex|endloop|endfacet)\b/, token: "keyword" },
+      { regex: NUMBER, token: "number" },
+    ],
+  });
+  CodeMirror.defineSimpleMode("obj", {
+    start: [
+      { regex: /#.*/, token: "comment" },
+      { regex: /(?:v|vt|vn|vp|f|l|p|o|g|s|usemtl|mtllib)\b/, sol: true, token: "keyword" },
+      { regex: NUMBER, token: "number" },
+      { regex: /\//, token: "operator" },
+    ],
+  });
+}
+
+export function detectEditorMode(text) {
+  const head = text.slice(0, 2000).trim();
+  if (/^solid\b/i.test(head) && /facet\s+normal/i.test(head)) {
+    return "stl";
+  }
+  if (/^(?:ply|c?off)\b/i.test(head) || head.startsWith("{")) {
+    return "text/plain";
+  }
+  if (/^(?:#.*\n)?\s*(o|g|v|vn|vt|f)\s+/im.test(head) && !/[;{]/.test(head)) {
+    return "obj";
+  }
+  return "scad";
+}
+
+function getDeclaredNames(cm) {
+  const names = new Set();
+  const pattern = /\b(?:module|function)\s+([A-Za-z_]\w*)|^\s*([A-Za-z_$]\w*)\s*=/gm;
+  for (const match of cm.getValue().matchAll(pattern)) {
+    names.add(match[1] || match[2]);
+  }
+  return [...names];
+}
+
+function scadHint(cm) {
+  const cursor = cm.getCursor();
+  const line = cm.getLine(cursor.line);
+  let start = cursor.ch;
+  while (start > 0 && /[\w$]/.test(line[start - 1])) {
+    start -= 1;
+  }
+  const word = line.slice(start, cursor.ch);
+  if (!word) {
+    return null;
+  }
+  const candidates = new Set([
+    ...SCAD_BUILTINS,
+    ...SCAD_KEYWORDS,
+    ...SCAD_SPECIAL_VARIABLES,
+    ...getDeclaredNames(cm),
+  ]);
+  const list = [...candidates].filter((name) => name.startsWith(word) && name !== word).sort();
+  if (!list.length) {
+    return null;
+  }
+  return {
+    list,
+    from: CodeMirror.Pos(cursor.line, start),
+    to: CodeMirror.Pos(cursor.line, cursor.ch),
+  };
+}
+
+function showCompletions(cm, change) {
+  if (cm.getMode().name !== "scad" || cm.state.completionActive || change.origin !== "+input") {
+    return;
+  }
+  if (!/^[\w$]$/.test(change.text.join(""))) {
+    return;
+  }
+  const type = cm.getTokenTypeAt(cm.getCursor()) || "";
+  if (/comment|string/.test(type)) {
+    return;
+  }
+  cm.showHint({ hint: scadHint, completeSingle: false });
+}
+
+export function createCodeEditor(textarea, { mode = "scad", readOnly = false } = {}) {
+  if (!textarea || !CodeMirror?.fromTextArea) {
+    return null;
+  }
+  defineModes();
+  const autoMode = mode === "auto";
+  const cm = CodeMirror.fromTextArea(textarea, {
+    mode: autoMode ? detectEditorMode(textarea.value) : mode,
+    theme: "studio",
+    lineNumbers: true,
+    matchBrackets: true,
+    foldGutter: true,
+    gutters: [MARKER_GUTTER, "CodeMirror-linenumbers", "CodeMirror-foldgutter"],
+    indentUnit: 2,
+    tabSize: 2,
+    readOnly,
+    placeholder: textarea.placeholder,
+    extraKeys: {
+      "Ctrl-Space": "autocomplete",
+      "Ctrl-Q": (instance) => instance.foldCode(instance.getCursor()),
+    },
+    hintOptions: { hint: scadHint, completeSingle: false },
+  });
+  const state = { cm, lineClasses: [] };
+  editors.set(textarea, state);
+
+  cm.on("change", (instance, change) => {
+    instance.save();
+    if (autoMode) {
+      const nextMode = detectEditorMode(instance.getValue());
+      if (nextMode !== instance.getOption("mode")) {
+        instance.setOption("mode", nextMode);
+      }
+    }
+    if (change.origin !== "setValue") {
+      textarea.dispatchEvent(new Event("input"));
+    }
+  });
+  if (!readOnly) {
+    cm.on("inputRead", showCompletions);
+  }
+  return cm;
+}
+
+export function setEditorValue(textarea, text) {
+  const state = editors.get(textarea);
+  if (state) {
+    state.cm.setValue(text);
+  } else {
+    textarea.value = text;
+  }
+}
+
+export function selectEditorLine(textarea, line) {
+  const state = editors.get(textarea);
+  if (state) {
+    const { cm } = state;
+    const index = Math.min(Math.max(line - 1, 0), cm.lineCount() - 1);
+    cm.focus();
+    cm.setSelection(CodeMirror.Pos(index, 0), CodeMirror.Pos(index, cm.getLine(index).length));
+    cm.scrollIntoView(CodeMirror.Pos(index, 0), cm.getScrollInfo().clientHeight / 2);
+    return;
+  }
+  const lines = textarea.value.split("\n");
+  const index = Math.min(Math.max(line - 1, 0), lines.length - 1);
+  const start = lines.slice(0, index).reduce((total, text) => total + text.length + 1, 0);
+  textarea.focus();
+  textarea.setSelectionRange(start, start + lines[index].length);
+  const style = getComputedStyle(textarea);
+  const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+  textarea.scrollTop = Math.max(0, index * lineHeight - textarea.clientHeight / 2);
+}
+
+export function setEditorMarkers(textarea, markers) {
+  const state = editors.get(textarea);
+  if (!state) {
+    return;
+  }
+  const { cm } = state;
+  cm.operation(() => {
+    state.lineClasses.forEach(({ handle, className }) => {
+      cm.removeLineClass(handle, "background", className);
+    });
+    state.lineClasses = [];
+    cm.clearGutter(MARKER_GUTTER);
+
+    const ordered = [...markers].sort(
+      (a, b) => MARKER_ORDER.indexOf(a.severity) - MARKER_ORDER.indexOf(b.severity)
+    );
+    ordered.forEach(({ line, severity, message }) => {
+      const index = line - 1;
+      if (index < 0 || index >= cm.lineCount()) {
+        return;
+      }
+      const marker = document.createElement("span");
+      marker.className = `editor-marker ${severity}`;
+      marker.title = message;
+      cm.setGutterMarker(index, MARKER_GUTTER, marker);
+      const className = `editor-line-${severity}`;
+      const handle = cm.addLineClass(index, "background", className);
+      state.lineClasses.push({ handle, className });
+    });
+  });
+}
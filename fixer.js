@@ -1,14 +1,59 @@
+import { describeRepair, repairMesh } from "./mesh-repair.js";
+import { isBinaryStl, readAsciiStl, writeAsciiStl, writeBinaryStl } from "./stl-format.js";
+import { repairBinaryStl, repairObjText, repairOffText, repairPlyText } from "./mesh-file-repair.js";
+import { cancelScadCompile, compileScad, getScadDiagnostics } from "./scad-engine.js";
+import { renderScadDiagnostics } from "./scad-diagnostics.js";
+import { createCodeEditor, selectEditorLine, setEditorMarkers, setEditorValue } from "./code-editor.js";
+import { applyScadFix, fixAllScadIssues, lintScad } from "./scad-lint.js";
+import { createScadProject } from "./scad-project.js";
+import { diffLines, mergeDiff, summarizeDiff } from "./text-diff.js";
+import {
+  compileWithRetries,
+  createLlmProvider,
+  getLlmSettings,
+  setupLlmSettings,
+} from "./llm-provider.js";
+import { registerOfflineCache } from "./offline.js";
+
 const input = document.getElementById("fix-input");
+const dropZone = document.getElementById("fix-drop");
+const fileInput = document.getElementById("fix-file");
 const output = document.getElementById("fix-output");
 const formatSelect = document.getElementById("fix-format");
 const fixButton = document.getElementById("fix-button");
+const cancelButton = document.getElementById("fix-cancel");
 const copyButton = document.getElementById("copy-fixed");
+const downloadButton = document.getElementById("download-fixed");
 const status = document.getElementById("fix-status");
 const details = document.getElementById("fix-details");
+const diagnosticsPanel = document.getElementById("fix-diagnostics");
+const llmPanel = document.getElementById("fix-llm");
+const lintPanel = document.getElementById("fix-lint");
+const lintList = document.getElementById("fix-lint-list");
+const lintAllButton = document.getElementById("fix-lint-all");
+const diffCard = document.getElementById("fix-diff");
+const diffSummary = document.getElementById("fix-diff-summary");
+const diffView = document.getElementById("fix-diff-view");
+const acceptAllButton = document.getElementById("fix-accept-all");
+const rejectAllButton = document.getElementById("fix-reject-all");
+
+const DIFF_CONTEXT = 3;
+const MAX_HUNK_ROWS = 400;
+const FILE_FORMATS = { scad: "scad", stl: "stl", obj: "obj", ply: "ply", off: "off" };
+const MESH_TEXT_REPAIRS = {
+  obj: { label: "OBJ", repair: repairObjText },
+  ply: { label: "PLY", repair: repairPlyText },
+  off: { label: "OFF", repair: repairOffText },
+};
 
-let scadCompilerPromise = null;
 let isRunning = false;
-const scadErrors = [];
+let llmRequest = null;
+let diffState = null;
+let outputFormat = null;
+let uploadedStl = null;
+let fixedBinary = null;
+let uploadName = null;
+let scadProject = null;
 
 function setStatus(message, isError = false) {
   status.textContent = message;
@@ -19,23 +64,6 @@ function setDetails(message) {
   details.textContent = message;
 }
 
-function recordScadError(message) {
-  if (message === undefined || message === null) {
-    return;
-  }
-  scadErrors.push(String(message));
-}
-
-function getScadErrorMessage() {
-  if (!scadErrors.length) {
-    return null;
-  }
-  const normalized = scadErrors.map((line) => line.replace(/\s+/g, " ").trim());
-  const errorLine = [...normalized].reverse().find((line) => /error/i.test(line));
-  const warningLine = [...normalized].reverse().find((line) => /warning/i.test(line));
-  return errorLine || warningLine || null;
-}
-
 function detectFormat(text) {
   const trimmed = text.trim();
   if (!trimmed) {
@@ -44,6 +72,15 @@ function detectFormat(text) {
   if (/^solid\b/i.test(trimmed) && /facet\s+normal/i.test(trimmed)) {
     return "stl";
   }
+  if (/^ply\b/i.test(trimmed)) {
+    return "ply";
+  }
+  if (/^(?:ST)?C?N?4?n?OFF\b/.test(trimmed)) {
+    return "off";
+  }
+  if (/^\s*v\s+[-+.\d]/m.test(trimmed) && /^\s*f\s+-?\d/m.test(trimmed) && !/[;{]/.test(trimmed)) {
+    return "obj";
+  }
   if (/\b(module|difference|union|intersection|translate|rotate|scale|cube|sphere|cylinder|polyhedron)\b/i.test(trimmed)) {
     return "scad";
   }
@@ -70,80 +107,136 @@ function repairStlText(inputText) {
   return text;
 }
 
-function normalizeScadText(inputText) {
-  return inputText
-    .replace(/^\uFEFF/, "")
-    .replace(/\r\n?/g, "\n")
-    .replace(/\u00A0/g, " ")
-    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+function repairStlPositions(positions) {
+  if (!positions.length) {
+    return { positions, changed: false, notes: [] };
+  }
+  const result = repairMesh(positions);
+  const { changes } = result;
+  const changed =
+    changes.removedDegenerate +
+      changes.removedDuplicate +
+      changes.flippedFaces +
+      changes.filledHoles >
+    0;
+  if (!changed) {
+    return { positions, changed: false, notes: [] };
+  }
+  const { actions, comparisons } = describeRepair(result);
+  const differences = comparisons
+    .filter(([, before, after]) => before !== after)
+    .map(([label, before, after]) => `${label} ${before} -> ${after}`);
+  return {
+    positions: result.positions,
+    changed: true,
+    notes: [`Geometry: ${actions.join(", ")}.`, `${differences.join(", ")}.`],
+  };
 }
 
-function repairScadText(inputText) {
-  const lines = inputText.replace(/\r\n?/g, "\n").split("\n");
-  let changed = false;
-  const fixedLines = lines.map((line, index) => {
-    let working = line;
-    if (index === 0) {
-      working = working.replace(/^\uFEFF/, "");
-    }
-    const match = working.match(
-      /^(\s*)([A-Za-z_][\w]*)\s*=\s*(sphere|cube|cylinder|polyhedron|text|import|linear_extrude|rotate_extrude)\b/i
-    );
-    if (match) {
-      working = working.replace(/^(\s*)[A-Za-z_][\w]*\s*=\s*/, "$1");
-      changed = true;
-    }
-    return working;
-  });
+function repairStlGeometry(text) {
+  const result = repairStlPositions(readAsciiStl(text));
+  if (!result.changed) {
+    return { text, changed: false, notes: [] };
+  }
+  const solidName = text.match(/^solid[ \t]+(\S+)/i)?.[1] || "model";
+  return { text: writeAsciiStl(result.positions, solidName), changed: true, notes: result.notes };
+}
 
-  return { text: fixedLines.join("\n"), changed };
+function getLintSource() {
+  return input.value.replace(/^\uFEFF/, "");
 }
 
-async function getScadCompiler() {
-  if (!scadCompilerPromise) {
-    scadCompilerPromise = import(
-      "https://unpkg.com/openscad-wasm-prebuilt@1.2.0/dist/openscad.js"
-    ).then((mod) =>
-      mod.createOpenSCAD({
-        print: recordScadError,
-        printErr: recordScadError,
-      })
-    );
+function getLintOptions() {
+  if (!scadProject) {
+    return {};
   }
-  return scadCompilerPromise;
+  const decoder = new TextDecoder();
+  const files = scadProject.files
+    .filter(({ path }) => /\.scad$/i.test(path) && path !== scadProject.entry)
+    .map(({ path, data }) => ({ path, text: decoder.decode(data) }));
+  return { files };
 }
 
-async function compileScad(text) {
-  scadErrors.length = 0;
-  const compiler = await getScadCompiler();
-  scadErrors.length = 0;
-  const cleaned = normalizeScadText(text);
-  let stlOutput;
-  try {
-    stlOutput = await compiler.renderToStl(cleaned);
-  } catch (error) {
-    const message =
-      getScadErrorMessage() || error?.message || "SCAD compile failed.";
-    throw new Error(message);
-  }
-  if (stlOutput === null || stlOutput === undefined) {
-    const message = getScadErrorMessage() || "SCAD produced no output.";
-    throw new Error(message);
+function getCompileOptions() {
+  return scadProject ? { files: scadProject.files, entry: scadProject.entry } : {};
+}
+
+function createLintItem(issue) {
+  const item = document.createElement("li");
+  item.className = "lint-item";
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `diagnostic ${issue.severity}`;
+  const severity = document.createElement("span");
+  severity.className = "diagnostic-severity";
+  severity.textContent = issue.severity === "error" ? "Error" : "Warning";
+  const message = document.createElement("span");
+  message.className = "diagnostic-message";
+  message.textContent = issue.message;
+  const location = document.createElement("span");
+  location.className = "diagnostic-location";
+  location.textContent = `line ${issue.line}`;
+  button.append(severity, message, location);
+  button.addEventListener("click", () => selectEditorLine(input, issue.line));
+  item.appendChild(button);
+
+  if (issue.fix) {
+    const fixButton = document.createElement("button");
+    fixButton.type = "button";
+    fixButton.className = "btn ghost";
+    fixButton.textContent = "Fix";
+    fixButton.title = issue.fix.label;
+    fixButton.addEventListener("click", () => applyLintFix(issue));
+    item.appendChild(fixButton);
   }
-  if (typeof stlOutput === "string" && !stlOutput.trim()) {
-    const message = getScadErrorMessage() || "SCAD produced empty output.";
-    throw new Error(message);
+  return item;
+}
+
+function renderLint() {
+  const issues = lintScad(getLintSource(), getLintOptions());
+  lintList.replaceChildren(...issues.map(createLintItem));
+  lintAllButton.disabled = !issues.some((issue) => issue.fix);
+  lintPanel.hidden = !issues.length;
+  return issues;
+}
+
+function hideLint() {
+  lintPanel.hidden = true;
+  lintList.replaceChildren();
+}
+
+function applyLintFix(issue) {
+  setEditorValue(input, applyScadFix(getLintSource(), issue));
+  const remaining = renderLint();
+  setDetails(`${issue.fix.label}. ${remaining.length ? `${remaining.length} lint issues left.` : "No lint issues left."}`);
+  setStatus("Applied lint fix.");
+}
+
+function applyAllLintFixes() {
+  const result = fixAllScadIssues(getLintSource(), getLintOptions());
+  if (!result.applied.length) {
+    return;
   }
-  return stlOutput;
+  setEditorValue(input, result.text);
+  const remaining = renderLint();
+  setDetails(
+    `Applied ${result.applied.length} lint ${result.applied.length === 1 ? "fix" : "fixes"}. ${
+      remaining.length ? `${remaining.length} issues need manual changes.` : "No lint issues left."
+    }`
+  );
+  setStatus("Applied lint fixes.");
 }
 
 async function fixScad(text) {
   try {
-    await compileScad(text);
+    await compileScad(text, getCompileOptions());
     return { fixed: text, changed: false, ok: true };
   } catch (error) {
-    const result = repairScadText(text);
-    if (!result.changed) {
+    if (error?.name === "AbortError") {
+      throw error;
+    }
+    const result = fixAllScadIssues(text, getLintOptions());
+    if (!result.applied.length) {
       return {
         fixed: text,
         changed: false,
@@ -152,19 +245,276 @@ async function fixScad(text) {
       };
     }
     try {
-      await compileScad(result.text);
-      return { fixed: result.text, changed: true, ok: true };
+      await compileScad(result.text, getCompileOptions());
+      return { fixed: result.text, changed: true, ok: true, applied: result.applied };
     } catch (retryError) {
+      if (retryError?.name === "AbortError") {
+        throw retryError;
+      }
       return {
         fixed: result.text,
         changed: true,
         ok: false,
         errorMessage: retryError?.message,
+        applied: result.applied,
       };
     }
   }
 }
 
+async function fixScadWithModel(provider, text) {
+  const retries = Math.max(getLlmSettings().retries, 1);
+  llmRequest = new AbortController();
+  try {
+    const result = await compileWithRetries(provider, text, {
+      ...getCompileOptions(),
+      retries,
+      signal: llmRequest.signal,
+      onProgress: ({ stage, attempt }) => {
+        if (stage === "fixing") {
+          setStatus(`Asking ${provider.name} for fix ${attempt} of ${retries}...`);
+        } else if (attempt) {
+          setStatus(`Compiling fix ${attempt} of ${retries}...`);
+        }
+      },
+    });
+    return {
+      fixed: result.code,
+      changed: result.attempts > 0,
+      ok: result.ok,
+      errorMessage: result.errorMessage,
+      attempts: result.attempts,
+      model: provider.name,
+    };
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw error;
+    }
+    setStatus("Model request failed. Using the offline rules...");
+    const result = await fixScad(text);
+    return { ...result, modelError: error.message };
+  } finally {
+    llmRequest = null;
+  }
+}
+
+function describeScadFix(result) {
+  if (result.model) {
+    const fixes = result.attempts === 1 ? "1 fix" : `${result.attempts} fixes`;
+    return `${result.model} suggested ${fixes}. Compiled the result.`;
+  }
+  const labels = [...new Set(result.applied.map((issue) => issue.fix.label))];
+  const note = `Applied lint fixes (${labels.join("; ")}) and recompiled.`;
+  return result.modelError
+    ? `Model request failed (${result.modelError}). Used the offline rules instead. ${note}`
+    : note;
+}
+
+function createDiffCell(className, text) {
+  const cell = document.createElement("span");
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function appendDiffRow(parent, left, right) {
+  [left, right].forEach((side) => {
+    parent.append(
+      createDiffCell("diff-number", side ? String(side.number) : ""),
+      createDiffCell(side ? `diff-line ${side.kind}` : "diff-line diff-blank", side ? side.text : "")
+    );
+  });
+}
+
+function appendEqualRows(parent, segment, isFirst, isLast) {
+  const { lines } = segment;
+  const showRow = (index) =>
+    appendDiffRow(
+      parent,
+      { number: segment.beforeStart + index, text: lines[index], kind: "" },
+      { number: segment.afterStart + index, text: lines[index], kind: "" }
+    );
+  const head = isFirst ? 0 : DIFF_CONTEXT;
+  const tail = isLast ? 0 : DIFF_CONTEXT;
+  if (segment.expanded || lines.length <= head + tail + 1) {
+    lines.forEach((line, index) => showRow(index));
+    return;
+  }
+  for (let index = 0; index < head; index += 1) {
+    showRow(index);
+  }
+  const gap = document.createElement("button");
+  gap.type = "button";
+  gap.className = "diff-gap";
+  gap.textContent = `Show ${lines.length - head - tail} unchanged lines`;
+  gap.addEventListener("click", () => {
+    segment.expanded = true;
+    renderDiff();
+  });
+  parent.appendChild(gap);
+  for (let index = lines.length - tail; index < lines.length; index += 1) {
+    showRow(index);
+  }
+}
+
+function createHunkButton(label, isActive, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn ghost";
+  button.classList.toggle("is-active", isActive);
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createHunk(segment) {
+  const { removed, added } = segment;
+  const isRejected = diffState.rejected.has(segment.id);
+  const hunk = document.createElement("div");
+  hunk.className = "diff-hunk";
+  hunk.classList.toggle("is-rejected", isRejected);
+
+  const header = document.createElement("div");
+  header.className = "diff-hunk-header";
+  const label = document.createElement("span");
+  label.textContent = `Line ${segment.beforeStart}: ${removed.length} removed, ${added.length} added`;
+  header.append(
+    label,
+    createHunkButton("Accept", !isRejected, () => setHunkAccepted(segment.id, true)),
+    createHunkButton("Reject", isRejected, () => setHunkAccepted(segment.id, false))
+  );
+  hunk.appendChild(header);
+
+  const rows = Math.max(removed.length, added.length);
+  for (let index = 0; index < Math.min(rows, MAX_HUNK_ROWS); index += 1) {
+    appendDiffRow(
+      hunk,
+      index < removed.length
+        ? { number: segment.beforeStart + index, text: removed[index], kind: "diff-removed" }
+        : null,
+      index < added.length ? { number: segment.afterStart + index, text: added[index], kind: "diff-added" } : null
+    );
+  }
+  if (rows > MAX_HUNK_ROWS) {
+    const more = document.createElement("span");
+    more.className = "diff-gap";
+    more.textContent = `${rows - MAX_HUNK_ROWS} more changed lines not shown`;
+    hunk.appendChild(more);
+  }
+  return hunk;
+}
+
+function renderDiff() {
+  const { segments, rejected } = diffState;
+  const fragment = document.createDocumentFragment();
+  ["Original", "Fixed"].forEach((title) => {
+    fragment.appendChild(createDiffCell("diff-title", title));
+  });
+  segments.forEach((segment, index) => {
+    if (segment.type === "equal") {
+      appendEqualRows(fragment, segment, index === 0, index === segments.length - 1);
+    } else {
+      fragment.appendChild(createHunk(segment));
+    }
+  });
+  diffView.replaceChildren(fragment);
+
+  const summary = summarizeDiff(segments);
+  const accepted = summary.hunks - rejected.size;
+  diffSummary.textContent = `${summary.hunks} ${summary.hunks === 1 ? "change" : "changes"}, +${
+    summary.added
+  } -${summary.removed}, ${accepted} accepted`;
+  output.value = mergeDiff(segments, rejected);
+}
+
+function showDiff(before, after) {
+  const segments = diffLines(before, after);
+  if (!segments.some((segment) => segment.type === "change")) {
+    hideDiff();
+    return;
+  }
+  diffState = { segments, rejected: new Set() };
+  renderDiff();
+  diffCard.hidden = false;
+}
+
+function hideDiff() {
+  diffState = null;
+  diffCard.hidden = true;
+  diffView.replaceChildren();
+}
+
+function setHunkAccepted(id, isAccepted) {
+  if (isAccepted) {
+    diffState.rejected.delete(id);
+  } else {
+    diffState.rejected.add(id);
+  }
+  renderDiff();
+  setStatus("Updated the merged result.");
+}
+
+function setAllHunksAccepted(isAccepted) {
+  if (!diffState) {
+    return;
+  }
+  diffState.rejected = new Set(
+    isAccepted
+      ? []
+      : diffState.segments.filter((segment) => segment.type === "change").map((segment) => segment.id)
+  );
+  renderDiff();
+  setStatus(isAccepted ? "Accepted all changes." : "Rejected all changes.");
+}
+
+function clearOutput() {
+  output.value = "";
+  fixedBinary = null;
+  copyButton.disabled = true;
+  downloadButton.disabled = true;
+}
+
+function fixBinaryStl() {
+  const { name, buffer } = uploadedStl;
+  const file = repairBinaryStl(buffer);
+  const geometry = repairStlPositions(file.positions);
+  const notes = [...file.notes, ...geometry.notes];
+  fixedBinary = notes.length ? writeBinaryStl(geometry.positions, file.header) : buffer;
+  outputFormat = "stl";
+  downloadButton.disabled = false;
+  setDetails(
+    `${name}: binary STL with ${geometry.positions.length / 9} triangles. ${
+      notes.length ? notes.join(" ") : "No changes detected."
+    }`
+  );
+  setStatus(
+    notes.length
+      ? "Applied binary STL fixes. Download the repaired file."
+      : "Binary STL looks valid. No changes needed."
+  );
+}
+
+function fixMeshText(format, text) {
+  const { label, repair } = MESH_TEXT_REPAIRS[format];
+  let result;
+  try {
+    result = repair(text);
+  } catch (error) {
+    setDetails(error.message);
+    setStatus(`Could not repair the ${label} file.`, true);
+    return;
+  }
+  output.value = result.text;
+  showDiff(text, result.text);
+  outputFormat = format;
+  copyButton.disabled = false;
+  downloadButton.disabled = false;
+  setDetails(result.notes.length ? result.notes.join(" ") : "No changes detected.");
+  setStatus(
+    result.text === text ? `${label} looks valid. No changes needed.` : `Applied ${label} fixes.`
+  );
+}
+
 function getSelectedFormat(text) {
   const choice = formatSelect.value;
   if (choice === "auto") {
@@ -174,37 +524,63 @@ function getSelectedFormat(text) {
 }
 
 async function fixCode() {
+  if (uploadedStl) {
+    clearOutput();
+    diagnosticsPanel.hidden = true;
+    hideLint();
+    hideDiff();
+    try {
+      fixBinaryStl();
+    } catch (error) {
+      setDetails(error.message);
+      setStatus("Could not repair the binary STL.", true);
+    }
+    return;
+  }
+
   const raw = input.value;
   const text = raw.replace(/^\uFEFF/, "").trim();
   if (!text) {
-    output.value = "";
-    copyButton.disabled = true;
+    clearOutput();
     setDetails("Waiting for input.");
-    setStatus("Paste code before fixing.", true);
+    setStatus("Paste code or choose a file before fixing.", true);
     return;
   }
 
   const format = getSelectedFormat(text);
   if (!format) {
-    output.value = "";
-    copyButton.disabled = true;
+    clearOutput();
     setDetails("Auto-detect could not identify the format.");
-    setStatus("Choose SCAD or STL in the format menu.", true);
+    setStatus("Choose a format in the format menu.", true);
     return;
   }
 
-  output.value = "";
-  copyButton.disabled = true;
+  clearOutput();
+  diagnosticsPanel.hidden = true;
+  hideLint();
+  hideDiff();
+  setEditorMarkers(input, []);
+
+  if (MESH_TEXT_REPAIRS[format]) {
+    fixMeshText(format, text);
+    return;
+  }
 
   if (format === "stl") {
-    const fixed = repairStlText(text);
+    const textFixed = repairStlText(text);
+    const geometry = repairStlGeometry(textFixed);
+    const fixed = geometry.text;
     output.value = fixed;
+    showDiff(text, fixed);
+    outputFormat = "stl";
     copyButton.disabled = false;
-    setDetails(
-      fixed === text
-        ? "No changes detected."
-        : "Normalized whitespace, removed non-printables, and ensured solid/endsolid."
-    );
+    downloadButton.disabled = false;
+    const notes = [];
+    if (textFixed !== text) {
+      notes.push("Normalized whitespace, removed non-printables, and ensured solid/endsolid.");
+    }
+    notes.push(...geometry.notes);
+    setDetails(notes.length ? notes.join(" ") : "No changes detected.");
     setStatus(
       fixed === text
         ? "STL looks valid. No changes needed."
@@ -216,27 +592,52 @@ async function fixCode() {
   if (format === "scad") {
     setDetails("Loading SCAD engine and checking syntax...");
     setStatus("Checking SCAD...", false);
-    const result = await fixScad(text);
+    const issues = renderLint();
+    const provider = createLlmProvider();
+    const result = provider ? await fixScadWithModel(provider, text) : await fixScad(text);
+    // Once any fix changed the text, the compiler's line numbers belong to the fixed code.
+    if (result.changed) {
+      setEditorMarkers(input, []);
+    }
+    renderScadDiagnostics(
+      diagnosticsPanel,
+      getScadDiagnostics(),
+      result.changed ? { fileName: "fixed.scad" } : { textarea: input }
+    );
     output.value = result.fixed;
+    showDiff(text, result.fixed);
+    outputFormat = "scad";
     copyButton.disabled = false;
+    downloadButton.disabled = false;
     if (result.ok && !result.changed) {
-      setDetails("SCAD compiled successfully. No changes needed.");
+      setDetails(
+        issues.length
+          ? `SCAD compiled successfully. Lint found ${issues.length} ${
+              issues.length === 1 ? "issue" : "issues"
+            } worth a look.`
+          : "SCAD compiled successfully. No changes needed."
+      );
       setStatus("SCAD looks valid.");
       return;
     }
     if (result.ok && result.changed) {
-      setDetails("Removed invalid geometry assignment and recompiled.");
+      setDetails(describeScadFix(result));
       setStatus("Fixed SCAD and it now compiles.");
       return;
     }
     setDetails(
       result.errorMessage || "Auto-fix applied, but SCAD still fails to compile."
     );
-    setStatus("Fixer could not fully repair the SCAD.", true);
+    setStatus(
+      result.modelError
+        ? "Model request failed and the offline rules could not repair the SCAD."
+        : "Fixer could not fully repair the SCAD.",
+      true
+    );
     return;
   }
 
-  setDetails("This fixer only supports SCAD and ASCII STL.");
+  setDetails("This fixer supports SCAD, STL, OBJ, PLY and OFF.");
   setStatus("Unsupported format.", true);
 }
 
@@ -259,21 +660,165 @@ async function copyFixed() {
   }
 }
 
+function downloadFixed() {
+  const text = output.value;
+  if (!text && !fixedBinary) {
+    return;
+  }
+  const extension = outputFormat || "txt";
+  const blob = fixedBinary
+    ? new Blob([fixedBinary], { type: "application/octet-stream" })
+    : new Blob([text], { type: "text/plain" });
+  const baseName = uploadName ? uploadName.replace(/\.[^.]+$/, "") : "model";
+  const anchor = document.createElement("a");
+  anchor.download = `fixed-${baseName}.${extension}`;
+  anchor.href = URL.createObjectURL(blob);
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(anchor.href), 0);
+  setStatus("Download started.");
+}
+
+async function loadFile(file) {
+  const extension = file.name.split(".").pop().toLowerCase();
+  const format = FILE_FORMATS[extension];
+  if (!format) {
+    setStatus(`${file.name}: choose a SCAD, STL, OBJ, PLY or OFF file.`, true);
+    return;
+  }
+  const buffer = await file.arrayBuffer();
+  const headerText = new TextDecoder().decode(buffer.slice(0, 512));
+  if (format === "ply" && /^format\s+binary/m.test(headerText)) {
+    setStatus(`${file.name} is a binary PLY. Load it in the viewer and export it as ASCII PLY first.`, true);
+    return;
+  }
+
+  uploadName = file.name;
+  scadProject = null;
+  clearOutput();
+  diagnosticsPanel.hidden = true;
+  hideLint();
+  hideDiff();
+  setEditorMarkers(input, []);
+  formatSelect.value = format;
+  if (format === "stl" && isBinaryStl(buffer)) {
+    setEditorValue(input, "");
+    uploadedStl = { name: file.name, buffer };
+    setDetails(
+      `Loaded binary STL ${file.name} (${buffer.byteLength} bytes). Fix My Code repairs it. Type or paste in the box to switch back to text.`
+    );
+    setStatus("Binary STL ready to fix.");
+    return;
+  }
+  uploadedStl = null;
+  setEditorValue(input, new TextDecoder().decode(buffer));
+  setDetails(`Loaded ${file.name}.`);
+  setStatus("File ready to fix.");
+}
+
+async function loadScadFiles(files) {
+  const project = createScadProject(
+    await Promise.all(
+      files.map(async (file) => ({
+        path: file.webkitRelativePath || file.name,
+        data: new Uint8Array(await file.arrayBuffer()),
+      }))
+    )
+  );
+  if (!project.entry) {
+    setStatus("None of these files is a SCAD file.", true);
+    return;
+  }
+  uploadName = project.entry.split("/").pop();
+  scadProject = project;
+  uploadedStl = null;
+  clearOutput();
+  diagnosticsPanel.hidden = true;
+  hideLint();
+  hideDiff();
+  setEditorMarkers(input, []);
+  formatSelect.value = "scad";
+  const entry = project.files.find(({ path }) => path === project.entry);
+  setEditorValue(input, new TextDecoder().decode(entry.data));
+  const others = project.scadFiles.length - 1;
+  setDetails(
+    `Loaded ${project.entry} with ${others} other SCAD ${others === 1 ? "file" : "files"}. Lint and compile resolve include and use against them.`
+  );
+  setStatus("SCAD files ready to fix.");
+}
+
+function handleFiles(files) {
+  if (!files.length || isRunning) {
+    return;
+  }
+  const load = files.length > 1 ? loadScadFiles(files) : loadFile(files[0]);
+  load.catch((error) => {
+    setStatus(error?.message || `Could not read ${files[0].name}.`, true);
+  });
+}
+
 fixButton.addEventListener("click", () => {
   if (isRunning) {
     return;
   }
   isRunning = true;
   fixButton.disabled = true;
+  cancelButton.hidden = false;
   fixCode()
     .catch((error) => {
+      if (error?.name === "AbortError") {
+        setDetails("SCAD check cancelled.");
+        setStatus(error.message);
+        return;
+      }
       setDetails("Unexpected error. Check the console.");
       setStatus(error?.message || "Fixer failed.", true);
     })
     .finally(() => {
       isRunning = false;
       fixButton.disabled = false;
+      cancelButton.hidden = true;
     });
 });
 
+cancelButton.addEventListener("click", () => {
+  llmRequest?.abort();
+  cancelScadCompile();
+});
+
+lintAllButton.addEventListener("click", applyAllLintFixes);
+acceptAllButton.addEventListener("click", () => setAllHunksAccepted(true));
+rejectAllButton.addEventListener("click", () => setAllHunksAccepted(false));
+input.addEventListener("input", () => {
+  uploadedStl = null;
+  if (!lintPanel.hidden) {
+    renderLint();
+  }
+});
+
+createCodeEditor(input, { mode: "auto" });
+setupLlmSettings(llmPanel);
+fileInput.addEventListener("change", (event) => {
+  handleFiles(Array.from(event.target.files));
+  event.target.value = "";
+});
+
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("is-dragover");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("is-dragover");
+});
+
+dropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("is-dragover");
+  handleFiles(Array.from(event.dataTransfer.files));
+});
+
 copyButton.addEventListener("click", copyFixed);
+downloadButton.addEventListener("click", downloadFixed);
+registerOfflineCache();
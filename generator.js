@@ -1,15 +1,36 @@
+import { createCodeEditor, setEditorValue } from "./code-editor.js";
+import { templateErrors, templates } from "./templates/index.js";
+import { cancelScadCompile } from "./scad-engine.js";
+import {
+  compileWithRetries,
+  createLlmProvider,
+  getLlmSettings,
+  setupLlmSettings,
+} from "./llm-provider.js";
+import { registerOfflineCache } from "./offline.js";
+
 const promptInput = document.getElementById("gen-prompt");
 const sizeInput = document.getElementById("gen-size");
 const detailInput = document.getElementById("gen-detail");
 const generateButton = document.getElementById("gen-button");
+const cancelButton = document.getElementById("gen-cancel");
 const output = document.getElementById("gen-output");
 const copyButton = document.getElementById("gen-copy");
 const openButton = document.getElementById("gen-open");
 const status = document.getElementById("gen-status");
 const details = document.getElementById("gen-details");
+const templateSelect = document.getElementById("gen-template");
+const parameterCard = document.getElementById("gen-parameters");
+const parameterForm = document.getElementById("gen-parameter-form");
+const llmPanel = document.getElementById("gen-llm");
 
 const STORAGE_KEY = "stlStudio.generatedCode";
 
+let currentTemplate = null;
+let currentValues = null;
+let isRunning = false;
+let llmRequest = null;
+
 function setStatus(message, isError = false) {
   status.textContent = message;
   status.classList.toggle("error", isError);
@@ -23,107 +44,276 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-function pickSize(prompt, fallback) {
-  const match = prompt.match(/(\d{2,4})\s*mm\b/i);
+const LENGTH_UNITS = { mm: 1, cm: 10, in: 25.4, inch: 25.4, inches: 25.4, '"': 25.4 };
+const MEASURE = String.raw`(\d+(?:\.\d+)?)\s*(mm|cm|inch(?:es)?|in\b|")?`;
+const TIMES = String.raw`\s*(?:[x×*]|\bby\b)\s*`;
+const MIN_SIZE = 20;
+const MAX_SIZE = 400;
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+};
+
+const DIMENSION_WORDS = {
+  width: ["wide", "width"],
+  depth: ["deep", "depth"],
+  height: ["tall", "high", "height"],
+  length: ["long", "length"],
+  thickness: ["thick", "thickness"],
+  diameter: ["diameter", "dia"],
+  bore: ["bore"],
+};
+
+const COUNT_NOUNS = {
+  hole: "holes",
+  holes: "holes",
+  screw: "holes",
+  screws: "holes",
+  tooth: "teeth",
+  teeth: "teeth",
+  post: "posts",
+  posts: "posts",
+  knuckle: "knuckles",
+  knuckles: "knuckles",
+  fin: "fins",
+  fins: "fins",
+  blob: "blobs",
+  blobs: "blobs",
+};
+
+const FEATURES = [
+  {
+    key: "rounded",
+    on: /\b(?:rounded|round corners?|fillet(?:ed|s)?)\b/i,
+    off: /\b(?:sharp|square) (?:corners?|edges?)\b/i,
+    labels: ["rounded corners", "sharp corners"],
+  },
+  {
+    key: "hollow",
+    on: /\bhollow\b/i,
+    off: /\bsolid\b/i,
+    labels: ["hollow", "solid"],
+  },
+  {
+    key: "lid",
+    on: /\b(?:with (?:a )?lid|lidded)\b/i,
+    off: /\b(?:without (?:a )?lid|no lid|lidless|open top)\b/i,
+    labels: ["with lid", "without lid"],
+  },
+];
+
+function toMillimeters(amount, unit) {
+  const value = Number(amount) * LENGTH_UNITS[(unit || "mm").toLowerCase()];
+  return Number(value.toFixed(1));
+}
+
+function takeMatch(state, pattern) {
+  const match = state.text.match(pattern);
   if (match) {
-    const parsed = Number(match[1]);
-    if (Number.isFinite(parsed)) {
-      return clamp(parsed, 20, 400);
+    state.text = state.text.replace(match[0], " ".repeat(match[0].length));
+  }
+  return match;
+}
+
+function readTriple(state) {
+  const pattern = new RegExp(String.raw`${MEASURE}${TIMES}${MEASURE}(?:${TIMES}${MEASURE})?`, "i");
+  const match = takeMatch(state, pattern);
+  if (!match) {
+    return;
+  }
+  const unit = match[6] || match[4] || match[2];
+  const amounts = [match[1], match[3], match[5]].filter(Boolean);
+  ["width", "depth", "height"].slice(0, amounts.length).forEach((key, index) => {
+    state.values[key] = toMillimeters(amounts[index], unit);
+  });
+}
+
+function readDimensions(state) {
+  Object.entries(DIMENSION_WORDS).forEach(([key, words]) => {
+    if (key in state.values) {
+      return;
+    }
+    const list = words.join("|");
+    const match =
+      takeMatch(state, new RegExp(String.raw`${MEASURE}\s*(?:${list})\b`, "i")) ||
+      takeMatch(state, new RegExp(String.raw`\b(?:${list})\s*(?:of|is|=|:)?\s*${MEASURE}`, "i"));
+    if (match) {
+      state.values[key] = toMillimeters(match[1], match[2]);
     }
+  });
+}
+
+function readThread(state) {
+  const match = takeMatch(state, /\bM(\d+(?:\.\d+)?)\b/i);
+  if (match) {
+    state.values.thread = Number(match[1]);
   }
-  return fallback;
 }
 
-function baseHeader(fn) {
-  return `// Generated by STL Studio\n// Units: millimeters\n\n$fn = ${fn};\n`;
+function readCounts(state) {
+  const numbers = ["\\d+", ...Object.keys(NUMBER_WORDS)].join("|");
+  const nouns = Object.keys(COUNT_NOUNS).join("|");
+  const pattern = new RegExp(String.raw`\b(${numbers})\s+(?:[a-z-]+\s+){0,2}?(${nouns})\b`, "gi");
+  for (const match of state.text.matchAll(pattern)) {
+    const key = COUNT_NOUNS[match[2].toLowerCase()];
+    if (!(key in state.values)) {
+      state.values[key] = NUMBER_WORDS[match[1].toLowerCase()] ?? Number(match[1]);
+    }
+  }
 }
 
-function wrapScaled(scale, body) {
-  return `scale([${scale.toFixed(3)}, ${scale.toFixed(3)}, ${scale.toFixed(3)}]) {\n${body}\n}`;
+function readFeatures(state) {
+  FEATURES.forEach(({ key, on, off }) => {
+    if (off.test(state.text)) {
+      state.values[key] = false;
+    } else if (on.test(state.text)) {
+      state.values[key] = true;
+    }
+  });
 }
 
-function templateJet(scale) {
-  const body = `module fuselage() {\n  hull() {\n    translate([0,0,0]) scale([4,1.2,1.2]) sphere(10);\n    translate([80,0,0]) scale([3,1.1,1.1]) sphere(8);\n    translate([140,0,0]) scale([2,1,1]) sphere(6);\n    translate([170,0,0]) scale([1.2,0.9,0.9]) sphere(4);\n  }\n}\n\nmodule canopy() {\n  translate([45,0,12])\n    scale([2.2,1.2,1])\n      sphere(8);\n}\n\nmodule wings() {\n  translate([40,0,4])\n    linear_extrude(height=3, center=true)\n      polygon(points=[[0,0],[90,35],[110,0],[90,-35]]);\n}\n\nmodule tail() {\n  translate([130,0,10])\n    rotate([0,90,0])\n      linear_extrude(height=4, center=true)\n        polygon(points=[[0,0],[18,6],[0,12]]);\n}\n\nunion() {\n  fuselage();\n  canopy();\n  wings();\n  tail();\n}\n`;
-  return wrapScaled(scale, body);
+// Named dimensions win over stray measurements such as "2mm walls". Anything under the
+// smallest main size describes a detail (a wall, a cable) rather than the model.
+function readSize(state) {
+  const lengths = ["width", "depth", "height", "length", "diameter"]
+    .map((key) => state.values[key])
+    .filter((value) => value !== undefined);
+  let size = lengths.length ? Math.max(...lengths) : null;
+  if (size === null) {
+    const match = state.text.match(
+      new RegExp(String.raw`(\d+(?:\.\d+)?)\s*(mm|cm|inch(?:es)?|in\b|")`, "i")
+    );
+    size = match ? toMillimeters(match[1], match[2]) : null;
+  }
+  return size === null || size < MIN_SIZE ? null : Math.min(size, MAX_SIZE);
 }
 
-function templateComputer(scale) {
-  const body = `module monitor() {\n  cube([120, 8, 80]);\n  translate([56, -18, 5])\n    cube([8, 18, 40]);\n  translate([30, -45, 0])\n    cube([60, 45, 5]);\n}\n\nmodule keyboard() {\n  translate([20, -85, 0])\n    cube([80, 30, 6]);\n}\n\nmonitor();\nkeyboard();\n`;
-  return wrapScaled(scale, body);
+function parsePrompt(prompt) {
+  const state = { text: prompt, values: {} };
+  readTriple(state);
+  readDimensions(state);
+  readThread(state);
+  readCounts(state);
+  readFeatures(state);
+  return { values: state.values, size: readSize(state) };
 }
 
-function templateRocket(scale) {
-  const body = `module rocket() {\n  cylinder(h=90, r=12);\n  translate([0,0,90])\n    cylinder(h=24, r1=12, r2=0);\n  for (a = [0:120:359]) {\n    rotate([0,0,a])\n      translate([12,0,20])\n        cube([8,2,24]);\n  }\n}\n\nrocket();\n`;
-  return wrapScaled(scale, body);
+function describePromptValue(key, value) {
+  const feature = FEATURES.find((item) => item.key === key);
+  if (feature) {
+    return feature.labels[value ? 0 : 1];
+  }
+  if (key === "thread") {
+    return `M${formatNumber(value)} thread`;
+  }
+  if (key in DIMENSION_WORDS) {
+    return `${key} ${formatNumber(value)} mm`;
+  }
+  return `${value} ${key}`;
 }
 
-function templateRing(scale) {
-  const body = `difference() {\n  cylinder(h=8, r=24, center=true);\n  cylinder(h=12, r=16, center=true);\n}\n`;
-  return wrapScaled(scale, body);
+function baseHeader(template) {
+  return `// Generated by STL Studio\n// Template: ${template.name}\n// Units: millimeters\n`;
 }
 
-function templateVase(scale) {
-  const body = `rotate_extrude(angle=360)\n  polygon(points=[\n    [0,0],[18,0],[20,8],[14,28],[22,55],[0,55]\n  ]);\n`;
-  return wrapScaled(scale, body);
+function formatNumber(value) {
+  return String(Number(value.toFixed(4)));
 }
 
-function templatePhoneStand(scale) {
-  const body = `module stand() {\n  hull() {\n    translate([0,0,0]) cube([80,20,6]);\n    translate([0,35,40]) cube([80,12,6]);\n  }\n  translate([6,5,6]) cube([68,10,4]);\n}\n\nstand();\n`;
-  return wrapScaled(scale, body);
+function formatValue(parameter, value) {
+  if (parameter.type === "boolean") {
+    return value ? "true" : "false";
+  }
+  return formatNumber(value);
 }
 
-function templateSculpture(scale) {
-  const body = `union() {\n  translate([0,0,0]) sphere(16);\n  translate([20,12,10]) sphere(12);\n  translate([-18,-10,8]) sphere(10);\n  translate([10,-18,6]) sphere(8);\n}\n`;
-  return wrapScaled(scale, body);
+function getParameterLabel(parameter) {
+  return parameter.unit ? `${parameter.label} (${parameter.unit})` : parameter.label;
 }
 
-const templates = [
-  {
-    name: "Jet fighter",
-    keywords: ["jet", "fighter", "plane", "aircraft"],
-    generator: templateJet,
-  },
-  {
-    name: "Rocket",
-    keywords: ["rocket", "missile", "space"],
-    generator: templateRocket,
-  },
-  {
-    name: "Desktop computer",
-    keywords: ["computer", "monitor", "keyboard", "pc"],
-    generator: templateComputer,
-  },
-  {
-    name: "Ring",
-    keywords: ["ring", "band", "torus"],
-    generator: templateRing,
-  },
-  {
-    name: "Vase",
-    keywords: ["vase", "cup", "bowl"],
-    generator: templateVase,
-  },
-  {
-    name: "Phone stand",
-    keywords: ["phone", "stand", "holder"],
-    generator: templatePhoneStand,
-  },
-  {
-    name: "Sculpture",
-    keywords: ["sculpture", "abstract", "art"],
-    generator: templateSculpture,
-  },
-];
+function getParameterRange(parameter) {
+  if (parameter.options) {
+    return `[${parameter.options.join(", ")}]`;
+  }
+  return `[${parameter.min}:${parameter.step}:${parameter.max}]`;
+}
+
+function clampParameter(parameter, value) {
+  if (parameter.options) {
+    return parameter.options.reduce((best, option) =>
+      Math.abs(option - value) < Math.abs(best - value) ? option : best
+    );
+  }
+  return clamp(value, parameter.min, parameter.max);
+}
+
+function coerceParameter(parameter, value) {
+  if (parameter.type === "boolean") {
+    return Boolean(value);
+  }
+  if (typeof value === "boolean") {
+    return value || parameter.min === undefined ? parameter.value : parameter.min;
+  }
+  return clampParameter(parameter, value);
+}
+
+function getDefaultValues(template, size, promptValues = {}) {
+  const values = {};
+  template.parameters.forEach((parameter) => {
+    values[parameter.name] = parameter.value;
+  });
+  if (size !== null && template.sizeParameter) {
+    const parameter = template.parameters.find((item) => item.name === template.sizeParameter);
+    values[parameter.name] = clampParameter(parameter, size);
+  }
+  const used = [];
+  Object.entries(template.promptParameters || {}).forEach(([key, target]) => {
+    if (!(key in promptValues)) {
+      return;
+    }
+    const { name, convert } = typeof target === "string" ? { name: target } : target;
+    const parameter = template.parameters.find((item) => item.name === name);
+    const value = convert ? convert(promptValues[key]) : promptValues[key];
+    values[name] = coerceParameter(parameter, value);
+    used.push(key);
+  });
+  return { values, used };
+}
+
+function writeParameter(parameter, value) {
+  const assignment = `${parameter.name} = ${formatValue(parameter, value)};`;
+  const line =
+    parameter.type === "boolean" ? assignment : `${assignment} // ${getParameterRange(parameter)}`;
+  return `// ${getParameterLabel(parameter)}\n${line}\n`;
+}
+
+function writeTemplateScad(template, values, fn) {
+  const parameters = template.parameters
+    .map((parameter) => writeParameter(parameter, values[parameter.name]))
+    .join("\n");
+  return `${baseHeader(template)}\n/* [${template.name}] */\n${parameters}\n/* [Hidden] */\n$fn = ${fn};\n\n${template.build(values)}`;
+}
 
 function pickTemplate(prompt) {
   const lower = prompt.toLowerCase();
-  let best = templates[templates.length - 1];
+  let best = templates.find((template) => template.fallback) || templates[templates.length - 1];
   let bestScore = 0;
   let matches = [];
 
   templates.forEach((template) => {
     const hits = template.keywords.filter((word) => lower.includes(word));
-    if (hits.length > bestScore) {
+    const winsTie = hits.length === bestScore && (template.priority ?? 0) > (best.priority ?? 0);
+    if (hits.length > bestScore || (hits.length && winsTie)) {
       bestScore = hits.length;
       best = template;
       matches = hits;
@@ -133,36 +323,208 @@ function pickTemplate(prompt) {
   return { template: best, matches };
 }
 
+function writeOutput() {
+  const fn = Number(detailInput.value) || 48;
+  setEditorValue(output, writeTemplateScad(currentTemplate, currentValues, fn));
+  copyButton.disabled = false;
+  openButton.disabled = false;
+}
+
+function updateParameter(parameter, value) {
+  currentValues[parameter.name] = value;
+  writeOutput();
+  setStatus(`Updated ${currentTemplate.name}.`);
+}
+
+function createParameterField(parameter) {
+  if (parameter.type === "boolean") {
+    const label = document.createElement("label");
+    label.className = "toggle";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = currentValues[parameter.name];
+    checkbox.addEventListener("change", () => updateParameter(parameter, checkbox.checked));
+    label.append(checkbox, getParameterLabel(parameter));
+    return label;
+  }
+
+  const label = document.createElement("label");
+  label.className = "select-wrap";
+  const caption = document.createElement("span");
+  caption.textContent = getParameterLabel(parameter);
+
+  if (parameter.options) {
+    const select = document.createElement("select");
+    parameter.options.forEach((option) => {
+      select.appendChild(new Option(formatNumber(option), String(option)));
+    });
+    select.value = String(currentValues[parameter.name]);
+    select.addEventListener("change", () => updateParameter(parameter, Number(select.value)));
+    label.append(caption, select);
+    return label;
+  }
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = parameter.min;
+  input.max = parameter.max;
+  input.step = parameter.step;
+  input.value = formatNumber(currentValues[parameter.name]);
+  input.addEventListener("change", () => {
+    const value = Number(input.value);
+    if (input.value === "" || !Number.isFinite(value)) {
+      input.value = formatNumber(currentValues[parameter.name]);
+      return;
+    }
+    const clamped = clampParameter(parameter, value);
+    input.value = formatNumber(clamped);
+    updateParameter(parameter, clamped);
+  });
+  label.append(caption, input);
+  return label;
+}
+
+function renderParameterForm() {
+  parameterForm.replaceChildren(...currentTemplate.parameters.map(createParameterField));
+  parameterCard.hidden = false;
+}
+
 function generateCode() {
   const rawPrompt = promptInput.value.trim();
-  if (!rawPrompt) {
-    setStatus("Describe a model before generating.", true);
+  const chosen = templates.find((template) => template.id === templateSelect.value);
+  if (!templates.length) {
+    setStatus(`No templates are available. ${templateErrors.join(" ")}`, true);
+    return;
+  }
+  if (!rawPrompt && !chosen) {
+    setStatus("Describe a model or choose a template before generating.", true);
     setDetails("Waiting for a prompt.");
-    output.value = "";
+    setEditorValue(output, "");
     copyButton.disabled = true;
     openButton.disabled = true;
     return;
   }
 
-  const size = pickSize(rawPrompt, Number(sizeInput.value) || 160);
-  sizeInput.value = size;
-  const fn = Number(detailInput.value) || 48;
-  const scale = clamp(size / 160, 0.2, 4);
+  const parsed = parsePrompt(rawPrompt);
+  const size = parsed.size ?? (sizeInput.value ? Number(sizeInput.value) : null);
+  sizeInput.value = size ?? "";
 
-  const selection = pickTemplate(rawPrompt);
-  const scad = `${baseHeader(fn)}\n${selection.template.generator(scale)}`;
+  const selection = chosen ? { template: chosen, matches: [] } : pickTemplate(rawPrompt);
+  currentTemplate = selection.template;
+  const defaults = getDefaultValues(currentTemplate, size, parsed.values);
+  currentValues = defaults.values;
+  renderParameterForm();
+  writeOutput();
+
+  setStatus(`Generated ${currentTemplate.name}.`);
+  const summary = [];
+  if (chosen) {
+    summary.push(`Using the ${chosen.name} template. Adjust its parameters below.`);
+  } else {
+    summary.push(
+      selection.matches.length
+        ? `Matched keywords: ${selection.matches.join(", ")}.`
+        : "No direct match found. Generated a sculpture by default."
+    );
+  }
+  const read = Object.entries(parsed.values);
+  if (read.length) {
+    const describe = ([key, value]) => describePromptValue(key, value);
+    summary.push(`Read from prompt: ${read.map(describe).join(", ")}.`);
+    const ignored = read.filter(([key]) => !defaults.used.includes(key));
+    if (ignored.length) {
+      summary.push(`Not used by ${currentTemplate.name}: ${ignored.map(describe).join(", ")}.`);
+    }
+  }
+  setDetails(summary.join(" "));
+}
+
+function describeAttempts(attempts) {
+  return attempts === 1 ? "1 fix" : `${attempts} fixes`;
+}
+
+async function generateWithModel(provider, prompt) {
+  const { retries } = getLlmSettings();
+  llmRequest = new AbortController();
+  const { signal } = llmRequest;
+  currentTemplate = null;
+  parameterCard.hidden = true;
+  setDetails(`Asking ${provider.name} for SCAD...`);
+  setStatus("Waiting for the model...");
+
+  let code;
+  try {
+    code = await provider.generateScad(prompt, { signal });
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw error;
+    }
+    generateCode();
+    setStatus(`Used the offline templates because the model request failed: ${error.message}`, true);
+    return;
+  }
 
-  output.value = scad;
   copyButton.disabled = false;
   openButton.disabled = false;
-  setStatus(`Generated ${selection.template.name}.`);
-  setDetails(
-    selection.matches.length
-      ? `Matched keywords: ${selection.matches.join(", ")}.`
-      : "No direct match found. Generated a sculpture by default."
+  const result = await compileWithRetries(provider, code, {
+    retries,
+    signal,
+    onProgress: ({ stage, attempt, code: current }) => {
+      if (stage === "compiling") {
+        setEditorValue(output, current);
+        setStatus(attempt ? `Compiling fix ${attempt} of ${retries}...` : "Compiling generated SCAD...");
+      } else {
+        setStatus(`Compile failed. Asking ${provider.name} for fix ${attempt} of ${retries}...`);
+      }
+    },
+  });
+  if (result.ok) {
+    setDetails(
+      `Generated by ${provider.name}. It compiled ${
+        result.attempts ? `after ${describeAttempts(result.attempts)}` : "on the first try"
+      }.`
+    );
+    setStatus("Generated SCAD compiles.");
+    return;
+  }
+  setDetails(result.errorMessage);
+  setStatus(
+    result.attempts
+      ? `Generated SCAD still fails to compile after ${describeAttempts(result.attempts)}.`
+      : "Generated SCAD fails to compile.",
+    true
   );
 }
 
+function handleGenerate() {
+  if (isRunning) {
+    return;
+  }
+  const prompt = promptInput.value.trim();
+  const provider = templateSelect.value === "auto" && prompt ? createLlmProvider() : null;
+  if (!provider) {
+    generateCode();
+    return;
+  }
+  isRunning = true;
+  generateButton.disabled = true;
+  cancelButton.hidden = false;
+  generateWithModel(provider, prompt)
+    .catch((error) => {
+      if (error?.name === "AbortError") {
+        setStatus("Generation cancelled.");
+        return;
+      }
+      setStatus(error?.message || "Generation failed.", true);
+    })
+    .finally(() => {
+      isRunning = false;
+      llmRequest = null;
+      generateButton.disabled = false;
+      cancelButton.hidden = true;
+    });
+}
+
 async function copyCode() {
   const text = output.value;
   if (!text) {
@@ -191,6 +553,32 @@ function openInViewer() {
   window.location.href = "index.html#generated";
 }
 
-generateButton.addEventListener("click", generateCode);
+templates.forEach((template) => {
+  templateSelect.appendChild(new Option(template.name, template.id));
+});
+
+createCodeEditor(output, { readOnly: true });
+setupLlmSettings(llmPanel);
+templateSelect.addEventListener("change", () => {
+  if (templateSelect.value !== "auto") {
+    generateCode();
+  }
+});
+detailInput.addEventListener("change", () => {
+  if (currentTemplate) {
+    writeOutput();
+  }
+});
+generateButton.addEventListener("click", handleGenerate);
+cancelButton.addEventListener("click", () => {
+  llmRequest?.abort();
+  cancelScadCompile();
+});
 copyButton.addEventListener("click", copyCode);
 openButton.addEventListener("click", openInViewer);
+
+if (templateErrors.length) {
+  setStatus(`Some templates did not load. ${templateErrors.join(" ")}`, true);
+}
+
+registerOfflineCache();
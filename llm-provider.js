@@ -0,0 +1,164 @@
+import { compileScad, getScadDiagnostics } from "./scad-engine.js";
+
+const SETTINGS_KEY = "stlStudio.llmSettings";
+const CODE_BLOCK = /```[\w-]*[^\S\n]*\n([\s\S]*?)```/;
+
+const GENERATE_INSTRUCTIONS =
+  "You write OpenSCAD code for FDM 3D printing. Reply with one complete OpenSCAD file in a " +
+  "```openscad code block. Use millimeters, put the main dimensions in top-level variables, " +
+  "and do not include external libraries.";
+const FIX_INSTRUCTIONS =
+  "You repair OpenSCAD code. Reply with the whole corrected file in a ```openscad code block. " +
+  "Keep the design and variable names unless the error requires a change.";
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: "offline",
+  baseUrl: "http://localhost:11434/v1",
+  model: "qwen2.5-coder",
+  apiKey: "",
+  retries: 2,
+};
+
+const PROVIDERS = {
+  openai: createOpenAiProvider,
+};
+
+export function getLlmSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    return { ...DEFAULT_LLM_SETTINGS, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_LLM_SETTINGS };
+  }
+}
+
+export function saveLlmSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function extractScadCode(reply) {
+  const match = reply.match(CODE_BLOCK);
+  return `${(match ? match[1] : reply).trim()}\n`;
+}
+
+export function createOpenAiProvider({ baseUrl, model, apiKey }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function complete(instructions, content, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        messages: [
+          { role: "system", content: instructions },
+          { role: "user", content },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Model server returned HTTP ${response.status}.`);
+    }
+    const data = await response.json();
+    const reply = data.choices?.[0]?.message?.content;
+    if (!reply) {
+      throw new Error("Model server returned an empty reply.");
+    }
+    return extractScadCode(reply);
+  }
+
+  return {
+    name: model,
+    generateScad: (prompt, { signal } = {}) => complete(GENERATE_INSTRUCTIONS, prompt, signal),
+    fixScad: (code, error, { signal } = {}) =>
+      complete(
+        FIX_INSTRUCTIONS,
+        `This OpenSCAD file fails to compile.\n\nCompiler output:\n${error}\n\n\`\`\`openscad\n${code}\`\`\``,
+        signal
+      ),
+  };
+}
+
+export function createLlmProvider(settings = getLlmSettings()) {
+  const factory = PROVIDERS[settings.provider];
+  if (!factory || !settings.baseUrl || !settings.model) {
+    return null;
+  }
+  return factory(settings);
+}
+
+function describeCompileFailure(error) {
+  const lines = getScadDiagnostics()
+    .diagnostics.filter((diagnostic) => diagnostic.severity === "error")
+    .map((diagnostic) =>
+      diagnostic.line ? `Line ${diagnostic.line}: ${diagnostic.message}` : diagnostic.message
+    );
+  return lines.length ? lines.join("\n") : error?.message || "SCAD compile failed.";
+}
+
+export async function compileWithRetries(provider, code, options = {}) {
+  const { retries = 0, signal, onProgress, files, entry } = options;
+  let current = code;
+  for (let attempt = 0; ; attempt += 1) {
+    onProgress?.({ stage: "compiling", attempt, code: current });
+    try {
+      await compileScad(current, { files, entry });
+      return { code: current, ok: true, attempts: attempt };
+    } catch (error) {
+      if (error?.name === "AbortError") {
+        throw error;
+      }
+      const failure = describeCompileFailure(error);
+      if (attempt >= retries) {
+        return { code: current, ok: false, attempts: attempt, errorMessage: failure };
+      }
+      onProgress?.({ stage: "fixing", attempt: attempt + 1, error: failure });
+      current = await provider.fixScad(current, failure, { signal });
+    }
+  }
+}
+
+export function setupLlmSettings(panel) {
+  const providerSelect = panel.querySelector(".llm-provider");
+  const baseUrlInput = panel.querySelector(".llm-base-url");
+  const modelInput = panel.querySelector(".llm-model");
+  const apiKeyInput = panel.querySelector(".llm-api-key");
+  const retriesInput = panel.querySelector(".llm-retries");
+  const remoteFields = panel.querySelectorAll(".llm-remote");
+  const settings = getLlmSettings();
+
+  providerSelect.value = settings.provider;
+  baseUrlInput.value = settings.baseUrl;
+  modelInput.value = settings.model;
+  apiKeyInput.value = settings.apiKey;
+  retriesInput.value = settings.retries;
+
+  const update = () => {
+    const retries = Math.round(Number(retriesInput.value));
+    const next = {
+      provider: providerSelect.value,
+      baseUrl: baseUrlInput.value.trim(),
+      model: modelInput.value.trim(),
+      apiKey: apiKeyInput.value.trim(),
+      retries: Number.isFinite(retries) ? Math.min(Math.max(retries, 0), 5) : DEFAULT_LLM_SETTINGS.retries,
+    };
+    retriesInput.value = next.retries;
+    remoteFields.forEach((field) => {
+      field.hidden = next.provider === "offline";
+    });
+    saveLlmSettings(next);
+  };
+
+  remoteFields.forEach((field) => {
+    field.hidden = settings.provider === "offline";
+  });
+  [providerSelect, baseUrlInput, modelInput, apiKeyInput, retriesInput].forEach((element) => {
+    element.addEventListener("change", update);
+  });
+}
@@ -0,0 +1,403 @@
+function hashCell(x, y, z) {
+  return Math.imul(x | 0, 73856093) ^ Math.imul(y | 0, 19349663) ^ Math.imul(z | 0, 83492791);
+}
+
+export function getDefaultTolerance(positions) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let minZ = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let maxZ = -Infinity;
+  for (let i = 0; i < positions.length; i += 3) {
+    minX = Math.min(minX, positions[i]);
+    minY = Math.min(minY, positions[i + 1]);
+    minZ = Math.min(minZ, positions[i + 2]);
+    maxX = Math.max(maxX, positions[i]);
+    maxY = Math.max(maxY, positions[i + 1]);
+    maxZ = Math.max(maxZ, positions[i + 2]);
+  }
+  const diagonal = Math.hypot(maxX - minX, maxY - minY, maxZ - minZ);
+  return Number.isFinite(diagonal) && diagonal > 0 ? diagonal * 1e-6 : 1e-6;
+}
+
+export function weldVertices(positions, tolerance) {
+  const cellSize = tolerance > 0 ? tolerance : 1e-9;
+  const toleranceSq = tolerance * tolerance;
+  const cells = new Map();
+  const vertices = [];
+  const indices = new Uint32Array(Math.floor(positions.length / 3));
+
+  for (let i = 0; i < indices.length; i += 1) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const cx = Math.floor(x / cellSize);
+    const cy = Math.floor(y / cellSize);
+    const cz = Math.floor(z / cellSize);
+
+    let found = -1;
+    for (let dx = -1; dx <= 1 && found < 0; dx += 1) {
+      for (let dy = -1; dy <= 1 && found < 0; dy += 1) {
+        for (let dz = -1; dz <= 1 && found < 0; dz += 1) {
+          const bucket = cells.get(hashCell(cx + dx, cy + dy, cz + dz));
+          if (!bucket) {
+            continue;
+          }
+          for (let b = 0; b < bucket.length; b += 1) {
+            const v = bucket[b] * 3;
+            const ex = vertices[v] - x;
+            const ey = vertices[v + 1] - y;
+            const ez = vertices[v + 2] - z;
+            if (ex * ex + ey * ey + ez * ez <= toleranceSq) {
+              found = bucket[b];
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    if (found < 0) {
+      found = vertices.length / 3;
+      vertices.push(x, y, z);
+      const key = hashCell(cx, cy, cz);
+      const bucket = cells.get(key);
+      if (bucket) {
+        bucket.push(found);
+      } else {
+        cells.set(key, [found]);
+      }
+    }
+    indices[i] = found;
+  }
+
+  return { vertices: new Float32Array(vertices), indices };
+}
+
+export function triangleArea(vertices, a, b, c) {
+  const ax = vertices[b * 3] - vertices[a * 3];
+  const ay = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+  const az = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+  const bx = vertices[c * 3] - vertices[a * 3];
+  const by = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+  const bz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+  const nx = ay * bz - az * by;
+  const ny = az * bx - ax * bz;
+  const nz = ax * by - ay * bx;
+  return Math.hypot(nx, ny, nz) / 2;
+}
+
+export function edgeKey(a, b, vertexCount) {
+  return a < b ? a * vertexCount + b : b * vertexCount + a;
+}
+
+export function faceKey(a, b, c) {
+  const sorted = [a, b, c].sort((x, y) => x - y);
+  return `${sorted[0]},${sorted[1]},${sorted[2]}`;
+}
+
+export function buildEdgeMap(indices, vertexCount, faces) {
+  const edges = new Map();
+  faces.forEach((face) => {
+    for (let corner = 0; corner < 3; corner += 1) {
+      const from = indices[face * 3 + corner];
+      const to = indices[face * 3 + ((corner + 1) % 3)];
+      const key = edgeKey(from, to, vertexCount);
+      const uses = edges.get(key);
+      const use = { face, from, to };
+      if (uses) {
+        uses.push(use);
+      } else {
+        edges.set(key, [use]);
+      }
+    }
+  });
+  return edges;
+}
+
+function createUnionFind(size) {
+  const parent = new Uint32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    parent[i] = i;
+  }
+  const find = (value) => {
+    let root = value;
+    while (parent[root] !== root) {
+      root = parent[root];
+    }
+    let node = value;
+    while (parent[node] !== root) {
+      const next = parent[node];
+      parent[node] = root;
+      node = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+    }
+  };
+  return { find, union };
+}
+
+export function findShells(indices, faces, edges) {
+  const unionFind = createUnionFind(indices.length / 3);
+  edges.forEach((uses) => {
+    for (let i = 1; i < uses.length; i += 1) {
+      unionFind.union(uses[0].face, uses[i].face);
+    }
+  });
+  const shells = new Map();
+  faces.forEach((face) => {
+    const root = unionFind.find(face);
+    const shell = shells.get(root);
+    if (shell) {
+      shell.push(face);
+    } else {
+      shells.set(root, [face]);
+    }
+  });
+  return [...shells.values()];
+}
+
+export function analyzeMesh(positions, options = {}) {
+  const tolerance = options.tolerance ?? getDefaultTolerance(positions);
+  const { vertices, indices } = weldVertices(positions, tolerance);
+  const vertexCount = vertices.length / 3;
+  const triangleCount = Math.floor(indices.length / 3);
+  const areaEpsilon = tolerance * tolerance;
+
+  const degenerateFaces = [];
+  const duplicateFaces = [];
+  const validFaces = [];
+  const seenFaces = new Set();
+
+  for (let face = 0; face < triangleCount; face += 1) {
+    const a = indices[face * 3];
+    const b = indices[face * 3 + 1];
+    const c = indices[face * 3 + 2];
+    if (a === b || b === c || a === c || triangleArea(vertices, a, b, c) <= areaEpsilon) {
+      degenerateFaces.push(face);
+      continue;
+    }
+    const key = faceKey(a, b, c);
+    if (seenFaces.has(key)) {
+      duplicateFaces.push(face);
+      continue;
+    }
+    seenFaces.add(key);
+    validFaces.push(face);
+  }
+
+  const edges = buildEdgeMap(indices, vertexCount, validFaces);
+  const boundaryEdges = [];
+  const nonManifoldEdges = [];
+  const windingEdges = [];
+
+  edges.forEach((uses) => {
+    const { from, to } = uses[0];
+    if (uses.length === 1) {
+      boundaryEdges.push(from, to);
+    } else if (uses.length > 2) {
+      nonManifoldEdges.push(from, to);
+    } else if (uses[0].from === uses[1].from) {
+      windingEdges.push(from, to);
+    }
+  });
+
+  const shells = findShells(indices, validFaces, edges);
+
+  return {
+    tolerance,
+    vertices,
+    indices,
+    vertexCount,
+    triangleCount,
+    boundaryEdges,
+    nonManifoldEdges,
+    windingEdges,
+    degenerateFaces,
+    duplicateFaces,
+    shellCount: shells.length,
+    isWatertight: boundaryEdges.length === 0 && nonManifoldEdges.length === 0,
+  };
+}
+
+export function measureMesh(positions) {
+  let signedVolume = 0;
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  let cz = 0;
+
+  for (let i = 0; i + 9 <= positions.length; i += 9) {
+    const ax = positions[i];
+    const ay = positions[i + 1];
+    const az = positions[i + 2];
+    const bx = positions[i + 3];
+    const by = positions[i + 4];
+    const bz = positions[i + 5];
+    const qx = positions[i + 6];
+    const qy = positions[i + 7];
+    const qz = positions[i + 8];
+
+    const volume = (ax * (by * qz - bz * qy) - ay * (bx * qz - bz * qx) + az * (bx * qy - by * qx)) / 6;
+    signedVolume += volume;
+    cx += volume * (ax + bx + qx) / 4;
+    cy += volume * (ay + by + qy) / 4;
+    cz += volume * (az + bz + qz) / 4;
+
+    const ux = bx - ax;
+    const uy = by - ay;
+    const uz = bz - az;
+    const vx = qx - ax;
+    const vy = qy - ay;
+    const vz = qz - az;
+    area += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+  }
+
+  const centerOfMass =
+    Math.abs(signedVolume) > 0
+      ? [cx / signedVolume, cy / signedVolume, cz / signedVolume]
+      : null;
+
+  return {
+    signedVolume,
+    volume: Math.abs(signedVolume),
+    area,
+    centerOfMass,
+  };
+}
+
+export function analyzeOverhangs(positions, options = {}) {
+  const tolerance = options.tolerance ?? getDefaultTolerance(positions);
+  const thresholdRadians = ((options.thresholdDegrees ?? 45) * Math.PI) / 180;
+  const { vertices, indices } = weldVertices(positions, tolerance);
+  const vertexCount = vertices.length / 3;
+  const triangleCount = Math.floor(indices.length / 3);
+
+  let floorZ = options.floorZ;
+  if (floorZ === undefined) {
+    floorZ = Infinity;
+    for (let v = 0; v < vertexCount; v += 1) {
+      floorZ = Math.min(floorZ, vertices[v * 3 + 2]);
+    }
+  }
+  const floorTolerance = options.floorTolerance ?? Math.max(tolerance * 10, 0.01);
+
+  let overhangArea = 0;
+  let overhangFaces = 0;
+  const downwardFaces = new Uint8Array(triangleCount);
+  const neighbors = Array.from({ length: vertexCount }, () => []);
+
+  for (let face = 0; face < triangleCount; face += 1) {
+    const a = indices[face * 3];
+    const b = indices[face * 3 + 1];
+    const c = indices[face * 3 + 2];
+    if (a === b || b === c || a === c) {
+      continue;
+    }
+    neighbors[a].push(b, c);
+    neighbors[b].push(a, c);
+    neighbors[c].push(a, b);
+
+    const ux = vertices[b * 3] - vertices[a * 3];
+    const uy = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+    const uz = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+    const vx = vertices[c * 3] - vertices[a * 3];
+    const vy = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+    const vz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz);
+    if (length === 0) {
+      continue;
+    }
+    if (nz / length < 0) {
+      downwardFaces[face] = 1;
+    }
+    const top = Math.max(vertices[a * 3 + 2], vertices[b * 3 + 2], vertices[c * 3 + 2]);
+    if (top <= floorZ + floorTolerance) {
+      continue;
+    }
+    if (Math.asin(Math.min(1, -nz / length)) > thresholdRadians) {
+      overhangArea += length / 2;
+      overhangFaces += 1;
+    }
+  }
+
+  const plateau = new Int32Array(vertexCount).fill(-1);
+  const plateaus = [];
+  for (let seed = 0; seed < vertexCount; seed += 1) {
+    if (plateau[seed] >= 0) {
+      continue;
+    }
+    const z = vertices[seed * 3 + 2];
+    const members = [seed];
+    plateau[seed] = plateaus.length;
+    for (let i = 0; i < members.length; i += 1) {
+      neighbors[members[i]].forEach((next) => {
+        if (plateau[next] < 0 && Math.abs(vertices[next * 3 + 2] - z) <= floorTolerance) {
+          plateau[next] = plateaus.length;
+          members.push(next);
+        }
+      });
+    }
+    plateaus.push({ z, members, supported: z <= floorZ + floorTolerance });
+  }
+
+  plateaus.forEach((entry) => {
+    if (entry.supported) {
+      return;
+    }
+    entry.supported = entry.members.some((member) =>
+      neighbors[member].some((next) => vertices[next * 3 + 2] < entry.z - floorTolerance)
+    );
+  });
+
+  const islands = [];
+  const islandIndex = new Int32Array(plateaus.length).fill(-1);
+  plateaus.forEach((entry, index) => {
+    if (entry.supported || !entry.members.some((member) => neighbors[member].length)) {
+      return;
+    }
+    let cx = 0;
+    let cy = 0;
+    entry.members.forEach((member) => {
+      cx += vertices[member * 3];
+      cy += vertices[member * 3 + 1];
+    });
+    islandIndex[index] = islands.length;
+    islands.push({
+      point: [cx / entry.members.length, cy / entry.members.length, entry.z],
+      faces: [],
+    });
+  });
+
+  for (let face = 0; face < triangleCount; face += 1) {
+    if (!downwardFaces[face]) {
+      continue;
+    }
+    for (let corner = 0; corner < 3; corner += 1) {
+      const island = islandIndex[plateau[indices[face * 3 + corner]]];
+      if (island >= 0) {
+        islands[island].faces.push(face);
+        break;
+      }
+    }
+  }
+
+  return {
+    vertices,
+    indices,
+    floorZ,
+    overhangArea,
+    overhangFaces,
+    islands,
+  };
+}
@@ -0,0 +1,110 @@
+import { strToU8, zipSync } from "three/addons/libs/fflate.module.js";
+
+const THREE_MF_NAMESPACE = "http://schemas.microsoft.com/3dmanufacturing/core/2015/02";
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />
+</Types>
+`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />
+</Relationships>
+`;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, "");
+}
+
+function formatColor(color) {
+  const hex = Math.round(Math.min(Math.max(color ?? 0xff9a6a, 0), 0xffffff))
+    .toString(16)
+    .padStart(6, "0");
+  return `#${hex.toUpperCase()}FF`;
+}
+
+function buildMeshXml(part) {
+  const { vertices, indices } = part;
+  const lines = ["      <mesh>", "        <vertices>"];
+  for (let i = 0; i < vertices.length; i += 3) {
+    lines.push(
+      `          <vertex x="${formatNumber(vertices[i])}" y="${formatNumber(
+        vertices[i + 1]
+      )}" z="${formatNumber(vertices[i + 2])}" />`
+    );
+  }
+  lines.push("        </vertices>", "        <triangles>");
+  for (let i = 0; i < indices.length; i += 3) {
+    lines.push(
+      `          <triangle v1="${indices[i]}" v2="${indices[i + 1]}" v3="${indices[i + 2]}" />`
+    );
+  }
+  lines.push("        </triangles>", "      </mesh>");
+  return lines.join("\n");
+}
+
+function buildModelXml(parts) {
+  const materialId = parts.length + 1;
+  const resources = [`    <basematerials id="${materialId}">`];
+  parts.forEach((part, index) => {
+    resources.push(
+      `      <base name="${escapeXml(part.name || `Object ${index + 1}`)}" displaycolor="${formatColor(
+        part.color
+      )}" />`
+    );
+  });
+  resources.push("    </basematerials>");
+
+  parts.forEach((part, index) => {
+    resources.push(
+      `    <object id="${index + 1}" type="model" name="${escapeXml(
+        part.name || `Object ${index + 1}`
+      )}" pid="${materialId}" pindex="${index}">`,
+      buildMeshXml(part),
+      "    </object>"
+    );
+  });
+
+  const items = parts.map((part, index) => `    <item objectid="${index + 1}" />`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<model unit="millimeter" xml:lang="en-US" xmlns="${THREE_MF_NAMESPACE}">`,
+    '  <metadata name="Application">STL Studio</metadata>',
+    "  <resources>",
+    ...resources,
+    "  </resources>",
+    "  <build>",
+    ...items,
+    "  </build>",
+    "</model>",
+    "",
+  ].join("\n");
+}
+
+export function export3mf(parts) {
+  const usable = parts.filter((part) => part.indices.length >= 3);
+  if (!usable.length) {
+    throw new Error("Nothing to export as 3MF.");
+  }
+  const archive = zipSync(
+    {
+      "[Content_Types].xml": strToU8(CONTENT_TYPES_XML),
+      "_rels/.rels": strToU8(RELS_XML),
+      "3D/3dmodel.model": strToU8(buildModelXml(usable)),
+    },
+    { level: 6 }
+  );
+  return archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.byteLength);
+}
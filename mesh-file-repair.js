@@ -0,0 +1,555 @@
+import { readBinaryStl } from "./stl-format.js";
+
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+const OFF_HEADER = /^(?:ST)?C?N?4?n?OFF$/;
+const OBJ_SLOTS = ["v", "vt", "vn"];
+const REPAIRED_STL_HEADER = "Binary STL repaired by STL Studio";
+
+function splitLines(text) {
+  return text.replace(/\r\n?/g, "\n").split("\n");
+}
+
+function plural(count, noun, pluralNoun = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : pluralNoun}`;
+}
+
+function isNumeric(tokens) {
+  return tokens.every((token) => NUMBER.test(token));
+}
+
+function isIndexList(tokens) {
+  return tokens.every((token) => /^\d+$/.test(token));
+}
+
+function hasThreeCorners(indices) {
+  return new Set(indices).size >= 3;
+}
+
+function describeFaceDrops({ outOfRange, tooSmall, malformed }) {
+  const notes = [];
+  if (outOfRange) {
+    notes.push(`Removed ${plural(outOfRange, "face")} pointing to vertices that do not exist.`);
+  }
+  if (tooSmall) {
+    notes.push(`Removed ${plural(tooSmall, "face")} with fewer than three distinct vertices.`);
+  }
+  if (malformed) {
+    notes.push(`Removed ${plural(malformed, "unreadable line")}.`);
+  }
+  return notes;
+}
+
+function resolveObjCorner(corner, counts) {
+  let negative = 0;
+  let isValid = true;
+  const refs = corner.split("/");
+  if (refs.length > OBJ_SLOTS.length || !refs[0]) {
+    return { isValid: false };
+  }
+  const resolved = refs.map((value, slot) => {
+    if (!value) {
+      return value;
+    }
+    const total = counts[OBJ_SLOTS[slot]];
+    let index = Number(value);
+    if (!Number.isInteger(index)) {
+      isValid = false;
+      return value;
+    }
+    if (index < 0) {
+      index += total + 1;
+      negative += 1;
+    }
+    if (index < 1 || index > total) {
+      isValid = false;
+    }
+    return String(index);
+  });
+  return { isValid, negative, vertex: resolved[0], text: resolved.join("/") };
+}
+
+export function repairObjText(text) {
+  const counts = { v: 0, vt: 0, vn: 0 };
+  const dropped = { outOfRange: 0, tooSmall: 0, malformed: 0 };
+  let negative = 0;
+  const lines = [];
+
+  splitLines(text).forEach((line) => {
+    const tokens = line.trim().split(/\s+/);
+    const keyword = tokens[0];
+    if (keyword in counts) {
+      counts[keyword] += 1;
+      lines.push(line);
+      return;
+    }
+    if (keyword !== "f") {
+      lines.push(line);
+      return;
+    }
+    const corners = tokens.slice(1).map((corner) => resolveObjCorner(corner, counts));
+    if (!corners.every((corner) => corner.isValid)) {
+      dropped.outOfRange += 1;
+      return;
+    }
+    if (!hasThreeCorners(corners.map((corner) => corner.vertex))) {
+      dropped.tooSmall += 1;
+      return;
+    }
+    const faceNegative = corners.reduce((total, corner) => total + corner.negative, 0);
+    negative += faceNegative;
+    lines.push(faceNegative ? `f ${corners.map((corner) => corner.text).join(" ")}` : line);
+  });
+
+  if (!counts.v) {
+    throw new Error("OBJ has no vertex (v) lines.");
+  }
+  const notes = [];
+  if (negative) {
+    notes.push(`Converted ${plural(negative, "negative index", "negative indices")} to absolute indices.`);
+  }
+  notes.push(...describeFaceDrops(dropped));
+  return { text: lines.join("\n"), notes };
+}
+
+function isOffVertex(tokens) {
+  return tokens.length >= 3 && isNumeric(tokens);
+}
+
+function isOffFace(tokens, minSize = 1) {
+  const size = Number(tokens[0]);
+  return (
+    Number.isInteger(size) &&
+    size >= minSize &&
+    tokens.length >= size + 1 &&
+    tokens.length <= size + 5 &&
+    isIndexList(tokens.slice(1, size + 1)) &&
+    isNumeric(tokens)
+  );
+}
+
+// A triangle row `3 a b c` also reads as four numbers, so vertex rows must have the columns of
+// the first one and must not look like a face, unless the first vertex row does too.
+function countOffVertices(rows, declared) {
+  const columns = rows[0]?.tokens.length;
+  const faceLike = rows.length > 0 && isOffFace(rows[0].tokens, 3);
+  const isVertexRow = (row) =>
+    isOffVertex(row.tokens) &&
+    row.tokens.length === columns &&
+    (faceLike || !isOffFace(row.tokens, 3));
+  const fitsDeclared =
+    Number.isInteger(declared) &&
+    declared <= rows.length &&
+    rows.slice(0, declared).every(isVertexRow) &&
+    (declared === rows.length || isOffFace(rows[declared].tokens, 3));
+  if (fitsDeclared) {
+    return declared;
+  }
+  const end = rows.findIndex((row) => !isVertexRow(row));
+  return end === -1 ? rows.length : end;
+}
+
+// "0 0 0" reads as counts and as a vertex, so a three-number row only counts when the rows
+// after it agree: the declared vertices fit, or the declared faces are what is left after them.
+function isOffCounts(tokens, following) {
+  if (tokens.length < 2 || tokens.length > 3 || !isIndexList(tokens)) {
+    return false;
+  }
+  if (tokens.length === 2) {
+    return true;
+  }
+  const [vertices, faces] = tokens.map(Number);
+  const vertexCount = countOffVertices(following, vertices);
+  return vertices > 0 && (vertexCount === vertices || following.length - vertexCount === faces);
+}
+
+export function repairOffText(text) {
+  const lines = splitLines(text);
+  const rows = [];
+  lines.forEach((line, index) => {
+    const content = line.replace(/#.*/, "").trim();
+    if (content) {
+      rows.push({ index, tokens: content.split(/\s+/) });
+    }
+  });
+  if (!rows.length) {
+    throw new Error("OFF file is empty.");
+  }
+
+  const notes = [];
+  let header = null;
+  let counts = null;
+  if (OFF_HEADER.test(rows[0].tokens[0])) {
+    header = rows.shift();
+    if (header.tokens.length > 1) {
+      counts = { index: header.index, tokens: header.tokens.slice(1), isInline: true };
+    }
+  } else {
+    notes.push("Added the missing OFF header.");
+  }
+  if (!counts && rows.length && isOffCounts(rows[0].tokens, rows.slice(1))) {
+    counts = rows.shift();
+  }
+
+  const [declaredVertices, declaredFaces, declaredEdges] = counts ? counts.tokens.map(Number) : [];
+  const vertexCount = countOffVertices(rows, declaredVertices);
+  if (!vertexCount) {
+    throw new Error("OFF file has no vertices.");
+  }
+
+  const dropped = { outOfRange: 0, tooSmall: 0, malformed: 0 };
+  const droppedLines = new Set();
+  let faceCount = 0;
+  rows.slice(vertexCount).forEach(({ index, tokens }) => {
+    if (!isOffFace(tokens)) {
+      dropped.malformed += 1;
+      droppedLines.add(index);
+      return;
+    }
+    const indices = tokens.slice(1, Number(tokens[0]) + 1).map(Number);
+    if (indices.some((vertex) => vertex >= vertexCount)) {
+      dropped.outOfRange += 1;
+      droppedLines.add(index);
+      return;
+    }
+    if (!hasThreeCorners(indices)) {
+      dropped.tooSmall += 1;
+      droppedLines.add(index);
+      return;
+    }
+    faceCount += 1;
+  });
+
+  if (!counts) {
+    notes.push("Added the missing vertex and face counts.");
+  } else {
+    if (declaredVertices !== vertexCount) {
+      notes.push(`Vertex count ${declaredVertices} -> ${vertexCount}.`);
+    }
+    if (declaredFaces !== faceCount) {
+      notes.push(`Face count ${declaredFaces} -> ${faceCount}.`);
+    }
+  }
+  notes.push(...describeFaceDrops(dropped));
+
+  const headerKeyword = header ? header.tokens[0] : "OFF";
+  const countsText = `${vertexCount} ${faceCount} ${Number.isInteger(declaredEdges) ? declaredEdges : 0}`;
+  const output = [];
+  if (!header) {
+    output.push(headerKeyword);
+  }
+  if (!counts && !header) {
+    output.push(countsText);
+  }
+  lines.forEach((line, index) => {
+    if (droppedLines.has(index)) {
+      return;
+    }
+    if (header && index === header.index) {
+      output.push(counts?.isInline ? `${headerKeyword} ${countsText}` : line);
+      if (!counts) {
+        output.push(countsText);
+      }
+      return;
+    }
+    if (counts && !counts.isInline && index === counts.index) {
+      output.push(line.replace(/^\s*\S+\s+\S+(?:\s+\S+)?/, countsText));
+      return;
+    }
+    output.push(line);
+  });
+  return { text: output.join("\n"), notes };
+}
+
+function readPlyHeader(lines, notes) {
+  const headerEnd = lines.findIndex((line) => /^end_header\b/.test(line.trim()));
+  const firstData = lines.findIndex((line) => NUMBER.test(line.trim().split(/\s+/)[0]));
+  const dataStart = headerEnd !== -1 ? headerEnd + 1 : firstData === -1 ? lines.length : firstData;
+  if (headerEnd === -1) {
+    notes.push("Added the missing end_header line.");
+  }
+  const headerLines = lines.slice(0, headerEnd === -1 ? dataStart : headerEnd);
+  const entries = [];
+  const elements = [];
+  let hasMagic = false;
+  let hasFormat = false;
+  let unknown = 0;
+
+  headerLines.forEach((line) => {
+    const content = line.trim();
+    if (!content) {
+      return;
+    }
+    if (/^ply$/i.test(content) && !hasMagic && !entries.length) {
+      hasMagic = true;
+      if (content !== "ply") {
+        notes.push('Fixed the "ply" magic line.');
+      }
+      return;
+    }
+    const format = content.match(/^format\s+(\S+)(?:\s+(\S+))?/);
+    if (format) {
+      if (/^binary/.test(format[1])) {
+        throw new Error(
+          "Binary PLY can't be repaired as text. Load it in the viewer and export it as ASCII PLY first."
+        );
+      }
+      if (format[1] !== "ascii" || format[2] !== "1.0") {
+        notes.push(`Fixed the format line ("${content}" -> "format ascii 1.0").`);
+      }
+      hasFormat = true;
+      return;
+    }
+    if (/^(?:comment|obj_info)\b/.test(content)) {
+      entries.push({ text: content });
+      return;
+    }
+    const element = content.match(/^element\s+(\S+)(?:\s+(\S+))?/);
+    if (element) {
+      const count = Number(element[2]);
+      const entry = {
+        name: element[1],
+        count: Number.isInteger(count) && count >= 0 ? count : null,
+        properties: [],
+      };
+      elements.push(entry);
+      entries.push({ element: entry });
+      return;
+    }
+    const list = content.match(/^property\s+list\s+(\S+)\s+(\S+)\s+(\S+)$/);
+    const scalar = content.match(/^property\s+(\S+)\s+(\S+)$/);
+    if ((list || scalar) && elements.length) {
+      elements[elements.length - 1].properties.push({
+        name: list ? list[3] : scalar[2],
+        isList: Boolean(list),
+        text: content,
+      });
+      return;
+    }
+    unknown += 1;
+  });
+
+  if (!hasMagic) {
+    notes.push('Added the missing "ply" magic line.');
+  }
+  if (!hasFormat) {
+    notes.push("Added the missing format line.");
+  }
+  if (unknown) {
+    notes.push(`Removed ${plural(unknown, "unreadable header line")}.`);
+  }
+  return { entries, elements, dataStart };
+}
+
+function matchesPlyElement(element, tokens) {
+  if (!isNumeric(tokens)) {
+    return false;
+  }
+  let position = 0;
+  for (const property of element.properties) {
+    if (property.isList) {
+      const size = Number(tokens[position]);
+      if (!Number.isInteger(size) || size < 0) {
+        return false;
+      }
+      position += size + 1;
+    } else {
+      position += 1;
+    }
+  }
+  return position === tokens.length;
+}
+
+function inferPlyElements(elements, rows, notes) {
+  let vertex = elements.find((element) => element.name === "vertex");
+  if (!vertex) {
+    vertex = { name: "vertex", count: null, properties: [] };
+    elements.unshift(vertex);
+    notes.push("Added the missing vertex element.");
+  }
+  if (!vertex.properties.length && rows.length) {
+    const columns = rows[0].tokens.length;
+    ["x", "y", "z", ...Array.from({ length: Math.max(columns - 3, 0) }, (_, i) => `extra${i + 1}`)].forEach(
+      (name) => {
+        vertex.properties.push({ name, isList: false, text: `property float ${name}` });
+      }
+    );
+    notes.push(`Added ${plural(vertex.properties.length, "vertex property", "vertex properties")}.`);
+  }
+  let face = elements.find((element) => element.name === "face");
+  if (!face && rows.some((row) => !matchesPlyElement(vertex, row.tokens))) {
+    face = { name: "face", count: null, properties: [] };
+    elements.push(face);
+    notes.push("Added the missing face element.");
+  }
+  if (face && !face.properties.length) {
+    face.properties.push({
+      name: "vertex_indices",
+      isList: true,
+      text: "property list uchar int vertex_indices",
+    });
+    notes.push("Added the missing face index property.");
+  }
+}
+
+// A vertex with four properties looks like a triangle row, so the row after the declared count
+// is checked against the next element, not against this one.
+function countPlyRows(element, next, rows, start) {
+  const declared = element.count;
+  const following = rows[start + declared];
+  const fitsDeclared =
+    declared !== null &&
+    start + declared <= rows.length &&
+    rows.slice(start, start + declared).every((row) => matchesPlyElement(element, row.tokens)) &&
+    (!following ||
+      (next
+        ? matchesPlyElement(next, following.tokens)
+        : !matchesPlyElement(element, following.tokens)));
+  if (fitsDeclared) {
+    return declared;
+  }
+  let end = start;
+  while (end < rows.length && matchesPlyElement(element, rows[end].tokens)) {
+    end += 1;
+  }
+  return end - start;
+}
+
+function getPlyFaceIndices(element, tokens) {
+  let position = 0;
+  for (const property of element.properties) {
+    if (!property.isList) {
+      position += 1;
+      continue;
+    }
+    const size = Number(tokens[position]);
+    if (/^vertex_ind(?:ex|ices)$/.test(property.name)) {
+      return tokens.slice(position + 1, position + 1 + size).map(Number);
+    }
+    position += size + 1;
+  }
+  return null;
+}
+
+export function repairPlyText(text) {
+  const notes = [];
+  const lines = splitLines(text);
+  const { entries, elements, dataStart } = readPlyHeader(lines, notes);
+  const rows = lines
+    .slice(dataStart)
+    .map((line) => ({ line, tokens: line.trim().split(/\s+/) }))
+    .filter((row) => row.tokens[0]);
+  inferPlyElements(elements, rows, notes);
+  if (!entries.some((entry) => entry.element)) {
+    elements.forEach((element) => entries.push({ element }));
+  } else {
+    elements
+      .filter((element) => !entries.some((entry) => entry.element === element))
+      .forEach((element) => {
+        const index = element.name === "vertex" ? 0 : entries.length;
+        entries.splice(index, 0, { element });
+      });
+  }
+
+  const dropped = { outOfRange: 0, tooSmall: 0, malformed: 0 };
+  let start = 0;
+  const vertexElement = elements.find((element) => element.name === "vertex");
+  let vertexCount = 0;
+  const ordered = entries.filter((entry) => entry.element).map((entry) => entry.element);
+  ordered.forEach((element, index) => {
+    const count = countPlyRows(element, ordered[index + 1], rows, start);
+    element.rows = rows.slice(start, start + count);
+    start += count;
+    if (element === vertexElement) {
+      vertexCount = count;
+    }
+  });
+  dropped.malformed = rows.length - start;
+
+  const faceElement = elements.find((element) => element.name === "face");
+  if (faceElement) {
+    faceElement.rows = faceElement.rows.filter((row) => {
+      const indices = getPlyFaceIndices(faceElement, row.tokens);
+      if (!indices) {
+        return true;
+      }
+      if (indices.some((index) => index >= vertexCount)) {
+        dropped.outOfRange += 1;
+        return false;
+      }
+      if (!hasThreeCorners(indices)) {
+        dropped.tooSmall += 1;
+        return false;
+      }
+      return true;
+    });
+  }
+  if (!vertexCount) {
+    throw new Error("PLY file has no vertex data.");
+  }
+
+  elements.forEach((element) => {
+    if (element.count !== element.rows.length) {
+      notes.push(`Element "${element.name}" count ${element.count ?? "missing"} -> ${element.rows.length}.`);
+    }
+  });
+  notes.push(...describeFaceDrops(dropped));
+
+  const output = ["ply", "format ascii 1.0"];
+  entries.forEach((entry) => {
+    if (!entry.element) {
+      output.push(entry.text);
+      return;
+    }
+    const { element } = entry;
+    output.push(`element ${element.name} ${element.rows.length}`);
+    element.properties.forEach((property) => output.push(property.text));
+  });
+  output.push("end_header");
+  entries
+    .filter((entry) => entry.element)
+    .forEach(({ element }) => {
+      element.rows.forEach((row) => output.push(row.line));
+    });
+  return { text: output.join("\n"), notes };
+}
+
+export function repairBinaryStl(buffer) {
+  if (buffer.byteLength < 84) {
+    throw new Error(`Binary STL is only ${buffer.byteLength} bytes, shorter than its 84-byte header.`);
+  }
+  const notes = [];
+  const declared = new DataView(buffer).getUint32(80, true);
+  const available = Math.floor((buffer.byteLength - 84) / 50);
+  const extraBytes = (buffer.byteLength - 84) % 50;
+  if (declared !== available) {
+    notes.push(`Header declared ${plural(declared, "triangle")}, but the file holds ${available}.`);
+  }
+  if (extraBytes) {
+    notes.push(
+      declared > available
+        ? `Dropped a cut-off triangle (${extraBytes} bytes).`
+        : `Dropped ${extraBytes} extra bytes after the last triangle.`
+    );
+  }
+
+  let header = new TextDecoder().decode(new Uint8Array(buffer, 0, 80)).replace(/\0[\s\S]*$/, "").trim();
+  if (/^solid\b/i.test(header)) {
+    header = REPAIRED_STL_HEADER;
+    notes.push('Replaced the header, which started with "solid" and made some programs read the file as ASCII STL.');
+  }
+
+  const positions = readBinaryStl(buffer, available);
+  const isValid = (triangle) => positions.subarray(triangle * 9, triangle * 9 + 9).every(Number.isFinite);
+  const validTriangles = Array.from({ length: available }, (_, triangle) => triangle).filter(isValid);
+  const invalid = available - validTriangles.length;
+  if (invalid) {
+    notes.push(`Removed ${plural(invalid, "triangle")} with invalid coordinates.`);
+  }
+  return {
+    positions: invalid
+      ? Float32Array.from(validTriangles.flatMap((triangle) => [...positions.subarray(triangle * 9, triangle * 9 + 9)]))
+      : positions,
+    header,
+    notes,
+  };
+}
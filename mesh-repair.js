@@ -0,0 +1,358 @@
+import {
+  analyzeMesh,
+  buildEdgeMap,
+  faceKey,
+  findShells,
+  getDefaultTolerance,
+  triangleArea,
+  weldVertices,
+} from "./mesh-analysis.js";
+
+function summarize(report) {
+  return {
+    triangles: report.triangleCount,
+    boundaryEdges: report.boundaryEdges.length / 2,
+    nonManifoldEdges: report.nonManifoldEdges.length / 2,
+    windingEdges: report.windingEdges.length / 2,
+    degenerateFaces: report.degenerateFaces.length,
+    duplicateFaces: report.duplicateFaces.length,
+    shells: report.shellCount,
+    isWatertight: report.isWatertight,
+  };
+}
+
+function flipFace(faces, face) {
+  const b = faces[face * 3 + 1];
+  faces[face * 3 + 1] = faces[face * 3 + 2];
+  faces[face * 3 + 2] = b;
+}
+
+function removeBadFaces(vertices, indices, areaEpsilon) {
+  const kept = [];
+  const seen = new Set();
+  let degenerate = 0;
+  let duplicate = 0;
+  for (let face = 0; face < indices.length / 3; face += 1) {
+    const a = indices[face * 3];
+    const b = indices[face * 3 + 1];
+    const c = indices[face * 3 + 2];
+    if (a === b || b === c || a === c || triangleArea(vertices, a, b, c) <= areaEpsilon) {
+      degenerate += 1;
+      continue;
+    }
+    const key = faceKey(a, b, c);
+    if (seen.has(key)) {
+      duplicate += 1;
+      continue;
+    }
+    seen.add(key);
+    kept.push(a, b, c);
+  }
+  return { faces: kept, degenerate, duplicate };
+}
+
+function allFaces(faces) {
+  return Array.from({ length: faces.length / 3 }, (_, face) => face);
+}
+
+function orientConsistently(faces, vertexCount) {
+  const faceList = allFaces(faces);
+  const edges = buildEdgeMap(faces, vertexCount, faceList);
+  const neighbors = faceList.map(() => []);
+  edges.forEach((uses) => {
+    if (uses.length !== 2) {
+      return;
+    }
+    const [first, second] = uses;
+    neighbors[first.face].push({ use: first, other: second });
+    neighbors[second.face].push({ use: second, other: first });
+  });
+
+  const visited = new Uint8Array(faceList.length);
+  const flipped = new Uint8Array(faceList.length);
+  faceList.forEach((seed) => {
+    if (visited[seed]) {
+      return;
+    }
+    visited[seed] = 1;
+    const queue = [seed];
+    while (queue.length) {
+      const face = queue.pop();
+      neighbors[face].forEach(({ use, other }) => {
+        if (visited[other.face]) {
+          return;
+        }
+        const effectiveFrom = flipped[face] ? use.to : use.from;
+        flipped[other.face] = other.from === effectiveFrom ? 1 : 0;
+        visited[other.face] = 1;
+        queue.push(other.face);
+      });
+    }
+  });
+
+  faceList.forEach((face) => {
+    if (flipped[face]) {
+      flipFace(faces, face);
+    }
+  });
+}
+
+function traceBoundaryLoops(faces, vertexCount) {
+  const edges = buildEdgeMap(faces, vertexCount, allFaces(faces));
+  const outgoing = new Map();
+  edges.forEach((uses) => {
+    if (uses.length !== 1) {
+      return;
+    }
+    const { from, to } = uses[0];
+    const list = outgoing.get(from);
+    if (list) {
+      list.push(to);
+    } else {
+      outgoing.set(from, [to]);
+    }
+  });
+
+  const loops = [];
+  outgoing.forEach((targets, start) => {
+    while (targets.length) {
+      const loop = [start];
+      let current = targets.pop();
+      let closed = false;
+      while (loop.length <= vertexCount) {
+        if (current === start) {
+          closed = true;
+          break;
+        }
+        loop.push(current);
+        const next = outgoing.get(current);
+        if (!next || !next.length) {
+          break;
+        }
+        current = next.pop();
+      }
+      if (closed && loop.length >= 3) {
+        loops.push(loop);
+      }
+    }
+  });
+  return loops;
+}
+
+function fillHoles(vertices, faces, maxHoleEdges) {
+  const loops = traceBoundaryLoops(faces, vertices.length / 3);
+  let holes = 0;
+  let triangles = 0;
+  loops.forEach((loop) => {
+    if (loop.length > maxHoleEdges) {
+      return;
+    }
+    holes += 1;
+    if (loop.length === 3) {
+      faces.push(loop[2], loop[1], loop[0]);
+      triangles += 1;
+      return;
+    }
+    let cx = 0;
+    let cy = 0;
+    let cz = 0;
+    loop.forEach((vertex) => {
+      cx += vertices[vertex * 3];
+      cy += vertices[vertex * 3 + 1];
+      cz += vertices[vertex * 3 + 2];
+    });
+    const center = vertices.length / 3;
+    vertices.push(cx / loop.length, cy / loop.length, cz / loop.length);
+    loop.forEach((vertex, i) => {
+      const next = loop[(i + 1) % loop.length];
+      faces.push(next, vertex, center);
+      triangles += 1;
+    });
+  });
+  return { holes, triangles };
+}
+
+function signedVolume(vertices, faces, shell) {
+  let volume = 0;
+  shell.forEach((face) => {
+    const a = faces[face * 3] * 3;
+    const b = faces[face * 3 + 1] * 3;
+    const c = faces[face * 3 + 2] * 3;
+    volume +=
+      (vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+        vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+        vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c])) /
+      6;
+  });
+  return volume;
+}
+
+function shellBounds(vertices, faces, shell) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  shell.forEach((face) => {
+    for (let corner = 0; corner < 3; corner += 1) {
+      const v = faces[face * 3 + corner] * 3;
+      for (let axis = 0; axis < 3; axis += 1) {
+        min[axis] = Math.min(min[axis], vertices[v + axis]);
+        max[axis] = Math.max(max[axis], vertices[v + axis]);
+      }
+    }
+  });
+  return { min, max };
+}
+
+function faceCenter(vertices, faces, face) {
+  return [0, 1, 2].map((axis) => {
+    let sum = 0;
+    for (let corner = 0; corner < 3; corner += 1) {
+      sum += vertices[faces[face * 3 + corner] * 3 + axis];
+    }
+    return sum / 3;
+  });
+}
+
+function windingNumber(vertices, faces, shell, point) {
+  let total = 0;
+  shell.forEach((face) => {
+    const corners = [0, 1, 2].map((corner) => {
+      const v = faces[face * 3 + corner] * 3;
+      return [0, 1, 2].map((axis) => vertices[v + axis] - point[axis]);
+    });
+    const [a, b, c] = corners;
+    const la = Math.hypot(...a);
+    const lb = Math.hypot(...b);
+    const lc = Math.hypot(...c);
+    const det =
+      a[0] * (b[1] * c[2] - b[2] * c[1]) -
+      a[1] * (b[0] * c[2] - b[2] * c[0]) +
+      a[2] * (b[0] * c[1] - b[1] * c[0]);
+    const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    const denominator = la * lb * lc + dot(a, b) * lc + dot(b, c) * la + dot(c, a) * lb;
+    total += 2 * Math.atan2(det, denominator);
+  });
+  return total / (4 * Math.PI);
+}
+
+// A shell nested inside an odd number of others is a cavity and must face inward.
+function orientOutward(vertices, faces) {
+  const faceList = allFaces(faces);
+  const edges = buildEdgeMap(faces, vertices.length / 3, faceList);
+  const shells = findShells(faces, faceList, edges).map((shell) => ({
+    faces: shell,
+    bounds: shellBounds(vertices, faces, shell),
+  }));
+  const inside = (point, { bounds }) =>
+    point.every((value, axis) => value >= bounds.min[axis] && value <= bounds.max[axis]);
+
+  const flips = [];
+  shells.forEach((shell) => {
+    const point = faceCenter(vertices, faces, shell.faces[0]);
+    const depth = shells.filter(
+      (other) =>
+        other !== shell &&
+        inside(point, other) &&
+        Math.abs(windingNumber(vertices, faces, other.faces, point)) > 0.5
+    ).length;
+    const volume = signedVolume(vertices, faces, shell.faces);
+    if (depth % 2 === 0 ? volume < 0 : volume > 0) {
+      flips.push(shell.faces);
+    }
+  });
+  flips.forEach((shell) => shell.forEach((face) => flipFace(faces, face)));
+}
+
+function toTriangleSoup(vertices, faces) {
+  const positions = new Float32Array(faces.length * 3);
+  faces.forEach((vertex, i) => {
+    positions[i * 3] = vertices[vertex * 3];
+    positions[i * 3 + 1] = vertices[vertex * 3 + 1];
+    positions[i * 3 + 2] = vertices[vertex * 3 + 2];
+  });
+  return positions;
+}
+
+export function repairMesh(positions, options = {}) {
+  const tolerance = options.tolerance ?? getDefaultTolerance(positions);
+  const maxHoleEdges = options.maxHoleEdges ?? 32;
+  const before = analyzeMesh(positions, { tolerance });
+
+  const welded = weldVertices(positions, tolerance);
+  const vertices = Array.from(welded.vertices);
+  const cleaned = removeBadFaces(welded.vertices, welded.indices, tolerance * tolerance);
+  const faces = cleaned.faces;
+
+  const original = faces.slice();
+  orientConsistently(faces, vertices.length / 3);
+  const filled = fillHoles(vertices, faces, maxHoleEdges);
+  orientOutward(vertices, faces);
+  // Count the net change per face; the two passes can flip a shell and then flip it back.
+  let flippedFaces = 0;
+  for (let corner = 1; corner < original.length; corner += 3) {
+    if (faces[corner] !== original[corner]) {
+      flippedFaces += 1;
+    }
+  }
+
+  const repaired = toTriangleSoup(vertices, faces);
+  const after = analyzeMesh(repaired, { tolerance });
+
+  return {
+    positions: repaired,
+    tolerance,
+    before: summarize(before),
+    after: summarize(after),
+    changes: {
+      weldedVertices: positions.length / 3 - welded.vertices.length / 3,
+      removedDegenerate: cleaned.degenerate,
+      removedDuplicate: cleaned.duplicate,
+      flippedFaces,
+      filledHoles: filled.holes,
+      addedTriangles: filled.triangles,
+    },
+  };
+}
+
+function plural(count, noun, pluralNoun = `${noun}s`) {
+  return `${count.toLocaleString()} ${count === 1 ? noun : pluralNoun}`;
+}
+
+export function describeRepair(result) {
+  const { changes, before, after } = result;
+  const actions = [];
+  if (changes.weldedVertices > 0) {
+    actions.push(
+      `merged ${plural(changes.weldedVertices, "coincident vertex", "coincident vertices")}`
+    );
+  }
+  if (changes.removedDegenerate > 0) {
+    actions.push(`removed ${plural(changes.removedDegenerate, "degenerate triangle")}`);
+  }
+  if (changes.removedDuplicate > 0) {
+    actions.push(`removed ${plural(changes.removedDuplicate, "duplicate triangle")}`);
+  }
+  if (changes.flippedFaces > 0) {
+    actions.push(`flipped ${plural(changes.flippedFaces, "face")}`);
+  }
+  if (changes.filledHoles > 0) {
+    actions.push(
+      `filled ${plural(changes.filledHoles, "hole")} with ${plural(
+        changes.addedTriangles,
+        "triangle"
+      )}`
+    );
+  }
+  const comparisons = [
+    ["Triangles", before.triangles, after.triangles],
+    ["Open edges", before.boundaryEdges, after.boundaryEdges],
+    ["Non-manifold edges", before.nonManifoldEdges, after.nonManifoldEdges],
+    ["Winding errors", before.windingEdges, after.windingEdges],
+    ["Degenerate", before.degenerateFaces, after.degenerateFaces],
+    ["Duplicates", before.duplicateFaces, after.duplicateFaces],
+    ["Shells", before.shells, after.shells],
+  ];
+  return {
+    actions: actions.length ? actions : ["no geometry changes needed"],
+    comparisons,
+  };
+}
@@ -0,0 +1,170 @@
+import { edgeKey } from "./mesh-analysis.js";
+
+export const SECTION_AXES = {
+  x: { normal: 0, u: 1, v: 2 },
+  y: { normal: 1, u: 0, v: 2 },
+  z: { normal: 2, u: 0, v: 1 },
+};
+
+function loopArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    const j = (i + 2) % points.length;
+    area += points[i] * points[j + 1] - points[j] * points[i + 1];
+  }
+  return area / 2;
+}
+
+function containsPoint(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+    const xi = points[i];
+    const yi = points[i + 1];
+    const xj = points[j];
+    const yj = points[j + 1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function traceChains(links, points) {
+  const ends = new Set(links.values());
+  const heads = [...links.keys()].filter((key) => !ends.has(key));
+  const loops = [];
+
+  const follow = (start, closedCandidate) => {
+    const chain = [start];
+    let key = links.get(start);
+    links.delete(start);
+    let closed = false;
+    while (key !== undefined) {
+      if (key === start && closedCandidate) {
+        closed = true;
+        break;
+      }
+      chain.push(key);
+      const next = links.get(key);
+      links.delete(key);
+      key = next;
+    }
+    const flat = [];
+    chain.forEach((edge) => {
+      const [u, v] = points.get(edge);
+      const last = flat.length - 2;
+      if (last >= 0 && Math.abs(flat[last] - u) < 1e-12 && Math.abs(flat[last + 1] - v) < 1e-12) {
+        return;
+      }
+      flat.push(u, v);
+    });
+    if (closed && flat.length > 2) {
+      const last = flat.length - 2;
+      if (Math.abs(flat[last] - flat[0]) < 1e-12 && Math.abs(flat[last + 1] - flat[1]) < 1e-12) {
+        flat.length = last;
+      }
+    }
+    if (flat.length >= (closed ? 6 : 4)) {
+      loops.push({ points: flat, closed });
+    }
+  };
+
+  heads.forEach((head) => follow(head, false));
+  while (links.size) {
+    follow(links.keys().next().value, true);
+  }
+  return loops;
+}
+
+function groupLoops(loops) {
+  const closed = loops.filter((loop) => loop.closed);
+  const areas = closed.map((loop) => Math.abs(loopArea(loop.points)));
+  const info = closed.map((loop, i) => {
+    let parent = -1;
+    let depth = 0;
+    closed.forEach((other, j) => {
+      if (j === i || !containsPoint(other.points, loop.points[0], loop.points[1])) {
+        return;
+      }
+      depth += 1;
+      if (parent < 0 || areas[j] < areas[parent]) {
+        parent = j;
+      }
+    });
+    return { parent, depth };
+  });
+
+  const regions = [];
+  const regionByLoop = new Map();
+  info.forEach(({ depth }, i) => {
+    if (depth % 2 === 0) {
+      regionByLoop.set(i, regions.length);
+      regions.push({ outer: closed[i].points, holes: [] });
+    }
+  });
+  info.forEach(({ depth, parent }, i) => {
+    if (depth % 2 === 1 && regionByLoop.has(parent)) {
+      regions[regionByLoop.get(parent)].holes.push(closed[i].points);
+    }
+  });
+
+  const area = info.reduce(
+    (total, { depth }, i) => total + (depth % 2 === 0 ? areas[i] : -areas[i]),
+    0
+  );
+  return { regions, area };
+}
+
+export function sliceMesh(mesh, axis, offset) {
+  const { normal, u, v } = SECTION_AXES[axis] || SECTION_AXES.z;
+  const { vertices, indices } = mesh;
+  const vertexCount = vertices.length / 3;
+  const points = new Map();
+  const links = new Map();
+
+  const crossing = (a, b) => {
+    const key = edgeKey(a, b, vertexCount);
+    if (!points.has(key)) {
+      const low = Math.min(a, b) * 3;
+      const high = Math.max(a, b) * 3;
+      const t = (offset - vertices[low + normal]) / (vertices[high + normal] - vertices[low + normal]);
+      points.set(key, [
+        vertices[low + u] + (vertices[high + u] - vertices[low + u]) * t,
+        vertices[low + v] + (vertices[high + v] - vertices[low + v]) * t,
+      ]);
+    }
+    return key;
+  };
+
+  for (let face = 0; face < indices.length / 3; face += 1) {
+    const corners = [indices[face * 3], indices[face * 3 + 1], indices[face * 3 + 2]];
+    const above = corners.map((corner) => vertices[corner * 3 + normal] >= offset);
+    if (above[0] === above[1] && above[1] === above[2]) {
+      continue;
+    }
+    let exit = null;
+    let enter = null;
+    for (let i = 0; i < 3; i += 1) {
+      const j = (i + 1) % 3;
+      if (above[i] && !above[j]) {
+        exit = crossing(corners[i], corners[j]);
+      } else if (!above[i] && above[j]) {
+        enter = crossing(corners[i], corners[j]);
+      }
+    }
+    links.set(exit, enter);
+  }
+
+  const loops = traceChains(links, points);
+  const bounds = loops.length ? [Infinity, Infinity, -Infinity, -Infinity] : null;
+  loops.forEach(({ points: flat }) => {
+    for (let i = 0; i < flat.length; i += 2) {
+      bounds[0] = Math.min(bounds[0], flat[i]);
+      bounds[1] = Math.min(bounds[1], flat[i + 1]);
+      bounds[2] = Math.max(bounds[2], flat[i]);
+      bounds[3] = Math.max(bounds[3], flat[i + 1]);
+    }
+  });
+
+  return { axis, offset, loops, bounds, ...groupLoops(loops) };
+}
@@ -0,0 +1,465 @@
+// Ten quadric terms plus the number of planes summed into them.
+const QUADRIC_SIZE = 11;
+const REFRESH_INTERVAL = 5;
+const MIN_SINGULAR_RATIO = 1e-9;
+
+function addPlane(quadrics, offset, a, b, c, d) {
+  quadrics[offset] += a * a;
+  quadrics[offset + 1] += a * b;
+  quadrics[offset + 2] += a * c;
+  quadrics[offset + 3] += a * d;
+  quadrics[offset + 4] += b * b;
+  quadrics[offset + 5] += b * c;
+  quadrics[offset + 6] += b * d;
+  quadrics[offset + 7] += c * c;
+  quadrics[offset + 8] += c * d;
+  quadrics[offset + 9] += d * d;
+  quadrics[offset + 10] += 1;
+}
+
+function quadricError(q, x, y, z) {
+  return (
+    q[0] * x * x +
+    2 * q[1] * x * y +
+    2 * q[2] * x * z +
+    2 * q[3] * x +
+    q[4] * y * y +
+    2 * q[5] * y * z +
+    2 * q[6] * y +
+    q[7] * z * z +
+    2 * q[8] * z +
+    q[9]
+  );
+}
+
+function determinant(q, a11, a12, a13, a21, a22, a23, a31, a32, a33) {
+  return (
+    q[a11] * q[a22] * q[a33] +
+    q[a13] * q[a21] * q[a32] +
+    q[a12] * q[a23] * q[a31] -
+    q[a13] * q[a22] * q[a31] -
+    q[a11] * q[a23] * q[a32] -
+    q[a12] * q[a21] * q[a33]
+  );
+}
+
+function normalizePositions(vertices) {
+  let min = [Infinity, Infinity, Infinity];
+  let max = [-Infinity, -Infinity, -Infinity];
+  for (let offset = 0; offset < vertices.length; offset += 3) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      min[axis] = Math.min(min[axis], vertices[offset + axis]);
+      max[axis] = Math.max(max[axis], vertices[offset + axis]);
+    }
+  }
+  const center = min.map((value, axis) => (value + max[axis]) / 2);
+  const scale = Math.max(...max.map((value, axis) => value - min[axis])) || 1;
+  const points = new Float64Array(vertices.length);
+  for (let offset = 0; offset < vertices.length; offset += 3) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      points[offset + axis] = (vertices[offset + axis] - center[axis]) / scale;
+    }
+  }
+  return { points, center, scale };
+}
+
+export function simplifyMesh(vertices, indices, options = {}) {
+  const {
+    targetTriangles,
+    keepBoundary = false,
+    aggressiveness = 7,
+    maxIterations = 100,
+    onProgress,
+  } = options;
+  const vertexCount = vertices.length / 3;
+  const startTriangles = Math.floor(indices.length / 3);
+  const target = Math.max(0, Math.min(Math.round(targetTriangles), startTriangles));
+  const { points, center, scale } = normalizePositions(vertices);
+
+  const quadrics = new Float64Array(vertexCount * QUADRIC_SIZE);
+  const border = new Uint8Array(vertexCount);
+  const refStart = new Int32Array(vertexCount);
+  const refCount = new Int32Array(vertexCount);
+  const corners = Int32Array.from(indices.subarray(0, startTriangles * 3));
+  const errors = new Float32Array(startTriangles * 4);
+  const normals = new Float32Array(startTriangles * 3);
+  const deleted = new Uint8Array(startTriangles);
+  const dirty = new Uint8Array(startTriangles);
+  let refs = new Int32Array(startTriangles * 3);
+  let refLength = 0;
+  let triangleCount = startTriangles;
+  let deletedTriangles = 0;
+  let maxError = 0;
+
+  const edgeQuadric = new Float64Array(QUADRIC_SIZE);
+  const point = new Float64Array(3);
+  const scratch = new Float64Array(3);
+  const neighborMark = new Int32Array(vertexCount);
+  const sharedMark = new Int32Array(vertexCount);
+  let markStamp = 0;
+  let keptFlags = new Uint8Array(64);
+  let removedFlags = new Uint8Array(64);
+
+  function edgeError(a, b, result) {
+    for (let k = 0; k < QUADRIC_SIZE; k += 1) {
+      edgeQuadric[k] = quadrics[a * QUADRIC_SIZE + k] + quadrics[b * QUADRIC_SIZE + k];
+    }
+    const q = edgeQuadric;
+    const det = determinant(q, 0, 1, 2, 1, 4, 5, 2, 5, 7);
+    const trace = q[0] + q[4] + q[7];
+    if (!(border[a] && border[b]) && Math.abs(det) > MIN_SINGULAR_RATIO * trace * trace * trace) {
+      result[0] = (-1 / det) * determinant(q, 1, 2, 3, 4, 5, 6, 5, 7, 8);
+      result[1] = (1 / det) * determinant(q, 0, 2, 3, 1, 5, 6, 2, 7, 8);
+      result[2] = (-1 / det) * determinant(q, 0, 1, 3, 1, 4, 6, 2, 5, 8);
+      return Math.max(0, quadricError(q, result[0], result[1], result[2]));
+    }
+    let best = Infinity;
+    for (let candidate = 0; candidate < 3; candidate += 1) {
+      for (let axis = 0; axis < 3; axis += 1) {
+        const pa = points[a * 3 + axis];
+        const pb = points[b * 3 + axis];
+        scratch[axis] = candidate === 0 ? pa : candidate === 1 ? pb : (pa + pb) / 2;
+      }
+      const error = quadricError(q, scratch[0], scratch[1], scratch[2]);
+      if (error < best) {
+        best = error;
+        result.set(scratch);
+      }
+    }
+    return Math.max(0, best);
+  }
+
+  function updateNormal(face) {
+    const a = corners[face * 3] * 3;
+    const b = corners[face * 3 + 1] * 3;
+    const c = corners[face * 3 + 2] * 3;
+    const abx = points[b] - points[a];
+    const aby = points[b + 1] - points[a + 1];
+    const abz = points[b + 2] - points[a + 2];
+    const acx = points[c] - points[a];
+    const acy = points[c + 1] - points[a + 1];
+    const acz = points[c + 2] - points[a + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    normals[face * 3] = nx / length;
+    normals[face * 3 + 1] = ny / length;
+    normals[face * 3 + 2] = nz / length;
+    return -(
+      normals[face * 3] * points[a] +
+      normals[face * 3 + 1] * points[a + 1] +
+      normals[face * 3 + 2] * points[a + 2]
+    );
+  }
+
+  function updateErrors(face) {
+    const base = face * 3;
+    errors[face * 4] = edgeError(corners[base], corners[base + 1], scratch);
+    errors[face * 4 + 1] = edgeError(corners[base + 1], corners[base + 2], scratch);
+    errors[face * 4 + 2] = edgeError(corners[base + 2], corners[base], scratch);
+    errors[face * 4 + 3] = Math.min(errors[face * 4], errors[face * 4 + 1], errors[face * 4 + 2]);
+  }
+
+  function pushRef(ref) {
+    if (refLength === refs.length) {
+      const next = new Int32Array(refs.length * 2);
+      next.set(refs);
+      refs = next;
+    }
+    refs[refLength] = ref;
+    refLength += 1;
+  }
+
+  function compactTriangles() {
+    let kept = 0;
+    for (let face = 0; face < triangleCount; face += 1) {
+      if (deleted[face]) {
+        continue;
+      }
+      corners.copyWithin(kept * 3, face * 3, face * 3 + 3);
+      errors.copyWithin(kept * 4, face * 4, face * 4 + 4);
+      normals.copyWithin(kept * 3, face * 3, face * 3 + 3);
+      kept += 1;
+    }
+    deleted.fill(0, 0, kept);
+    triangleCount = kept;
+  }
+
+  function buildRefs() {
+    refCount.fill(0);
+    for (let corner = 0; corner < triangleCount * 3; corner += 1) {
+      refCount[corners[corner]] += 1;
+    }
+    let start = 0;
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+      refStart[vertex] = start;
+      start += refCount[vertex];
+      refCount[vertex] = 0;
+    }
+    if (refs.length < start) {
+      refs = new Int32Array(start);
+    }
+    refLength = start;
+    for (let corner = 0; corner < triangleCount * 3; corner += 1) {
+      const vertex = corners[corner];
+      refs[refStart[vertex] + refCount[vertex]] = corner;
+      refCount[vertex] += 1;
+    }
+  }
+
+  function markBorders() {
+    const ids = [];
+    const counts = [];
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+      ids.length = 0;
+      counts.length = 0;
+      for (let k = 0; k < refCount[vertex]; k += 1) {
+        const face = Math.floor(refs[refStart[vertex] + k] / 3);
+        for (let corner = 0; corner < 3; corner += 1) {
+          const id = corners[face * 3 + corner];
+          const index = ids.indexOf(id);
+          if (index === -1) {
+            ids.push(id);
+            counts.push(1);
+          } else {
+            counts[index] += 1;
+          }
+        }
+      }
+      ids.forEach((id, index) => {
+        if (counts[index] === 1) {
+          border[id] = 1;
+        }
+      });
+    }
+  }
+
+  function refreshMesh(iteration) {
+    if (iteration > 0) {
+      compactTriangles();
+    } else {
+      for (let face = 0; face < triangleCount; face += 1) {
+        const d = updateNormal(face);
+        for (let corner = 0; corner < 3; corner += 1) {
+          addPlane(
+            quadrics,
+            corners[face * 3 + corner] * QUADRIC_SIZE,
+            normals[face * 3],
+            normals[face * 3 + 1],
+            normals[face * 3 + 2],
+            d
+          );
+        }
+      }
+    }
+    buildRefs();
+    if (iteration === 0) {
+      markBorders();
+      for (let face = 0; face < triangleCount; face += 1) {
+        updateErrors(face);
+      }
+    }
+  }
+
+  function cornerAngle(vertex, id1, id2) {
+    const o = vertex * 3;
+    const d1x = points[id1 * 3] - points[o];
+    const d1y = points[id1 * 3 + 1] - points[o + 1];
+    const d1z = points[id1 * 3 + 2] - points[o + 2];
+    const d2x = points[id2 * 3] - points[o];
+    const d2y = points[id2 * 3 + 1] - points[o + 1];
+    const d2z = points[id2 * 3 + 2] - points[o + 2];
+    const length = Math.hypot(d1x, d1y, d1z) * Math.hypot(d2x, d2y, d2z) || 1;
+    return Math.abs((d1x * d2x + d1y * d2y + d1z * d2z) / length);
+  }
+
+  // A collapse keeps the surface manifold only when the two ends share no neighbors other than
+  // the opposite corners of the triangles on the edge itself.
+  function keepsManifold(a, b) {
+    markStamp += 1;
+    for (let k = 0; k < refCount[a]; k += 1) {
+      const face = Math.floor(refs[refStart[a] + k] / 3);
+      if (!deleted[face]) {
+        for (let corner = 0; corner < 3; corner += 1) {
+          neighborMark[corners[face * 3 + corner]] = markStamp;
+        }
+      }
+    }
+    let sharedFaces = 0;
+    let sharedNeighbors = 0;
+    for (let k = 0; k < refCount[b]; k += 1) {
+      const face = Math.floor(refs[refStart[b] + k] / 3);
+      if (deleted[face]) {
+        continue;
+      }
+      for (let corner = 0; corner < 3; corner += 1) {
+        const id = corners[face * 3 + corner];
+        if (id === a) {
+          sharedFaces += 1;
+        } else if (id !== b && neighborMark[id] === markStamp && sharedMark[id] !== markStamp) {
+          sharedMark[id] = markStamp;
+          sharedNeighbors += 1;
+        }
+      }
+    }
+    return sharedNeighbors === sharedFaces;
+  }
+
+  function isFlipped(from, to, flags) {
+    for (let k = 0; k < refCount[from]; k += 1) {
+      const ref = refs[refStart[from] + k];
+      const face = Math.floor(ref / 3);
+      if (deleted[face]) {
+        continue;
+      }
+      const slot = ref - face * 3;
+      const id1 = corners[face * 3 + ((slot + 1) % 3)];
+      const id2 = corners[face * 3 + ((slot + 2) % 3)];
+      if (id1 === to || id2 === to) {
+        flags[k] = 1;
+        continue;
+      }
+      flags[k] = 0;
+      const d1x = points[id1 * 3] - point[0];
+      const d1y = points[id1 * 3 + 1] - point[1];
+      const d1z = points[id1 * 3 + 2] - point[2];
+      const d2x = points[id2 * 3] - point[0];
+      const d2y = points[id2 * 3 + 1] - point[1];
+      const d2z = points[id2 * 3 + 2] - point[2];
+      const l1 = Math.hypot(d1x, d1y, d1z) || 1;
+      const l2 = Math.hypot(d2x, d2y, d2z) || 1;
+      const sliver = Math.abs((d1x * d2x + d1y * d2y + d1z * d2z) / (l1 * l2));
+      // Already-thin fans (sphere poles, fine tessellation) may stay thin but not get thinner.
+      if (sliver > 0.99999 && sliver > cornerAngle(from, id1, id2) + 1e-6) {
+        return true;
+      }
+      const nx = d1y * d2z - d1z * d2y;
+      const ny = d1z * d2x - d1x * d2z;
+      const nz = d1x * d2y - d1y * d2x;
+      const length = Math.hypot(nx, ny, nz) || 1;
+      const facing =
+        (nx * normals[face * 3] + ny * normals[face * 3 + 1] + nz * normals[face * 3 + 2]) / length;
+      if (facing < 0.2) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function moveTriangles(keep, source, flags) {
+    for (let k = 0; k < refCount[source]; k += 1) {
+      const ref = refs[refStart[source] + k];
+      const face = Math.floor(ref / 3);
+      if (deleted[face]) {
+        continue;
+      }
+      if (flags[k]) {
+        deleted[face] = 1;
+        deletedTriangles += 1;
+        continue;
+      }
+      corners[ref] = keep;
+      dirty[face] = 1;
+      updateNormal(face);
+      updateErrors(face);
+      pushRef(ref);
+    }
+  }
+
+  function collapse(keep, remove) {
+    points.set(point, keep * 3);
+    for (let k = 0; k < QUADRIC_SIZE; k += 1) {
+      quadrics[keep * QUADRIC_SIZE + k] += quadrics[remove * QUADRIC_SIZE + k];
+    }
+    const start = refLength;
+    moveTriangles(keep, keep, keptFlags);
+    moveTriangles(keep, remove, removedFlags);
+    const count = refLength - start;
+    if (count <= refCount[keep]) {
+      refs.copyWithin(refStart[keep], start, refLength);
+      refLength = start;
+    } else {
+      refStart[keep] = start;
+    }
+    refCount[keep] = count;
+  }
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    if (startTriangles - deletedTriangles <= target) {
+      break;
+    }
+    if (iteration % REFRESH_INTERVAL === 0) {
+      refreshMesh(iteration);
+    }
+    dirty.fill(0, 0, triangleCount);
+    const threshold = 1e-9 * (iteration + 3) ** aggressiveness;
+    for (let face = 0; face < triangleCount; face += 1) {
+      if (errors[face * 4 + 3] > threshold || deleted[face] || dirty[face]) {
+        continue;
+      }
+      for (let edge = 0; edge < 3; edge += 1) {
+        if (errors[face * 4 + edge] >= threshold) {
+          continue;
+        }
+        const keep = corners[face * 3 + edge];
+        const remove = corners[face * 3 + ((edge + 1) % 3)];
+        if (keepBoundary ? border[keep] || border[remove] : border[keep] !== border[remove]) {
+          continue;
+        }
+        const error = edgeError(keep, remove, point);
+        if (keptFlags.length < refCount[keep]) {
+          keptFlags = new Uint8Array(refCount[keep] * 2);
+        }
+        if (removedFlags.length < refCount[remove]) {
+          removedFlags = new Uint8Array(refCount[remove] * 2);
+        }
+        if (
+          !keepsManifold(keep, remove) ||
+          isFlipped(keep, remove, keptFlags) ||
+          isFlipped(remove, keep, removedFlags)
+        ) {
+          continue;
+        }
+        const planes = quadrics[keep * QUADRIC_SIZE + 10] + quadrics[remove * QUADRIC_SIZE + 10];
+        collapse(keep, remove);
+        maxError = Math.max(maxError, error / planes);
+        break;
+      }
+      if (startTriangles - deletedTriangles <= target) {
+        break;
+      }
+    }
+    onProgress?.(Math.min(deletedTriangles / Math.max(startTriangles - target, 1), 1));
+  }
+
+  compactTriangles();
+  const remap = new Int32Array(vertexCount).fill(-1);
+  let keptVertices = 0;
+  for (let corner = 0; corner < triangleCount * 3; corner += 1) {
+    const vertex = corners[corner];
+    if (remap[vertex] === -1) {
+      remap[vertex] = keptVertices;
+      keptVertices += 1;
+    }
+  }
+  const positions = new Float32Array(keptVertices * 3);
+  remap.forEach((next, vertex) => {
+    if (next === -1) {
+      return;
+    }
+    for (let axis = 0; axis < 3; axis += 1) {
+      positions[next * 3 + axis] = points[vertex * 3 + axis] * scale + center[axis];
+    }
+  });
+  const result = new Uint32Array(triangleCount * 3);
+  for (let corner = 0; corner < result.length; corner += 1) {
+    result[corner] = remap[corners[corner]];
+  }
+  return {
+    positions,
+    indices: result,
+    triangles: triangleCount,
+    error: Math.sqrt(maxError) * scale,
+  };
+}
@@ -0,0 +1,6 @@
+export function registerOfflineCache() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") {
+    return;
+  }
+  navigator.serviceWorker.register("./sw.js").catch(() => {});
+}
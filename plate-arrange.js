@@ -0,0 +1,79 @@
+function getOrientations(part, spacing, allowRotation) {
+  const options = [{ width: part.width + spacing, depth: part.depth + spacing, rotated: false }];
+  if (allowRotation && part.width !== part.depth) {
+    options.push({ width: part.depth + spacing, depth: part.width + spacing, rotated: true });
+  }
+  return options;
+}
+
+function byDepth(a, b) {
+  return a.depth - b.depth || a.width - b.width;
+}
+
+export function arrangeParts(parts, options) {
+  const spacing = Math.max(options.spacing ?? 5, 0);
+  const plateWidth = options.width + spacing;
+  const plateDepth = options.depth + spacing;
+  const unplaced = [];
+
+  const items = [];
+  parts.forEach((part) => {
+    const fitting = getOrientations(part, spacing, Boolean(options.allowRotation))
+      .filter((size) => size.width <= plateWidth && size.depth <= plateDepth)
+      .sort(byDepth);
+    if (fitting.length) {
+      items.push({ part, fitting });
+    } else {
+      unplaced.push(part.id);
+    }
+  });
+  items.sort(
+    (a, b) =>
+      b.fitting[0].depth - a.fitting[0].depth ||
+      b.part.width * b.part.depth - a.part.width * a.part.depth
+  );
+
+  const shelves = [];
+  const placed = [];
+  let top = 0;
+  items.forEach(({ part, fitting }) => {
+    let shelf = null;
+    let size = null;
+    for (const candidate of shelves) {
+      size = fitting
+        .filter((option) => option.depth <= candidate.depth && candidate.used + option.width <= plateWidth)
+        .sort((a, b) => a.width - b.width)[0];
+      if (size) {
+        shelf = candidate;
+        break;
+      }
+    }
+    if (!shelf) {
+      size = fitting.find((option) => top + option.depth <= plateDepth);
+      if (!size) {
+        unplaced.push(part.id);
+        return;
+      }
+      shelf = { y: top, depth: size.depth, used: 0 };
+      shelves.push(shelf);
+      top += size.depth;
+    }
+    placed.push({ part, size, x: shelf.used, y: shelf.y });
+    shelf.used += size.width;
+  });
+
+  const usedWidth = Math.max(0, ...shelves.map((shelf) => shelf.used)) - spacing;
+  const usedDepth = top - spacing;
+  const offsetX = -options.width / 2 + Math.max(options.width - usedWidth, 0) / 2;
+  const offsetY = -options.depth / 2 + Math.max(options.depth - usedDepth, 0) / 2;
+
+  return {
+    placements: placed.map(({ part, size, x, y }) => ({
+      id: part.id,
+      rotated: size.rotated,
+      x: offsetX + x + (size.width - spacing) / 2,
+      y: offsetY + y + (size.depth - spacing) / 2,
+    })),
+    unplaced,
+  };
+}
@@ -0,0 +1,290 @@
+const ASSIGNMENT_PATTERN = /^(\s*([A-Za-z_$][\w$]*)\s*=\s*)/;
+const GROUP_PATTERN = /^\s*\/\*\s*\[([^\]]+)\]\s*\*\/\s*$/;
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+const DEFAULT_GROUP = "Parameters";
+
+function stripQuotes(text) {
+  const trimmed = text.trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(trimmed)) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed;
+}
+
+function parseLiteral(raw) {
+  const text = raw.trim();
+  if (NUMBER_PATTERN.test(text)) {
+    return { type: "number", value: Number(text) };
+  }
+  if (text === "true" || text === "false") {
+    return { type: "boolean", value: text === "true" };
+  }
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+    return { type: "string", value: JSON.parse(text) };
+  }
+  const vector = text.match(/^\[(.*)\]$/);
+  if (vector) {
+    const items = vector[1].split(",").map((item) => item.trim());
+    if (items.length >= 1 && items.length <= 4 && items.every((item) => NUMBER_PATTERN.test(item))) {
+      return { type: "vector", value: items.map(Number) };
+    }
+  }
+  return null;
+}
+
+function splitStatement(line, start) {
+  let inString = false;
+  for (let i = start; i < line.length; i += 1) {
+    const char = line[i];
+    if (inString) {
+      if (char === "\\") {
+        i += 1;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ";") {
+      return { value: line.slice(start, i), rest: line.slice(i + 1) };
+    } else if (char === "/" && line[i + 1] === "/") {
+      return null;
+    }
+  }
+  return null;
+}
+
+function parseOption(text, type) {
+  const quoted = text.trim().match(/^("(?:[^"\\]|\\.)*")\s*(?::\s*(.*))?$/);
+  const [value, label] = quoted
+    ? [JSON.parse(quoted[1]), quoted[2]]
+    : text.split(/:(.*)/s).map((part) => part?.trim());
+  const typed = type === "number" ? Number(value) : value;
+  if (type === "number" && !Number.isFinite(typed)) {
+    return null;
+  }
+  return { value: typed, label: label ? stripQuotes(label) : String(typed) };
+}
+
+function applyAnnotation(parameter, comment) {
+  const text = comment.trim();
+  const bracket = text.match(/^\[(.*)\]$/);
+  if (!bracket) {
+    if (NUMBER_PATTERN.test(text) && parameter.type === "number") {
+      parameter.step = Number(text);
+    } else if (NUMBER_PATTERN.test(text) && parameter.type === "string") {
+      parameter.maxLength = Number(text);
+    }
+    return;
+  }
+
+  const body = bracket[1];
+  if (body.includes(",")) {
+    if (parameter.type !== "number" && parameter.type !== "string") {
+      return;
+    }
+    const options = body
+      .split(",")
+      .map((item) => parseOption(item, parameter.type))
+      .filter(Boolean);
+    if (options.length) {
+      parameter.widget = "dropdown";
+      parameter.options = options;
+    }
+    return;
+  }
+
+  if (parameter.type !== "number" && parameter.type !== "vector") {
+    return;
+  }
+  const parts = body.split(":").map((part) => part.trim());
+  if (!parts.every((part) => NUMBER_PATTERN.test(part))) {
+    return;
+  }
+  const numbers = parts.map(Number);
+  if (numbers.length === 1) {
+    [parameter.max] = numbers;
+    parameter.min = 0;
+  } else if (numbers.length === 2) {
+    [parameter.min, parameter.max] = numbers;
+  } else {
+    [parameter.min, parameter.step, parameter.max] = numbers;
+  }
+  if (parameter.type === "number") {
+    parameter.widget = "slider";
+  }
+}
+
+function countBraces(line, state) {
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    const next = line[i + 1];
+    if (state.inComment) {
+      if (char === "*" && next === "/") {
+        state.inComment = false;
+        i += 1;
+      }
+    } else if (state.inString) {
+      if (char === "\\") {
+        i += 1;
+      } else if (char === '"') {
+        state.inString = false;
+      }
+    } else if (char === "/" && next === "/") {
+      return;
+    } else if (char === "/" && next === "*") {
+      state.inComment = true;
+      i += 1;
+    } else if (char === '"') {
+      state.inString = true;
+    } else if (char === "{" || char === "(" || char === "[") {
+      state.depth += 1;
+    } else if (char === "}" || char === ")" || char === "]") {
+      state.depth -= 1;
+    }
+  }
+}
+
+export function parseScadParameters(source) {
+  const lines = source.split("\n");
+  const parameters = [];
+  const state = { depth: 0, inComment: false, inString: false };
+  let group = DEFAULT_GROUP;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const atTopLevel = state.depth === 0 && !state.inComment && !state.inString;
+
+    if (atTopLevel) {
+      if (/^\s*(?:module|function)\b/.test(line)) {
+        break;
+      }
+      const groupMatch = line.match(GROUP_PATTERN);
+      if (groupMatch) {
+        group = groupMatch[1].trim();
+        continue;
+      }
+      const assignment = line.match(ASSIGNMENT_PATTERN);
+      const statement = assignment && splitStatement(line, assignment[1].length);
+      const literal = statement && parseLiteral(statement.value);
+      if (literal && group.toLowerCase() !== "hidden") {
+        const previous = index > 0 ? lines[index - 1].trim() : "";
+        const parameter = {
+          name: assignment[2],
+          type: literal.type,
+          value: literal.value,
+          widget: { number: "number", boolean: "checkbox", string: "text", vector: "vector" }[
+            literal.type
+          ],
+          group: group.toLowerCase() === "global" ? "Global" : group,
+          description:
+            previous.startsWith("//") && !GROUP_PATTERN.test(previous)
+              ? previous.replace(/^\/\/+\s*/, "")
+              : "",
+          line: index,
+          column: assignment[1].length,
+          length: statement.value.length,
+        };
+        const comment = statement.rest.match(/^\s*\/\/(.*)$/);
+        if (comment) {
+          applyAnnotation(parameter, comment[1]);
+        }
+        parameters.push(parameter);
+      }
+    }
+    countBraces(line, state);
+  }
+
+  const groups = [];
+  parameters.forEach((parameter) => {
+    let entry = groups.find((item) => item.name === parameter.group);
+    if (!entry) {
+      entry = { name: parameter.group, parameters: [] };
+      groups.push(entry);
+    }
+    entry.parameters.push(parameter);
+  });
+  return { parameters, groups };
+}
+
+export function formatScadValue(value, type) {
+  if (type === "string") {
+    return JSON.stringify(String(value));
+  }
+  if (type === "boolean") {
+    return value ? "true" : "false";
+  }
+  if (type === "vector") {
+    return `[${value.map((item) => String(item)).join(", ")}]`;
+  }
+  return String(value);
+}
+
+export function applyScadParameters(source, parameters, values) {
+  const lines = source.split("\n");
+  parameters.forEach((parameter) => {
+    if (!values.has(parameter.name)) {
+      return;
+    }
+    const line = lines[parameter.line];
+    const before = line.slice(0, parameter.column);
+    const after = line.slice(parameter.column + parameter.length);
+    const padding = line.slice(parameter.column, parameter.column + parameter.length).match(/\s*$/)[0];
+    lines[parameter.line] = `${before}${formatScadValue(
+      values.get(parameter.name),
+      parameter.type
+    )}${padding}${after}`;
+  });
+  return lines.join("\n");
+}
+
+function coerceValue(parameter, text) {
+  const raw = String(text).trim();
+  if (parameter.type === "number") {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (parameter.type === "boolean") {
+    return raw === "true";
+  }
+  if (parameter.type === "vector") {
+    const literal = parseLiteral(raw);
+    return literal?.type === "vector" ? literal.value : undefined;
+  }
+  return typeof text === "string" ? text : raw;
+}
+
+export function createParameterSet(parameters, values) {
+  const set = {};
+  parameters.forEach((parameter) => {
+    const value = values.get(parameter.name);
+    set[parameter.name] =
+      parameter.type === "string" ? String(value) : formatScadValue(value, parameter.type);
+  });
+  return set;
+}
+
+export function readParameterSet(parameters, set) {
+  const values = new Map();
+  parameters.forEach((parameter) => {
+    if (!(parameter.name in set)) {
+      return;
+    }
+    const value = coerceValue(parameter, set[parameter.name]);
+    if (value !== undefined) {
+      values.set(parameter.name, value);
+    }
+  });
+  return values;
+}
+
+export function parseParameterSetFile(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data.parameterSets !== "object" || Array.isArray(data.parameterSets)) {
+    throw new Error("Not an OpenSCAD parameter set file.");
+  }
+  return data.parameterSets;
+}
+
+export function writeParameterSetFile(sets) {
+  return `${JSON.stringify({ parameterSets: sets, fileFormatVersion: "1" }, null, 4)}\n`;
+}
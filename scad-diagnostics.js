@@ -0,0 +1,71 @@
+import { SCAD_INPUT_FILE } from "./scad-engine.js";
+import { selectEditorLine, setEditorMarkers } from "./code-editor.js";
+
+const SEVERITY_LABELS = { error: "Error", warning: "Warning", trace: "Trace" };
+
+function isInputDiagnostic(diagnostic) {
+  return !diagnostic.file || diagnostic.file === SCAD_INPUT_FILE;
+}
+
+function getLeadingLines(textarea) {
+  return textarea.value.match(/^\s*/)[0].split("\n").length - 1;
+}
+
+function createDiagnosticItem(diagnostic, fileName, onSelect) {
+  const isInput = isInputDiagnostic(diagnostic);
+  const item = document.createElement("li");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `diagnostic ${diagnostic.severity}`;
+
+  const severity = document.createElement("span");
+  severity.className = "diagnostic-severity";
+  severity.textContent = SEVERITY_LABELS[diagnostic.severity];
+  const message = document.createElement("span");
+  message.className = "diagnostic-message";
+  message.textContent = diagnostic.message;
+  button.append(severity, message);
+
+  if (diagnostic.line) {
+    const location = document.createElement("span");
+    location.className = "diagnostic-location";
+    location.textContent = `${isInput ? fileName : diagnostic.file}:${diagnostic.line}`;
+    button.appendChild(location);
+  }
+
+  if (onSelect && isInput && diagnostic.line) {
+    button.addEventListener("click", () => onSelect(diagnostic.line));
+  } else {
+    button.disabled = true;
+  }
+  item.appendChild(button);
+  return item;
+}
+
+export function renderScadDiagnostics(panel, report, { fileName = SCAD_INPUT_FILE, textarea } = {}) {
+  const list = panel.querySelector(".diagnostic-list");
+  const echoPane = panel.querySelector(".echo-pane");
+  const echoOutput = panel.querySelector(".echo-output");
+  const onSelect = textarea
+    ? (line) => selectEditorLine(textarea, line + getLeadingLines(textarea))
+    : null;
+
+  list.replaceChildren(
+    ...report.diagnostics.map((diagnostic) => createDiagnosticItem(diagnostic, fileName, onSelect))
+  );
+  list.hidden = !report.diagnostics.length;
+  echoOutput.textContent = report.echoes.join("\n");
+  echoPane.hidden = !report.echoes.length;
+  panel.hidden = !report.diagnostics.length && !report.echoes.length;
+
+  if (textarea) {
+    const offset = getLeadingLines(textarea);
+    setEditorMarkers(
+      textarea,
+      report.diagnostics
+        .filter((diagnostic) => isInputDiagnostic(diagnostic) && diagnostic.line)
+        .filter((diagnostic) => diagnostic.severity !== "trace")
+        .map((diagnostic) => ({ ...diagnostic, line: diagnostic.line + offset }))
+    );
+  }
+}
@@ -0,0 +1,180 @@
+const WORKER_URL = new URL("./scad-worker.js", import.meta.url);
+const TIMEOUT_KEY = "stlStudio.scadTimeout";
+
+const DIAGNOSTIC_PATTERN = /^(ERROR|WARNING|DEPRECATED|TRACE):\s*(.*)$/;
+const LOCATION_PATTERN = /,?\s*in file\s+"?([^",]+)"?,\s*line\s+(\d+)/i;
+const PROJECT_PREFIX = /^project\//;
+const SEVERITIES = { ERROR: "error", WARNING: "warning", DEPRECATED: "warning", TRACE: "trace" };
+
+export const DEFAULT_SCAD_TIMEOUT = 60;
+export const SCAD_INPUT_FILE = "input.scad";
+
+let worker = null;
+let activeJob = null;
+let nextJobId = 1;
+const scadErrors = [];
+
+export function getScadErrorMessage() {
+  if (!scadErrors.length) {
+    return null;
+  }
+  const normalized = scadErrors.map((line) => line.replace(/\s+/g, " ").trim());
+  const errorLine = [...normalized].reverse().find((line) => /error/i.test(line));
+  const warningLine = [...normalized].reverse().find((line) => /warning/i.test(line));
+  return errorLine || warningLine || null;
+}
+
+export function parseScadDiagnostics(lines) {
+  const diagnostics = [];
+  const echoes = [];
+  lines.forEach((raw) => {
+    const text = raw.trim();
+    const echo = text.match(/^ECHO:\s?(.*)$/);
+    if (echo) {
+      echoes.push(echo[1]);
+      return;
+    }
+    const match = text.match(DIAGNOSTIC_PATTERN);
+    if (!match) {
+      return;
+    }
+    const location = match[2].match(LOCATION_PATTERN);
+    const message = location ? match[2].replace(location[0], "") : match[2];
+    diagnostics.push({
+      severity: SEVERITIES[match[1]],
+      message: message.replace(/^:\s*/, "").replace(/\s+/g, " ").trim(),
+      file: location ? location[1].replace(/^\/+/, "").replace(PROJECT_PREFIX, "") : null,
+      line: location ? Number(location[2]) : null,
+    });
+  });
+  return { diagnostics, echoes };
+}
+
+export function getScadDiagnostics() {
+  return parseScadDiagnostics(scadErrors);
+}
+
+export function normalizeScadText(input) {
+  return input
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00A0/g, " ")
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+}
+
+export function getScadTimeout() {
+  const seconds = Number(localStorage.getItem(TIMEOUT_KEY));
+  return seconds > 0 ? seconds : DEFAULT_SCAD_TIMEOUT;
+}
+
+export function setScadTimeout(seconds) {
+  if (Number.isFinite(seconds) && seconds > 0) {
+    localStorage.setItem(TIMEOUT_KEY, String(seconds));
+  }
+}
+
+function createAbortError(message) {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+function stopWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+function finishJob(job) {
+  clearTimeout(job.timer);
+  if (activeJob === job) {
+    activeJob = null;
+  }
+}
+
+function onWorkerMessage(event) {
+  const job = activeJob;
+  const data = event.data;
+  if (!job || data.id !== job.id) {
+    return;
+  }
+  if (data.type === "message") {
+    scadErrors.push(data.text);
+    job.onProgress?.({ stage: "message", text: data.text });
+    return;
+  }
+  if (data.type === "progress") {
+    job.onProgress?.({ stage: data.stage });
+    return;
+  }
+
+  finishJob(job);
+  if (data.type === "error") {
+    job.reject(new Error(getScadErrorMessage() || data.message || "SCAD compile failed."));
+  } else if (data.output === null || data.output === undefined) {
+    job.reject(new Error(getScadErrorMessage() || "SCAD produced no output."));
+  } else if (typeof data.output === "string" && !data.output.trim()) {
+    job.reject(new Error(getScadErrorMessage() || "SCAD produced empty output."));
+  } else {
+    job.resolve(data.output);
+  }
+}
+
+function onWorkerError(event) {
+  const job = activeJob;
+  stopWorker();
+  if (job) {
+    finishJob(job);
+    job.reject(new Error(`Could not load the SCAD engine. ${event.message || ""}`.trim()));
+  }
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(WORKER_URL, { type: "module" });
+    worker.addEventListener("message", onWorkerMessage);
+    worker.addEventListener("error", onWorkerError);
+  }
+  return worker;
+}
+
+export function isScadCompiling() {
+  return Boolean(activeJob);
+}
+
+export function cancelScadCompile(message = "SCAD compile cancelled.") {
+  const job = activeJob;
+  if (!job) {
+    return false;
+  }
+  stopWorker();
+  finishJob(job);
+  job.reject(createAbortError(message));
+  return true;
+}
+
+export function compileScad(text, options = {}) {
+  cancelScadCompile("Replaced by a newer SCAD compile.");
+  const timeout = options.timeout ?? getScadTimeout();
+  return new Promise((resolve, reject) => {
+    const job = { id: nextJobId, resolve, reject, onProgress: options.onProgress, timer: null };
+    nextJobId += 1;
+    scadErrors.length = 0;
+    activeJob = job;
+    job.onProgress?.({ stage: "loading" });
+    job.timer = setTimeout(() => {
+      stopWorker();
+      finishJob(job);
+      reject(
+        new Error(`SCAD compile timed out after ${timeout} s. Raise the timeout or simplify the model.`)
+      );
+    }, timeout * 1000);
+    getWorker().postMessage({
+      id: job.id,
+      code: normalizeScadText(text),
+      files: options.files || null,
+      entry: options.entry || null,
+    });
+  });
+}
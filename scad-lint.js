@@ -0,0 +1,750 @@
+const MAX_FN = 256;
+const SAFE_FN = 128;
+
+const PRIMITIVES = [
+  "cube",
+  "sphere",
+  "cylinder",
+  "polyhedron",
+  "square",
+  "circle",
+  "polygon",
+  "text",
+  "import",
+  "surface",
+];
+
+const BUILTIN_MODULES = [
+  ...PRIMITIVES,
+  "translate",
+  "rotate",
+  "scale",
+  "resize",
+  "mirror",
+  "multmatrix",
+  "color",
+  "offset",
+  "hull",
+  "minkowski",
+  "union",
+  "difference",
+  "intersection",
+  "intersection_for",
+  "linear_extrude",
+  "rotate_extrude",
+  "projection",
+  "render",
+  "children",
+  "group",
+  "echo",
+  "assert",
+  "if",
+  "for",
+  "let",
+  "each",
+];
+
+const BUILTIN_FUNCTIONS = [
+  "abs",
+  "sign",
+  "sin",
+  "cos",
+  "tan",
+  "asin",
+  "acos",
+  "atan",
+  "atan2",
+  "floor",
+  "round",
+  "ceil",
+  "ln",
+  "log",
+  "pow",
+  "sqrt",
+  "exp",
+  "min",
+  "max",
+  "norm",
+  "cross",
+  "len",
+  "concat",
+  "lookup",
+  "str",
+  "chr",
+  "ord",
+  "search",
+  "rands",
+  "version",
+  "version_num",
+  "parent_module",
+  "is_undef",
+  "is_bool",
+  "is_num",
+  "is_string",
+  "is_list",
+  "is_function",
+  "object",
+  "textmetrics",
+  "fontmetrics",
+];
+
+const DEPRECATED = {
+  assign: "let",
+  child: "children",
+  import_stl: "import",
+  import_off: "import",
+  import_dxf: "import",
+  dxf_linear_extrude: "linear_extrude",
+  dxf_rotate_extrude: "rotate_extrude",
+};
+
+const PAIRS = { "(": ")", "[": "]", "{": "}" };
+const GEOMETRY_ASSIGNMENT = new RegExp(
+  String.raw`^(\s*)([A-Za-z_]\w*)\s*=\s*(?=(?:${[
+    ...PRIMITIVES,
+    "linear_extrude",
+    "rotate_extrude",
+    "translate",
+    "rotate",
+    "scale",
+    "union",
+    "difference",
+    "intersection",
+    "hull",
+    "minkowski",
+  ].join("|")})\s*\()`
+);
+const PYTHON_BLOCK = /^(\s*)(def|if|elif|else|for)\b\s*(.*?)\s*:\s*$/;
+const SCAD_BLOCKS = {
+  def: "module name() { ... }",
+  if: "if (...) { ... }",
+  elif: "else if (...) { ... }",
+  else: "else { ... }",
+  for: "for (i = [0 : n - 1]) { ... }",
+};
+const REFERENCE_PATTERN = /^\s*(?:include|use)\s*<([^>]+)>/;
+const STATEMENT_END = /[;{},([+\-*/%=?:&|<>!]$/;
+const CONTINUES_BEFORE = /[,([+\-*/%=?:&|<>!]$/;
+const CONTINUES_AFTER = /^[-+*/%?:&|<>=.,)\]{]/;
+
+function maskLine(line, state) {
+  let masked = "";
+  let inString = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    const next = line[i + 1];
+    if (state.inComment) {
+      if (char === "*" && next === "/") {
+        masked += "  ";
+        i += 1;
+        state.inComment = false;
+      } else {
+        masked += " ";
+      }
+    } else if (inString) {
+      if (char === "\\" && next !== undefined) {
+        masked += "  ";
+        i += 1;
+      } else {
+        masked += char === '"' ? char : " ";
+        inString = char !== '"';
+      }
+    } else if (char === "/" && next === "/") {
+      masked += " ".repeat(line.length - i);
+      break;
+    } else if (char === "/" && next === "*") {
+      masked += "  ";
+      i += 1;
+      state.inComment = true;
+    } else {
+      inString = char === '"';
+      masked += char;
+    }
+  }
+  return masked;
+}
+
+function maskCode(lines) {
+  const state = { inComment: false };
+  return lines.map((line) => maskLine(line, state));
+}
+
+function measureDepth(code) {
+  let depth = 0;
+  const depths = [0];
+  code.forEach((line) => {
+    for (const char of line) {
+      if (char === "(" || char === "[") {
+        depth += 1;
+      } else if ((char === ")" || char === "]") && depth > 0) {
+        depth -= 1;
+      }
+    }
+    depths.push(depth);
+  });
+  return depths;
+}
+
+function findClosing(flat, openIndex) {
+  const open = flat[openIndex];
+  const close = PAIRS[open];
+  let depth = 0;
+  for (let i = openIndex; i < flat.length; i += 1) {
+    if (flat[i] === open) {
+      depth += 1;
+    } else if (flat[i] === close) {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return flat.length;
+}
+
+function findDefinitionEnd(flat, paramsStart) {
+  let index = findClosing(flat, paramsStart) + 1;
+  while (/\s/.test(flat[index] || "")) {
+    index += 1;
+  }
+  if (flat[index] === "{") {
+    return findClosing(flat, index);
+  }
+  const end = flat.indexOf(";", index);
+  return end === -1 ? flat.length : end;
+}
+
+function collectDefinitions(text) {
+  const flat = maskCode(text.split("\n")).join("\n");
+  const modules = new Map();
+  const functions = new Set();
+  for (const match of flat.matchAll(/\b(?:module|def)\s+([A-Za-z_]\w*)\s*(?=\()/g)) {
+    const paramsStart = match.index + match[0].length;
+    const body = flat.slice(paramsStart, findDefinitionEnd(flat, paramsStart) + 1);
+    modules.set(match[1], { usesChildren: /\bchildren\s*\(/.test(body) });
+  }
+  for (const match of flat.matchAll(/\bfunction\s+([A-Za-z_]\w*)\s*\(/g)) {
+    functions.add(match[1]);
+  }
+  return { modules, functions };
+}
+
+function getPosition(lines, offset) {
+  let remaining = offset;
+  for (let index = 0; index < lines.length; index += 1) {
+    if (remaining <= lines[index].length) {
+      return { line: index, col: remaining };
+    }
+    remaining -= lines[index].length + 1;
+  }
+  return { line: lines.length - 1, col: lines[lines.length - 1].length };
+}
+
+function getOffset(lines, index, col) {
+  return lines.slice(0, index).reduce((total, line) => total + line.length + 1, col);
+}
+
+function getIndent(line) {
+  return line.match(/^\s*/)[0];
+}
+
+function replaceLine(lines, index, edit) {
+  const next = [...lines];
+  next[index] = edit(next[index]);
+  return next;
+}
+
+function replaceRange(lines, index, start, end, text) {
+  return replaceLine(lines, index, (line) => line.slice(0, start) + text + line.slice(end));
+}
+
+function insertLine(lines, index, text) {
+  return [...lines.slice(0, index), text, ...lines.slice(index)];
+}
+
+function appendLine(lines, text) {
+  const last = lines.length - 1;
+  return lines[last] === "" ? insertLine(lines, last, text) : [...lines, text];
+}
+
+function replaceMatches(lines, index, matches, replace) {
+  return replaceLine(lines, index, (line) =>
+    [...matches]
+      .sort((a, b) => b.index - a.index)
+      .reduce(
+        (text, match) => text.slice(0, match.index) + replace(match) + text.slice(match.index + match[0].length),
+        line
+      )
+  );
+}
+
+function nextCodeLine(code, index) {
+  for (let next = index + 1; next < code.length; next += 1) {
+    if (code[next].trim()) {
+      return code[next].trim();
+    }
+  }
+  return "";
+}
+
+function previousCodeLine(code, index) {
+  for (let previous = index - 1; previous >= 0; previous -= 1) {
+    if (code[previous].trim()) {
+      return code[previous].trimEnd();
+    }
+  }
+  return "";
+}
+
+function writeBlockHeader(keyword, rest) {
+  if (keyword === "def") {
+    return `module ${rest}`;
+  }
+  if (keyword === "else") {
+    return "else";
+  }
+  if (keyword === "for") {
+    const [, name, source] = rest.match(/^([A-Za-z_]\w*)\s+in\s+(.+)$/) || [];
+    if (!name) {
+      return `for (${rest})`;
+    }
+    const range = source.match(/^range\(\s*([^,()]+?)\s*(?:,\s*([^,()]+?)\s*)?\)$/);
+    if (!range) {
+      return `for (${name} = ${source})`;
+    }
+    const [start, end] = range[2] ? [range[1], range[2]] : ["0", range[1]];
+    return `for (${name} = [${start} : ${end} - 1])`;
+  }
+  return `${keyword === "elif" ? "else if" : keyword} (${rest.replace(/^\((.*)\)$/, "$1")})`;
+}
+
+function checkForeignSyntax({ lines, code, depth }) {
+  const issues = [];
+  const flat = code.join("\n");
+  code.forEach((line, index) => {
+    const block = line.match(PYTHON_BLOCK);
+    // `for (i = [0 :` wrapped across lines also ends in `:`, but leaves a bracket open.
+    if (block && depth[index] === 0 && depth[index + 1] === 0) {
+      const [, indent, keyword, rest] = block;
+      issues.push({
+        line: index + 1,
+        message: `\`${keyword} ...:\` is Python syntax. SCAD wraps blocks in braces, as in \`${SCAD_BLOCKS[keyword]}\`.`,
+        fix: {
+          label: "Convert the block to braces",
+          apply: (current) => {
+            let end = current.findIndex(
+              (text, next) => next > index && text.trim() && getIndent(text).length <= indent.length
+            );
+            while (end > index + 1 && !current[end - 1].trim()) {
+              end -= 1;
+            }
+            const header = replaceLine(current, index, () => `${indent}${writeBlockHeader(keyword, rest.trim())} {`);
+            return end === -1 ? appendLine(header, `${indent}}`) : insertLine(header, end, `${indent}}`);
+          },
+        },
+      });
+    }
+
+    const jsFunction = line.match(/^(\s*)function\s+([A-Za-z_]\w*)\s*\(([^)]*)\)\s*\{/);
+    if (jsFunction) {
+      const [, indent, name, args] = jsFunction;
+      const openOffset = getOffset(code, index, line.indexOf("{", indent.length));
+      const closeOffset = findClosing(flat, openOffset);
+      const source = lines.join("\n");
+      const body = source.slice(openOffset + 1, closeOffset).trim();
+      const expression = body.match(/^return\s+([\s\S]+?);?$/);
+      const end = getPosition(lines, closeOffset).line;
+      issues.push({
+        line: index + 1,
+        message: expression
+          ? "JavaScript-style function body. SCAD functions are single expressions: `function name(x) = ...;`."
+          : "JavaScript-style function with a body. SCAD uses a module for code that builds geometry.",
+        fix: expression
+          ? {
+              label: `Rewrite ${name} as an expression`,
+              apply: (current) => [
+                ...current.slice(0, index),
+                `${indent}function ${name}(${args}) = ${expression[1].replace(/\s*\n\s*/g, " ")};`,
+                ...current.slice(end + 1),
+              ],
+            }
+          : {
+              label: `Convert ${name} to a module`,
+              apply: (current) =>
+                replaceLine(current, index, (text) => text.replace(/\bfunction\b/, "module")),
+            },
+      });
+    }
+
+    const declaration = line.match(/^(\s*)(?:var|let|const)\s+(?=[A-Za-z_$][\w$]*\s*=[^=])/);
+    if (declaration) {
+      issues.push({
+        line: index + 1,
+        message: "JavaScript-style declaration. SCAD assigns variables with `name = value;`.",
+        fix: {
+          label: "Remove the declaration keyword",
+          apply: (current) => replaceRange(current, index, 0, declaration[0].length, declaration[1]),
+        },
+      });
+    }
+
+    const literals = [...line.matchAll(/\b(True|False|None)\b/g)];
+    if (literals.length) {
+      const values = { True: "true", False: "false", None: "undef" };
+      issues.push({
+        line: index + 1,
+        message: `\`${literals[0][1]}\` is Python syntax. SCAD uses \`true\`, \`false\` and \`undef\`.`,
+        fix: {
+          label: "Use SCAD literals",
+          apply: (current) => replaceMatches(current, index, literals, (match) => values[match[1]]),
+        },
+      });
+    }
+
+    const operators = [...line.matchAll(/\b(and|or)\b|\bnot\s+/g)];
+    if (operators.length) {
+      const values = { and: "&&", or: "||" };
+      issues.push({
+        line: index + 1,
+        message: "`and`, `or` and `not` are Python syntax. SCAD uses `&&`, `||` and `!`.",
+        fix: {
+          label: "Use SCAD operators",
+          apply: (current) =>
+            replaceMatches(current, index, operators, (match) => values[match[1]] || "!"),
+        },
+      });
+    }
+
+    const strict = [...line.matchAll(/([=!])==/g)];
+    if (strict.length) {
+      issues.push({
+        line: index + 1,
+        message: "`===` and `!==` are JavaScript syntax. SCAD compares with `==` and `!=`.",
+        fix: {
+          label: "Use `==` and `!=`",
+          apply: (current) => replaceMatches(current, index, strict, (match) => `${match[1]}=`),
+        },
+      });
+    }
+  });
+  return issues;
+}
+
+// Only a bare `=` at the top level of the condition; `name=` inside a nested call is a named
+// argument.
+function findConditionAssignment(condition) {
+  let depth = 0;
+  for (let i = 0; i < condition.length; i += 1) {
+    const char = condition[i];
+    if (char === "(" || char === "[") {
+      depth += 1;
+    } else if (char === ")" || char === "]") {
+      depth -= 1;
+    } else if (
+      char === "=" &&
+      depth === 0 &&
+      !/[=!<>]/.test(condition[i - 1] || "") &&
+      condition[i + 1] !== "="
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function checkComparisons({ code }) {
+  const issues = [];
+  code.forEach((line, index) => {
+    for (const match of line.matchAll(/\bif\s*\(/g)) {
+      const open = match.index + match[0].length - 1;
+      const close = findClosing(line, open);
+      const assignment = findConditionAssignment(line.slice(open + 1, close));
+      if (assignment !== -1) {
+        const col = open + 1 + assignment;
+        issues.push({
+          line: index + 1,
+          message: "`=` inside an `if` condition assigns instead of comparing. Use `==`.",
+          fix: { label: "Compare with `==`", apply: (current) => replaceRange(current, index, col, col + 1, "==") },
+        });
+      }
+    }
+    const statement = line.match(/^(\s*\$?[A-Za-z_]\w*\s*)==(?!=)(?=[^;]*;\s*$)/);
+    // Only a line that starts a statement can be an assignment; `f(n) =\n  n == 1 ? ...` is not.
+    const startsStatement = /^$|[;{}]$/.test(previousCodeLine(code, index));
+    if (statement && startsStatement) {
+      const col = statement[1].length;
+      issues.push({
+        line: index + 1,
+        message: "`==` compares values, so this statement assigns nothing. Use `=`.",
+        fix: { label: "Assign with `=`", apply: (current) => replaceRange(current, index, col, col + 2, "=") },
+      });
+    }
+  });
+  return issues;
+}
+
+function checkBrackets({ lines, code }) {
+  const issues = [];
+  const stack = [];
+  const unclosed = (open, before) => {
+    const closer = PAIRS[open.char];
+    if (open.char === "{" && !before) {
+      return {
+        line: open.line + 1,
+        message: "Unclosed `{`.",
+        fix: {
+          label: "Close the block at the end of the file",
+          apply: (current) => appendLine(current, `${getIndent(lines[open.line])}}`),
+        },
+      };
+    }
+    const target = before || { line: open.line, col: code[open.line].trimEnd().replace(/;$/, "").length };
+    return {
+      line: open.line + 1,
+      message: `Unclosed \`${open.char}\`.`,
+      fix: {
+        label: `Insert \`${closer}\``,
+        apply: (current) => replaceRange(current, target.line, target.col, target.col, closer),
+      },
+    };
+  };
+
+  code.forEach((line, index) => {
+    for (let col = 0; col < line.length; col += 1) {
+      const char = line[col];
+      if (PAIRS[char]) {
+        stack.push({ char, line: index, col });
+        continue;
+      }
+      if (!")]}".includes(char)) {
+        continue;
+      }
+      const matchIndex = stack.map((open) => PAIRS[open.char]).lastIndexOf(char);
+      if (matchIndex === -1) {
+        issues.push({
+          line: index + 1,
+          message: `Unexpected \`${char}\` with nothing to close.`,
+          fix: { label: `Remove \`${char}\``, apply: (current) => replaceRange(current, index, col, col + 1, "") },
+        });
+        continue;
+      }
+      stack.splice(matchIndex + 1).forEach((open) => issues.push(unclosed(open, { line: index, col })));
+      stack.pop();
+    }
+  });
+  stack.forEach((open) => issues.push(unclosed(open)));
+  return issues;
+}
+
+function checkGeometryAssignment({ code }) {
+  const issues = [];
+  code.forEach((line, index) => {
+    const match = line.match(GEOMETRY_ASSIGNMENT);
+    if (match) {
+      issues.push({
+        line: index + 1,
+        message: `\`${match[2]}\` is assigned geometry. SCAD variables hold values, not shapes.`,
+        fix: {
+          label: "Remove the assignment",
+          apply: (current) => replaceRange(current, index, 0, match[0].length, match[1]),
+        },
+      });
+    }
+  });
+  return issues;
+}
+
+function checkSemicolons({ code, depth, modules }) {
+  const leaves = new Set([
+    ...PRIMITIVES,
+    ...[...modules].filter(([, module]) => !module.usesChildren).map(([name]) => name),
+  ]);
+  const issues = [];
+  code.forEach((line, index) => {
+    const text = line.trimEnd();
+    if (!text.trim() || depth[index] > 0 || depth[index + 1] > 0 || STATEMENT_END.test(text)) {
+      return;
+    }
+    if (REFERENCE_PATTERN.test(text) || CONTINUES_BEFORE.test(previousCodeLine(code, index))) {
+      return;
+    }
+    if (CONTINUES_AFTER.test(nextCodeLine(code, index))) {
+      return;
+    }
+    const call = text.match(/([A-Za-z_]\w*)\s*\((?:[^()]|\([^()]*\))*\)$/);
+    const isAssignment = /^\s*(?:function\s+[A-Za-z_]\w*\s*\(.*\)\s*|\$?[A-Za-z_]\w*\s*)=[^=]/.test(text);
+    if (!isAssignment && !(call && leaves.has(call[1]))) {
+      return;
+    }
+    issues.push({
+      line: index + 1,
+      message: "Missing semicolon at the end of this statement.",
+      fix: {
+        label: "Add `;`",
+        apply: (current) => replaceRange(current, index, text.length, text.length, ";"),
+      },
+    });
+  });
+  return issues;
+}
+
+function checkUndefinedModules({ lines, code, depth, modules, functions, files }) {
+  const references = lines.map((line) => line.match(REFERENCE_PATTERN)?.[1]).filter(Boolean);
+  const known = new Set([
+    ...BUILTIN_MODULES,
+    ...BUILTIN_FUNCTIONS,
+    ...Object.keys(DEPRECATED),
+    ...modules.keys(),
+    ...functions,
+  ]);
+  const missing = [];
+  for (const path of references) {
+    const file = files.find((item) => item.path === path || item.path.endsWith(`/${path}`));
+    if (!file) {
+      missing.push(path);
+      continue;
+    }
+    const definitions = collectDefinitions(file.text);
+    definitions.modules.forEach((module, name) => known.add(name));
+    definitions.functions.forEach((name) => known.add(name));
+  }
+
+  const issues = [];
+  const reported = new Set();
+  const lastReference = lines.reduce((last, line, index) => (REFERENCE_PATTERN.test(line) ? index + 1 : last), 0);
+  code.forEach((line, index) => {
+    if (depth[index] > 0) {
+      return;
+    }
+    for (const match of line.matchAll(/(?:^|[;{})]|\belse\b)\s*[!#%*]?\s*([A-Za-z_]\w*)\s*\(/g)) {
+      const name = match[1];
+      if (known.has(name) || reported.has(name) || /^\s*(?:module|function)\b/.test(line)) {
+        continue;
+      }
+      reported.add(name);
+      const source = files.find((file) => collectDefinitions(file.text).modules.has(name));
+      let message = `\`${name}()\` is not defined in this file or in the files it includes or uses.`;
+      if (source) {
+        message = `\`${name}()\` is defined in ${source.path}, which this file does not include or use.`;
+      } else if (missing.length) {
+        message = `\`${name}()\` is not defined here. It may come from ${missing.join(", ")}, which was not provided.`;
+      }
+      issues.push({
+        line: index + 1,
+        // Without the referenced files the call may well be fine, so it is only a warning.
+        severity: source || !missing.length ? undefined : "warning",
+        message,
+        fix: source
+          ? {
+              label: `Add \`use <${source.path}>\``,
+              apply: (current) => insertLine(current, lastReference, `use <${source.path}>`),
+            }
+          : null,
+      });
+    }
+  });
+  return issues;
+}
+
+function checkResolution({ code }) {
+  const issues = [];
+  code.forEach((line, index) => {
+    for (const match of line.matchAll(/(\$fn\s*=\s*)(\d+(?:\.\d+)?)/g)) {
+      if (Number(match[2]) <= MAX_FN) {
+        continue;
+      }
+      const start = match.index + match[1].length;
+      issues.push({
+        line: index + 1,
+        message: `\`$fn = ${match[2]}\` can make rendering hang. ${SAFE_FN} is smooth enough for printing.`,
+        fix: {
+          label: `Set $fn to ${SAFE_FN}`,
+          apply: (current) => replaceRange(current, index, start, start + match[2].length, String(SAFE_FN)),
+        },
+      });
+    }
+  });
+  return issues;
+}
+
+function checkDeprecated({ code, modules }) {
+  const issues = [];
+  const pattern = new RegExp(String.raw`\b(${Object.keys(DEPRECATED).join("|")})(?=\s*\()`, "g");
+  code.forEach((line, index) => {
+    for (const match of line.matchAll(pattern)) {
+      const name = match[1];
+      if (modules.has(name) || /\b(?:module|function)\s+$/.test(line.slice(0, match.index))) {
+        continue;
+      }
+      issues.push({
+        line: index + 1,
+        message: `\`${name}()\` is deprecated. Use \`${DEPRECATED[name]}()\` instead.`,
+        fix: {
+          label: `Replace with ${DEPRECATED[name]}()`,
+          apply: (current) => replaceRange(current, index, match.index, match.index + name.length, DEPRECATED[name]),
+        },
+      });
+    }
+  });
+  return issues;
+}
+
+export const SCAD_LINT_RULES = [
+  { id: "foreign-syntax", severity: "error", description: "Python or JavaScript syntax", check: checkForeignSyntax },
+  { id: "comparison", severity: "error", description: "`=` and `==` mixed up", check: checkComparisons },
+  { id: "brackets", severity: "error", description: "Unbalanced braces, brackets or parentheses", check: checkBrackets },
+  {
+    id: "geometry-assignment",
+    severity: "error",
+    description: "Geometry assigned to a variable",
+    check: checkGeometryAssignment,
+  },
+  { id: "semicolon", severity: "error", description: "Missing semicolon", check: checkSemicolons },
+  {
+    id: "undefined-module",
+    severity: "error",
+    description: "Module called but not defined in any included file",
+    check: checkUndefinedModules,
+  },
+  { id: "high-fn", severity: "warning", description: "`$fn` high enough to stall rendering", check: checkResolution },
+  { id: "deprecated", severity: "warning", description: "Deprecated built-in", check: checkDeprecated },
+];
+
+function runRules(text, files) {
+  const lines = text.split("\n");
+  const code = maskCode(lines);
+  const { modules, functions } = collectDefinitions(text);
+  const context = { lines, code, depth: measureDepth(code), modules, functions, files };
+  return SCAD_LINT_RULES.flatMap((rule) =>
+    rule.check(context).map((issue) => ({ ...issue, rule: rule.id, severity: issue.severity || rule.severity }))
+  );
+}
+
+export function lintScad(text, { files = [] } = {}) {
+  const order = SCAD_LINT_RULES.map((rule) => rule.id);
+  return runRules(text, files).sort(
+    (a, b) => a.line - b.line || order.indexOf(a.rule) - order.indexOf(b.rule)
+  );
+}
+
+export function applyScadFix(text, issue) {
+  return issue.fix ? issue.fix.apply(text.split("\n")).join("\n") : text;
+}
+
+export function fixAllScadIssues(text, { files = [], limit = 200 } = {}) {
+  let current = text;
+  const applied = [];
+  while (applied.length < limit) {
+    const issue = runRules(current, files).find((item) => item.fix);
+    if (!issue) {
+      break;
+    }
+    const next = applyScadFix(current, issue);
+    if (next === current) {
+      break;
+    }
+    applied.push(issue);
+    current = next;
+  }
+  return { text: current, applied };
+}
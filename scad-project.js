@@ -0,0 +1,89 @@
+import { unzipSync } from "three/addons/libs/fflate.module.js";
+
+const REFERENCE_PATTERN = /\b(?:include|use)\s*<([^>]+)>/g;
+const IGNORED_PATH = /(^|\/)(?:__MACOSX|\.[^/]*)(\/|$)/;
+
+function normalizePath(path) {
+  const parts = [];
+  path
+    .replace(/\\/g, "/")
+    .split("/")
+    .forEach((part) => {
+      if (!part || part === ".") {
+        return;
+      }
+      if (part === "..") {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    });
+  return parts.join("/");
+}
+
+function getDirectory(path) {
+  const index = path.lastIndexOf("/");
+  return index === -1 ? "" : path.slice(0, index);
+}
+
+function getDepth(path) {
+  return path.split("/").length;
+}
+
+function stripCommonRoot(files) {
+  const roots = new Set(files.map(({ path }) => (path.includes("/") ? path.split("/")[0] : "")));
+  if (roots.size !== 1 || roots.has("")) {
+    return { files, root: null };
+  }
+  const [root] = roots;
+  return {
+    files: files.map((file) => ({ ...file, path: file.path.slice(root.length + 1) })),
+    root,
+  };
+}
+
+export function findScadEntry(files) {
+  const decoder = new TextDecoder();
+  const scadFiles = files.filter(({ path }) => /\.scad$/i.test(path));
+  const referenced = new Set();
+  scadFiles.forEach(({ path, data }) => {
+    for (const match of decoder.decode(data).matchAll(REFERENCE_PATTERN)) {
+      referenced.add(normalizePath(`${getDirectory(path)}/${match[1]}`));
+      referenced.add(normalizePath(match[1]));
+    }
+  });
+  const paths = scadFiles.map(({ path }) => path);
+  const candidates = paths.filter((path) => !referenced.has(path));
+  const pool = candidates.length ? candidates : paths;
+  const main = pool.find((path) => /(^|\/)main\.scad$/i.test(path));
+  if (main) {
+    return main;
+  }
+  return [...pool].sort((a, b) => getDepth(a) - getDepth(b) || a.localeCompare(b))[0] || null;
+}
+
+export function createScadProject(files, name = "project") {
+  const cleaned = files
+    .map((file) => ({ path: normalizePath(file.path), data: file.data }))
+    .filter(({ path }) => path && !IGNORED_PATH.test(path));
+  const { files: projectFiles, root } = stripCommonRoot(cleaned);
+  projectFiles.sort((a, b) => a.path.localeCompare(b.path));
+  return {
+    name: root || name,
+    files: projectFiles,
+    scadFiles: projectFiles.filter(({ path }) => /\.scad$/i.test(path)).map(({ path }) => path),
+    entry: findScadEntry(projectFiles),
+  };
+}
+
+export function readScadZip(buffer, name) {
+  const entries = unzipSync(new Uint8Array(buffer));
+  const files = Object.entries(entries)
+    .filter(([path]) => !path.endsWith("/"))
+    .map(([path, data]) => ({ path, data }));
+  return createScadProject(files, name.replace(/\.zip$/i, ""));
+}
+
+export function getScadProjectFile(project, path) {
+  return project.files.find((file) => file.path === path) || null;
+}
@@ -0,0 +1,47 @@
+import { createOpenSCAD } from "./vendor/openscad-wasm/openscad.js";
+
+const PROJECT_ROOT = "/project";
+const LIBRARY_ROOT = "/libraries";
+
+function renderProject(compiler, code, files, entry) {
+  const instance = compiler.getInstance();
+  const { FS } = instance;
+  FS.mkdirTree(LIBRARY_ROOT);
+  files.forEach(({ path, data }) => {
+    const target = `${PROJECT_ROOT}/${path}`;
+    FS.mkdirTree(target.slice(0, target.lastIndexOf("/")));
+    FS.writeFile(target, data);
+  });
+  const folders = new Set(
+    files.filter(({ path }) => path.includes("/")).map(({ path }) => path.split("/")[0])
+  );
+  folders.forEach((folder) => {
+    FS.symlink(`${PROJECT_ROOT}/${folder}`, `${LIBRARY_ROOT}/${folder}`);
+  });
+
+  const entryPath = `${PROJECT_ROOT}/${entry}`;
+  FS.writeFile(entryPath, code);
+  instance.callMain([entryPath, "-o", "/output.stl"]);
+  return FS.readFile("/output.stl", { encoding: "utf8" });
+}
+
+self.addEventListener("message", async (event) => {
+  const { id, code, files, entry } = event.data;
+  const report = (text) => {
+    if (text !== undefined && text !== null) {
+      self.postMessage({ id, type: "message", text: String(text) });
+    }
+  };
+
+  self.postMessage({ id, type: "progress", stage: "compiling" });
+  try {
+    // OpenSCAD's main() only runs cleanly once per instance, so each compile gets a fresh one.
+    const compiler = await createOpenSCAD({ print: report, printErr: report });
+    const output = files
+      ? renderProject(compiler, code, files, entry)
+      : await compiler.renderToStl(code);
+    self.postMessage({ id, type: "result", output });
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error?.message || null });
+  }
+});
@@ -0,0 +1,84 @@
+const SVG_MARGIN = 1;
+
+function formatNumber(value) {
+  const fixed = value.toFixed(4).replace(/\.?0+$/, "");
+  return fixed === "-0" ? "0" : fixed;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function writeSectionSvg(section, name = "section") {
+  if (!section.bounds) {
+    throw new Error("The section is empty.");
+  }
+  const [minU, minV, maxU, maxV] = section.bounds;
+  const width = maxU - minU + SVG_MARGIN * 2;
+  const height = maxV - minV + SVG_MARGIN * 2;
+  const commands = section.loops.map(({ points, closed }) => {
+    const parts = [];
+    for (let i = 0; i < points.length; i += 2) {
+      const x = formatNumber(points[i] - minU + SVG_MARGIN);
+      const y = formatNumber(maxV - points[i + 1] + SVG_MARGIN);
+      parts.push(`${i === 0 ? "M" : "L"}${x} ${y}`);
+    }
+    return `${parts.join(" ")}${closed ? " Z" : ""}`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}mm" height="${formatNumber(
+      height
+    )}mm" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+    `  <title>${escapeXml(name)}</title>`,
+    `  <path d="${commands.join(" ")}" fill="none" stroke="#000000" stroke-width="0.1" fill-rule="evenodd" />`,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+function dxfPair(code, value) {
+  return `${code}\n${value}`;
+}
+
+export function writeSectionDxf(section) {
+  if (!section.loops.length) {
+    throw new Error("The section is empty.");
+  }
+  const lines = [
+    dxfPair(0, "SECTION"),
+    dxfPair(2, "HEADER"),
+    dxfPair(9, "$INSUNITS"),
+    dxfPair(70, 4),
+    dxfPair(0, "ENDSEC"),
+    dxfPair(0, "SECTION"),
+    dxfPair(2, "ENTITIES"),
+  ];
+  section.loops.forEach(({ points, closed }) => {
+    lines.push(
+      dxfPair(0, "POLYLINE"),
+      dxfPair(8, "SECTION"),
+      dxfPair(66, 1),
+      dxfPair(70, closed ? 1 : 0),
+      dxfPair(10, 0),
+      dxfPair(20, 0),
+      dxfPair(30, 0)
+    );
+    for (let i = 0; i < points.length; i += 2) {
+      lines.push(
+        dxfPair(0, "VERTEX"),
+        dxfPair(8, "SECTION"),
+        dxfPair(10, formatNumber(points[i])),
+        dxfPair(20, formatNumber(points[i + 1])),
+        dxfPair(30, 0)
+      );
+    }
+    lines.push(dxfPair(0, "SEQEND"), dxfPair(8, "SECTION"));
+  });
+  lines.push(dxfPair(0, "ENDSEC"), dxfPair(0, "EOF"), "");
+  return lines.join("\n");
+}
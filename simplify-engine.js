@@ -0,0 +1,61 @@
+const WORKER_URL = new URL("./simplify-worker.js", import.meta.url);
+const MEMORY_MESSAGE = "Ran out of memory simplifying the mesh. Try a lower target or close other tabs.";
+
+let nextJobId = 1;
+
+function createAbortError() {
+  const error = new Error("Simplification cancelled.");
+  error.name = "AbortError";
+  return error;
+}
+
+export function simplifyInWorker(mesh, options = {}) {
+  const { targetTriangles, keepBoundary = false, signal, onProgress } = options;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const id = nextJobId;
+    nextJobId += 1;
+    // One worker per job, so a newer target can cancel an old one by terminating it.
+    const worker = new Worker(WORKER_URL, { type: "module" });
+    const onAbort = () => {
+      worker.terminate();
+      reject(createAbortError());
+    };
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    worker.addEventListener("message", (event) => {
+      const data = event.data;
+      if (data.id !== id) {
+        return;
+      }
+      if (data.type === "progress") {
+        onProgress?.(data.progress);
+        return;
+      }
+      finish();
+      if (data.type === "error") {
+        const message = data.outOfMemory ? MEMORY_MESSAGE : data.message;
+        reject(new Error(message || "Simplification failed."));
+        return;
+      }
+      resolve(data);
+    });
+    worker.addEventListener("error", (event) => {
+      finish();
+      const isMemory = !event.message || /RangeError|memory/i.test(event.message);
+      reject(new Error(isMemory ? MEMORY_MESSAGE : `Simplification failed. ${event.message}`));
+    });
+    const transfer = [mesh.positions.buffer, mesh.indices?.buffer].filter(Boolean);
+    worker.postMessage(
+      { id, positions: mesh.positions, indices: mesh.indices, targetTriangles, keepBoundary },
+      transfer
+    );
+  });
+}
@@ -0,0 +1,45 @@
+import { getDefaultTolerance, weldVertices } from "./mesh-analysis.js";
+import { simplifyMesh } from "./mesh-simplify.js";
+
+self.addEventListener("message", (event) => {
+  const { id, positions, indices, targetTriangles, keepBoundary } = event.data;
+  try {
+    // Triangle soups (STL, OBJ without shared corners) need welding before edges can collapse.
+    // Indexed meshes can still split corners along creases or seams, so their vertices are
+    // welded too and the faces remapped onto them.
+    const welded = weldVertices(positions, getDefaultTolerance(positions));
+    const mesh = indices
+      ? { vertices: welded.vertices, indices: indices.map((index) => welded.indices[index]) }
+      : welded;
+    let lastReport = 0;
+    const result = simplifyMesh(mesh.vertices, mesh.indices, {
+      targetTriangles,
+      keepBoundary,
+      onProgress: (progress) => {
+        const now = Date.now();
+        if (now - lastReport > 100) {
+          lastReport = now;
+          self.postMessage({ id, type: "progress", progress });
+        }
+      },
+    });
+    self.postMessage(
+      {
+        id,
+        type: "result",
+        positions: result.positions,
+        indices: result.indices,
+        triangles: result.triangles,
+        error: result.error,
+      },
+      [result.positions.buffer, result.indices.buffer]
+    );
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: error?.message || null,
+      outOfMemory: error instanceof RangeError,
+    });
+  }
+});
@@ -0,0 +1,95 @@
+export const VERTEX_PATTERN =
+  /vertex\s+([-+]?[\d.]+(?:e[-+]?\d+)?)\s+([-+]?[\d.]+(?:e[-+]?\d+)?)\s+([-+]?[\d.]+(?:e[-+]?\d+)?)/gi;
+
+export function readAsciiStl(text) {
+  const values = [];
+  for (const match of text.matchAll(VERTEX_PATTERN)) {
+    values.push(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  const usable = values.length - (values.length % 9);
+  return new Float32Array(values.slice(0, usable));
+}
+
+function faceNormal(positions, offset) {
+  const ax = positions[offset + 3] - positions[offset];
+  const ay = positions[offset + 4] - positions[offset + 1];
+  const az = positions[offset + 5] - positions[offset + 2];
+  const bx = positions[offset + 6] - positions[offset];
+  const by = positions[offset + 7] - positions[offset + 1];
+  const bz = positions[offset + 8] - positions[offset + 2];
+  const nx = ay * bz - az * by;
+  const ny = az * bx - ax * bz;
+  const nz = ax * by - ay * bx;
+  const length = Math.hypot(nx, ny, nz) || 1;
+  return [nx / length, ny / length, nz / length];
+}
+
+function formatFloat(value) {
+  return Number.isFinite(value) ? value.toExponential(6) : "0.000000e+00";
+}
+
+export function writeAsciiStl(positions, name = "model") {
+  const solidName = name.replace(/\s+/g, "_") || "model";
+  const lines = [`solid ${solidName}`];
+  for (let offset = 0; offset + 9 <= positions.length; offset += 9) {
+    const normal = faceNormal(positions, offset);
+    lines.push(`  facet normal ${normal.map(formatFloat).join(" ")}`, "    outer loop");
+    for (let corner = 0; corner < 3; corner += 1) {
+      const base = offset + corner * 3;
+      lines.push(
+        `      vertex ${formatFloat(positions[base])} ${formatFloat(
+          positions[base + 1]
+        )} ${formatFloat(positions[base + 2])}`
+      );
+    }
+    lines.push("    endloop", "  endfacet");
+  }
+  lines.push(`endsolid ${solidName}`, "");
+  return lines.join("\n");
+}
+
+const BINARY_HEADER_BYTES = 80;
+const BINARY_DATA_OFFSET = 84;
+const BINARY_TRIANGLE_BYTES = 50;
+
+function hasBinaryBytes(bytes) {
+  return bytes.some((byte) => byte < 9 || (byte > 13 && byte < 32) || byte === 127);
+}
+
+export function isBinaryStl(buffer, byteLength = buffer.byteLength) {
+  if (buffer.byteLength >= BINARY_DATA_OFFSET) {
+    const count = new DataView(buffer).getUint32(BINARY_HEADER_BYTES, true);
+    if (BINARY_DATA_OFFSET + count * BINARY_TRIANGLE_BYTES === byteLength) {
+      return true;
+    }
+  }
+  return hasBinaryBytes(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024)));
+}
+
+export function readBinaryStl(buffer, triangleCount) {
+  const view = new DataView(buffer);
+  const positions = new Float32Array(triangleCount * 9);
+  for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+    const offset = BINARY_DATA_OFFSET + triangle * BINARY_TRIANGLE_BYTES + 12;
+    for (let value = 0; value < 9; value += 1) {
+      positions[triangle * 9 + value] = view.getFloat32(offset + value * 4, true);
+    }
+  }
+  return positions;
+}
+
+export function writeBinaryStl(positions, header = "") {
+  const triangleCount = Math.floor(positions.length / 9);
+  const buffer = new ArrayBuffer(BINARY_DATA_OFFSET + triangleCount * BINARY_TRIANGLE_BYTES);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set(new TextEncoder().encode(header).slice(0, BINARY_HEADER_BYTES));
+  view.setUint32(BINARY_HEADER_BYTES, triangleCount, true);
+  for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+    const offset = BINARY_DATA_OFFSET + triangle * BINARY_TRIANGLE_BYTES;
+    const values = [...faceNormal(positions, triangle * 9), ...positions.subarray(triangle * 9, triangle * 9 + 9)];
+    values.forEach((value, index) => {
+      view.setFloat32(offset + index * 4, value, true);
+    });
+  }
+  return buffer;
+}
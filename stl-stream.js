@@ -0,0 +1,44 @@
+const WORKER_URL = new URL("./stl-worker.js", import.meta.url);
+
+export const STREAMING_STL_BYTES = 32 * 1024 * 1024;
+
+let nextJobId = 1;
+
+function describeMemoryFailure(file) {
+  return `Ran out of memory reading ${file.name}. Close other tabs, or reduce the mesh in another program before loading it.`;
+}
+
+export function parseStlFile(file, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId;
+    nextJobId += 1;
+    // A fresh worker per file lets the browser free its heap as soon as the mesh arrives.
+    const worker = new Worker(WORKER_URL, { type: "module" });
+
+    worker.addEventListener("message", (event) => {
+      const data = event.data;
+      if (data.id !== id) {
+        return;
+      }
+      if (data.type === "progress") {
+        onProgress?.({ loaded: data.loaded, total: data.total });
+        return;
+      }
+      worker.terminate();
+      if (data.type === "error") {
+        const message = data.outOfMemory ? describeMemoryFailure(file) : data.message;
+        reject(new Error(message || `Could not read ${file.name}.`));
+        return;
+      }
+      resolve(data);
+    });
+    worker.addEventListener("error", (event) => {
+      worker.terminate();
+      const isMemory = !event.message || /RangeError|memory/i.test(event.message);
+      reject(
+        new Error(isMemory ? describeMemoryFailure(file) : `Could not read ${file.name}. ${event.message}`)
+      );
+    });
+    worker.postMessage({ id, file });
+  });
+}
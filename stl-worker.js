@@ -0,0 +1,278 @@
+import { VERTEX_PATTERN, isBinaryStl } from "./stl-format.js";
+
+const BINARY_DATA_OFFSET = 84;
+const BINARY_TRIANGLE_BYTES = 50;
+const BINARY_CHUNK_TRIANGLES = 262144;
+const TEXT_CHUNK_BYTES = 16 * 1024 * 1024;
+const ASCII_BYTES_PER_TRIANGLE = 250;
+
+function createVertexWelder(expectedVertices) {
+  let capacity = Math.max(1024, Math.ceil(expectedVertices));
+  let vertices = new Float32Array(capacity * 3);
+  let table = new Int32Array(2 ** Math.ceil(Math.log2(capacity * 2))).fill(-1);
+  let count = 0;
+  const scratch = new Float32Array(3);
+  const bits = new Uint32Array(scratch.buffer);
+
+  function slotFor(x, y, z) {
+    scratch[0] = x;
+    scratch[1] = y;
+    scratch[2] = z;
+    const mask = table.length - 1;
+    let hash = Math.imul(bits[0] ^ (bits[0] >>> 16), 0x85ebca6b) ^ bits[1];
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35) ^ bits[2];
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    let slot = (hash ^ (hash >>> 13)) & mask;
+    while (table[slot] !== -1) {
+      const offset = table[slot] * 3;
+      if (
+        vertices[offset] === scratch[0] &&
+        vertices[offset + 1] === scratch[1] &&
+        vertices[offset + 2] === scratch[2]
+      ) {
+        break;
+      }
+      slot = (slot + 1) & mask;
+    }
+    return slot;
+  }
+
+  function grow() {
+    capacity *= 2;
+    const nextVertices = new Float32Array(capacity * 3);
+    nextVertices.set(vertices.subarray(0, count * 3));
+    vertices = nextVertices;
+    table = new Int32Array(table.length * 2).fill(-1);
+    for (let index = 0; index < count; index += 1) {
+      table[slotFor(vertices[index * 3], vertices[index * 3 + 1], vertices[index * 3 + 2])] = index;
+    }
+  }
+
+  return {
+    add(x, y, z) {
+      let slot = slotFor(x, y, z);
+      if (table[slot] !== -1) {
+        return table[slot];
+      }
+      if (count === capacity) {
+        grow();
+        slot = slotFor(x, y, z);
+      }
+      vertices.set(scratch, count * 3);
+      table[slot] = count;
+      count += 1;
+      return count - 1;
+    },
+    finish() {
+      table = null;
+      return vertices.length === count * 3 ? vertices : vertices.slice(0, count * 3);
+    },
+  };
+}
+
+function createIndexBuffer(expectedTriangles) {
+  let indices = new Uint32Array(Math.max(3, Math.ceil(expectedTriangles) * 3));
+  let count = 0;
+  return {
+    push(index) {
+      if (count === indices.length) {
+        const next = new Uint32Array(indices.length * 2);
+        next.set(indices);
+        indices = next;
+      }
+      indices[count] = index;
+      count += 1;
+    },
+    finish() {
+      const usable = count - (count % 3);
+      return indices.length === usable ? indices : indices.slice(0, usable);
+    },
+  };
+}
+
+// Faces meeting at a sharper angle than this get separate corner normals, so sharp edges stay
+// flat-shaded like the STLLoader path for smaller files.
+const CREASE_COS = Math.cos(Math.PI / 6);
+
+function computeFaceNormals(positions, indices) {
+  const normals = new Float32Array(indices.length);
+  for (let face = 0; face < indices.length; face += 3) {
+    const a = indices[face] * 3;
+    const b = indices[face + 1] * 3;
+    const c = indices[face + 2] * 3;
+    const abx = positions[b] - positions[a];
+    const aby = positions[b + 1] - positions[a + 1];
+    const abz = positions[b + 2] - positions[a + 2];
+    const acx = positions[c] - positions[a];
+    const acy = positions[c + 1] - positions[a + 1];
+    const acz = positions[c + 2] - positions[a + 2];
+    normals[face] = aby * acz - abz * acy;
+    normals[face + 1] = abz * acx - abx * acz;
+    normals[face + 2] = abx * acy - aby * acx;
+  }
+  return normals;
+}
+
+function listCornersByVertex(indices, vertexCount) {
+  const starts = new Uint32Array(vertexCount + 1);
+  for (let corner = 0; corner < indices.length; corner += 1) {
+    starts[indices[corner] + 1] += 1;
+  }
+  for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+    starts[vertex + 1] += starts[vertex];
+  }
+  const cursor = starts.slice(0, vertexCount);
+  const corners = new Uint32Array(indices.length);
+  for (let corner = 0; corner < indices.length; corner += 1) {
+    corners[cursor[indices[corner]]] = corner;
+    cursor[indices[corner]] += 1;
+  }
+  return { starts, corners };
+}
+
+// Area-weighted normals per smoothing group: each corner joins the first group at its vertex
+// whose seed face is within the crease angle, and every group past the first becomes a copy of
+// the vertex. Rewrites indices in place to point at the copies.
+function computeNormals(positions, indices) {
+  const vertexCount = positions.length / 3;
+  const faceNormals = computeFaceNormals(positions, indices);
+  const { starts, corners } = listCornersByVertex(indices, vertexCount);
+  let normals = new Float32Array(positions.length);
+  const copiedFrom = [];
+  const groups = [];
+
+  for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+    groups.length = 0;
+    for (let item = starts[vertex]; item < starts[vertex + 1]; item += 1) {
+      const corner = corners[item];
+      const face = corner - (corner % 3);
+      const nx = faceNormals[face];
+      const ny = faceNormals[face + 1];
+      const nz = faceNormals[face + 2];
+      const length = Math.hypot(nx, ny, nz);
+      let group = groups.find(
+        (candidate) =>
+          !length ||
+          !Number.isFinite(candidate.x) ||
+          (candidate.x * nx + candidate.y * ny + candidate.z * nz) / length >= CREASE_COS
+      );
+      if (!group) {
+        const output = groups.length ? vertexCount + copiedFrom.length : vertex;
+        if (output !== vertex) {
+          copiedFrom.push(vertex);
+          if ((output + 1) * 3 > normals.length) {
+            const next = new Float32Array(normals.length * 2);
+            next.set(normals);
+            normals = next;
+          }
+        }
+        group = { x: nx / length, y: ny / length, z: nz / length, output };
+        groups.push(group);
+      } else if (!Number.isFinite(group.x) && length) {
+        Object.assign(group, { x: nx / length, y: ny / length, z: nz / length });
+      }
+      const offset = group.output * 3;
+      normals[offset] += nx;
+      normals[offset + 1] += ny;
+      normals[offset + 2] += nz;
+      indices[corner] = group.output;
+    }
+  }
+
+  const total = (vertexCount + copiedFrom.length) * 3;
+  normals = normals.length === total ? normals : normals.slice(0, total);
+  for (let offset = 0; offset < normals.length; offset += 3) {
+    const length = Math.hypot(normals[offset], normals[offset + 1], normals[offset + 2]) || 1;
+    normals[offset] /= length;
+    normals[offset + 1] /= length;
+    normals[offset + 2] /= length;
+  }
+  if (!copiedFrom.length) {
+    return { positions, normals };
+  }
+  const split = new Float32Array(total);
+  split.set(positions);
+  copiedFrom.forEach((vertex, copy) => {
+    split.set(positions.subarray(vertex * 3, vertex * 3 + 3), (vertexCount + copy) * 3);
+  });
+  return { positions: split, normals };
+}
+
+async function readBinary(file, report) {
+  const triangleCount = Math.floor((file.size - BINARY_DATA_OFFSET) / BINARY_TRIANGLE_BYTES);
+  const welder = createVertexWelder(triangleCount / 2);
+  const indices = createIndexBuffer(triangleCount);
+  for (let first = 0; first < triangleCount; first += BINARY_CHUNK_TRIANGLES) {
+    const last = Math.min(first + BINARY_CHUNK_TRIANGLES, triangleCount);
+    const start = BINARY_DATA_OFFSET + first * BINARY_TRIANGLE_BYTES;
+    const end = BINARY_DATA_OFFSET + last * BINARY_TRIANGLE_BYTES;
+    const view = new DataView(await file.slice(start, end).arrayBuffer());
+    for (let triangle = 0; triangle < last - first; triangle += 1) {
+      const offset = triangle * BINARY_TRIANGLE_BYTES + 12;
+      for (let corner = 0; corner < 3; corner += 1) {
+        const base = offset + corner * 12;
+        const x = view.getFloat32(base, true);
+        const y = view.getFloat32(base + 4, true);
+        const z = view.getFloat32(base + 8, true);
+        indices.push(welder.add(x, y, z));
+      }
+    }
+    report(end);
+  }
+  return { positions: welder.finish(), indices: indices.finish() };
+}
+
+async function readAscii(file, report) {
+  const expectedTriangles = file.size / ASCII_BYTES_PER_TRIANGLE;
+  const welder = createVertexWelder(expectedTriangles / 2);
+  const indices = createIndexBuffer(expectedTriangles);
+  const decoder = new TextDecoder();
+  let carry = "";
+  const readVertices = (text) => {
+    for (const match of text.matchAll(VERTEX_PATTERN)) {
+      indices.push(welder.add(Number(match[1]), Number(match[2]), Number(match[3])));
+    }
+  };
+  for (let start = 0; start < file.size; start += TEXT_CHUNK_BYTES) {
+    const end = Math.min(start + TEXT_CHUNK_BYTES, file.size);
+    const text = carry + decoder.decode(await file.slice(start, end).arrayBuffer(), { stream: true });
+    const cut = text.lastIndexOf("\n") + 1;
+    readVertices(text.slice(0, cut));
+    carry = text.slice(cut);
+    report(end);
+  }
+  readVertices(carry + decoder.decode());
+  return { positions: welder.finish(), indices: indices.finish() };
+}
+
+self.addEventListener("message", async (event) => {
+  const { id, file } = event.data;
+  const report = (loaded) => {
+    self.postMessage({ id, type: "progress", loaded, total: file.size });
+  };
+
+  try {
+    const head = await file.slice(0, 1024).arrayBuffer();
+    const isBinary = isBinaryStl(head, file.size);
+    if (isBinary && file.size < BINARY_DATA_OFFSET + BINARY_TRIANGLE_BYTES) {
+      throw new Error("Binary STL is too short to hold a triangle.");
+    }
+    const mesh = isBinary ? await readBinary(file, report) : await readAscii(file, report);
+    const { indices } = mesh;
+    if (!indices.length) {
+      throw new Error("No triangles found. Check that the data is valid.");
+    }
+    const { positions, normals } = computeNormals(mesh.positions, indices);
+    self.postMessage(
+      { id, type: "result", positions, normals, indices, isBinary },
+      [positions.buffer, normals.buffer, indices.buffer]
+    );
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: error?.message || null,
+      outOfMemory: error instanceof RangeError,
+    });
+  }
+});
@@ -0,0 +1,116 @@
+const CACHE_NAME = "stl-studio-v15";
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "fixer.html",
+  "generator.html",
+  "styles.css",
+  "app.js",
+  "code-editor.js",
+  "fixer.js",
+  "generator.js",
+  "llm-provider.js",
+  "offline.js",
+  "scad-customizer.js",
+  "scad-diagnostics.js",
+  "scad-engine.js",
+  "scad-lint.js",
+  "scad-project.js",
+  "scad-worker.js",
+  "mesh-analysis.js",
+  "mesh-export.js",
+  "mesh-file-repair.js",
+  "mesh-repair.js",
+  "mesh-section.js",
+  "mesh-simplify.js",
+  "plate-arrange.js",
+  "section-format.js",
+  "simplify-engine.js",
+  "simplify-worker.js",
+  "stl-format.js",
+  "stl-stream.js",
+  "stl-worker.js",
+  "text-diff.js",
+  "templates/index.js",
+  "templates/manifest.json",
+  "vendor/openscad-wasm/openscad.js",
+  "assets%3AChatGPT%20Image%20Dec%2027,%202025,%2008_56_29%20AM.png",
+];
+
+const CDN_HOSTS = ["unpkg.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+async function precacheTemplates(cache) {
+  const response = await cache.match("templates/manifest.json");
+  const files = await response.json();
+  await cache.addAll(files.map((file) => `templates/${file}`));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS).then(() => precacheTemplates(cache)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function isCacheable(response) {
+  return response && (response.ok || response.type === "opaque");
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      url.pathname.includes("/vendor/") ? cacheFirst(request) : networkFirst(request)
+    );
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
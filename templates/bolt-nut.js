@@ -0,0 +1,65 @@
+export default {
+  id: "bolt-nut",
+  name: "Metric bolt and nut",
+  keywords: ["bolt", "nut", "screw", "thread"],
+  priority: 90,
+  sizeParameter: "bolt_length",
+  promptParameters: {
+    thread: "thread_size",
+    diameter: "thread_size",
+    length: "bolt_length",
+  },
+  parameters: [
+    { name: "thread_size", label: "Thread size", unit: "M", options: [3, 4, 5, 6, 8, 10, 12], value: 8 },
+    { name: "bolt_length", label: "Shank length", unit: "mm", min: 5, max: 150, step: 1, value: 25 },
+    { name: "nut_clearance", label: "Nut thread clearance", unit: "mm", min: 0, max: 0.8, step: 0.05, value: 0.3 },
+    { name: "include_nut", label: "Include nut", unit: "", type: "boolean", value: true },
+  ],
+  build: () => `pitch = lookup(thread_size, [[3, 0.5], [4, 0.7], [5, 0.8], [6, 1], [8, 1.25], [10, 1.5], [12, 1.75]]);
+across_flats = lookup(thread_size, [[3, 5.5], [4, 7], [5, 8], [6, 10], [8, 13], [10, 16], [12, 18]]);
+head_height = thread_size * 0.7;
+nut_height = thread_size * 0.8;
+thread_depth = 0.6134 * pitch;
+profile_points = 32;
+slices_per_turn = 8;
+
+function thread_radius(phase, major_radius) =
+  let (u = phase - floor(phase))
+  u < 1 / 8 ? major_radius
+  : u < 7 / 16 ? major_radius - thread_depth * (u - 1 / 8) / (5 / 16)
+  : u < 11 / 16 ? major_radius - thread_depth
+  : major_radius - thread_depth * (1 - (u - 11 / 16) / (5 / 16));
+
+module threaded_rod(diameter, length, allowance = 0) {
+  major_radius = diameter / 2 + allowance;
+  turns = length / pitch;
+  linear_extrude(height = length, twist = -360 * turns, slices = max(1, ceil(turns * slices_per_turn)))
+    polygon([for (i = [0 : profile_points - 1])
+      let (angle = i * 360 / profile_points, r = thread_radius(i / profile_points, major_radius))
+      [r * cos(angle), r * sin(angle)]]);
+}
+
+module hex(height) {
+  cylinder(h = height, d = across_flats / cos(30), $fn = 6);
+}
+
+module bolt() {
+  hex(head_height);
+  translate([0, 0, head_height - 0.01])
+    threaded_rod(thread_size, bolt_length);
+}
+
+module nut() {
+  difference() {
+    hex(nut_height);
+    translate([0, 0, -1])
+      threaded_rod(thread_size, nut_height + 2, nut_clearance);
+  }
+}
+
+bolt();
+if (include_nut)
+  translate([across_flats * 1.5 + 5, 0, 0])
+    nut();
+`,
+};
@@ -0,0 +1,47 @@
+export default {
+  id: "cable-clip",
+  name: "Cable clip",
+  keywords: ["cable", "clip", "wire", "cord"],
+  priority: 80,
+  sizeParameter: null,
+  promptParameters: {
+    diameter: "cable_diameter",
+    width: "clip_width",
+    thickness: "wall_thickness",
+  },
+  parameters: [
+    { name: "cable_diameter", label: "Cable diameter", unit: "mm", min: 2, max: 30, step: 0.1, value: 6 },
+    { name: "clip_width", label: "Clip width", unit: "mm", min: 4, max: 40, step: 0.5, value: 8 },
+    { name: "wall_thickness", label: "Wall thickness", unit: "mm", min: 1, max: 5, step: 0.1, value: 1.6 },
+    { name: "opening", label: "Snap opening", unit: "% of diameter", min: 50, max: 95, step: 1, value: 80 },
+    { name: "tab_length", label: "Screw tab length", unit: "mm", min: 0, max: 40, step: 0.5, value: 12 },
+    { name: "base_thickness", label: "Base thickness", unit: "mm", min: 1.2, max: 6, step: 0.1, value: 2 },
+    { name: "screw_diameter", label: "Screw hole diameter", unit: "mm", min: 2, max: 6, step: 0.1, value: 3.5 },
+    { name: "cable_clearance", label: "Cable clearance", unit: "mm", min: 0, max: 1, step: 0.05, value: 0.2 },
+  ],
+  build: () => `inner_radius = cable_diameter / 2 + cable_clearance;
+outer_radius = inner_radius + wall_thickness;
+center_y = base_thickness + inner_radius;
+opening_width = cable_diameter * opening / 100;
+
+module profile() {
+  difference() {
+    union() {
+      translate([0, center_y]) circle(r = outer_radius);
+      translate([-outer_radius, 0]) square([outer_radius * 2 + tab_length, base_thickness]);
+    }
+    translate([0, center_y]) circle(r = inner_radius);
+    translate([-opening_width / 2, center_y]) square([opening_width, outer_radius + 1]);
+  }
+}
+
+difference() {
+  linear_extrude(height = clip_width)
+    profile();
+  if (tab_length > screw_diameter + 2)
+    translate([outer_radius + tab_length / 2, -1, clip_width / 2])
+      rotate([-90, 0, 0])
+        cylinder(h = base_thickness + 2, d = screw_diameter);
+}
+`,
+};
@@ -0,0 +1,35 @@
+export default {
+  id: "computer",
+  name: "Desktop computer",
+  keywords: ["computer", "monitor", "keyboard", "pc"],
+  priority: 40,
+  sizeParameter: "screen_width",
+  promptParameters: {
+    width: "screen_width",
+    height: "screen_height",
+    depth: "screen_depth",
+  },
+  parameters: [
+    { name: "screen_width", label: "Screen width", unit: "mm", min: 40, max: 400, step: 1, value: 120 },
+    { name: "screen_height", label: "Screen height", unit: "mm", min: 30, max: 300, step: 1, value: 80 },
+    { name: "screen_depth", label: "Screen depth", unit: "mm", min: 2, max: 40, step: 0.5, value: 8 },
+    { name: "keyboard_width", label: "Keyboard width", unit: "mm", min: 30, max: 400, step: 1, value: 80 },
+    { name: "keyboard_depth", label: "Keyboard depth", unit: "mm", min: 10, max: 150, step: 1, value: 30 },
+  ],
+  build: () => `module monitor() {
+  cube([screen_width, screen_depth, screen_height]);
+  translate([screen_width / 2 - 4, -18, 5])
+    cube([8, 18, screen_height / 2]);
+  translate([screen_width / 4, -45, 0])
+    cube([screen_width / 2, 45, 5]);
+}
+
+module keyboard() {
+  translate([(screen_width - keyboard_width) / 2, -55 - keyboard_depth, 0])
+    cube([keyboard_width, keyboard_depth, 6]);
+}
+
+monitor();
+keyboard();
+`,
+};
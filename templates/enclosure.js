@@ -0,0 +1,97 @@
+export default {
+  id: "enclosure",
+  name: "Project enclosure",
+  keywords: ["box", "enclosure", "case", "lid", "container"],
+  priority: 120,
+  sizeParameter: "inner_width",
+  promptParameters: {
+    width: "inner_width",
+    depth: "inner_depth",
+    height: "inner_height",
+    rounded: "corner_radius",
+    lid: "include_lid",
+    holes: "screw_posts",
+    posts: "screw_posts",
+    thread: "screw_size",
+  },
+  parameters: [
+    { name: "inner_width", label: "Inner width", unit: "mm", min: 10, max: 300, step: 1, value: 80 },
+    { name: "inner_depth", label: "Inner depth", unit: "mm", min: 10, max: 300, step: 1, value: 50 },
+    { name: "inner_height", label: "Inner height", unit: "mm", min: 5, max: 200, step: 1, value: 30 },
+    { name: "wall_thickness", label: "Wall thickness", unit: "mm", min: 1.2, max: 6, step: 0.1, value: 2 },
+    { name: "floor_thickness", label: "Floor thickness", unit: "mm", min: 1, max: 6, step: 0.1, value: 2 },
+    { name: "corner_radius", label: "Corner radius", unit: "mm", min: 0, max: 20, step: 0.5, value: 3 },
+    { name: "include_lid", label: "Include lid", unit: "", type: "boolean", value: true },
+    { name: "lid_thickness", label: "Lid thickness", unit: "mm", min: 1, max: 6, step: 0.1, value: 2 },
+    { name: "lip_height", label: "Lid lip height", unit: "mm", min: 0, max: 15, step: 0.5, value: 4 },
+    { name: "clearance", label: "Lid clearance", unit: "mm", min: 0, max: 1, step: 0.05, value: 0.3 },
+    { name: "screw_posts", label: "Screw posts", unit: "", type: "boolean", value: true },
+    { name: "screw_size", label: "Screw size", unit: "M", options: [2, 2.5, 3, 4], value: 3 },
+  ],
+  build: () => `outer_width = inner_width + 2 * wall_thickness;
+outer_depth = inner_depth + 2 * wall_thickness;
+post_diameter = screw_size * 2.4;
+pilot_diameter = screw_size * 0.85;
+screw_clearance = screw_size + 0.4;
+lip_wall = max(wall_thickness * 0.75, 1.2);
+post_inset = wall_thickness + post_diameter / 2;
+post_positions = [
+  [post_inset, post_inset],
+  [outer_width - post_inset, post_inset],
+  [post_inset, outer_depth - post_inset],
+  [outer_width - post_inset, outer_depth - post_inset]
+];
+
+module rounded_block(width, depth, height, radius) {
+  r = max(min(radius, width / 2 - 0.01, depth / 2 - 0.01), 0.01);
+  hull()
+    for (x = [r, width - r], y = [r, depth - r])
+      translate([x, y, 0]) cylinder(h = height, r = r);
+}
+
+module body() {
+  difference() {
+    rounded_block(outer_width, outer_depth, floor_thickness + inner_height, corner_radius);
+    translate([wall_thickness, wall_thickness, floor_thickness])
+      rounded_block(inner_width, inner_depth, inner_height + 1, corner_radius - wall_thickness);
+  }
+  if (screw_posts)
+    for (p = post_positions)
+      translate([p[0], p[1], 0])
+        difference() {
+          cylinder(h = floor_thickness + inner_height, d = post_diameter);
+          translate([0, 0, floor_thickness])
+            cylinder(h = inner_height + 1, d = pilot_diameter);
+        }
+}
+
+module lid() {
+  lip_width = inner_width - 2 * clearance;
+  lip_depth = inner_depth - 2 * clearance;
+  difference() {
+    union() {
+      rounded_block(outer_width, outer_depth, lid_thickness, corner_radius);
+      if (lip_height > 0)
+        translate([wall_thickness + clearance, wall_thickness + clearance, lid_thickness])
+          difference() {
+            rounded_block(lip_width, lip_depth, lip_height, corner_radius - wall_thickness);
+            translate([lip_wall, lip_wall, -1])
+              rounded_block(lip_width - 2 * lip_wall, lip_depth - 2 * lip_wall, lip_height + 2, 0.5);
+          }
+    }
+    if (screw_posts)
+      for (p = post_positions) {
+        translate([p[0], p[1], -1])
+          cylinder(h = lid_thickness + lip_height + 2, d = screw_clearance);
+        translate([p[0], p[1], lid_thickness])
+          cylinder(h = lip_height + 1, d = post_diameter + 2 * clearance);
+      }
+  }
+}
+
+body();
+if (include_lid)
+  translate([outer_width + 10, 0, 0])
+    lid();
+`,
+};
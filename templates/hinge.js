@@ -0,0 +1,73 @@
+export default {
+  id: "hinge",
+  name: "Print-in-place hinge",
+  keywords: ["hinge", "pivot", "door"],
+  priority: 70,
+  sizeParameter: "hinge_length",
+  promptParameters: {
+    length: "hinge_length",
+    width: "leaf_width",
+    thickness: "leaf_thickness",
+    knuckles: "knuckle_count",
+    holes: "screw_holes",
+  },
+  parameters: [
+    { name: "hinge_length", label: "Hinge length", unit: "mm", min: 15, max: 200, step: 1, value: 40 },
+    { name: "leaf_width", label: "Leaf width", unit: "mm", min: 5, max: 80, step: 1, value: 18 },
+    { name: "leaf_thickness", label: "Leaf thickness", unit: "mm", min: 1.5, max: 8, step: 0.1, value: 3 },
+    { name: "knuckle_count", label: "Knuckle count", unit: "", min: 3, max: 9, step: 2, value: 5 },
+    { name: "pin_diameter", label: "Pin diameter", unit: "mm", min: 1.5, max: 10, step: 0.1, value: 3 },
+    { name: "clearance", label: "Moving clearance", unit: "mm", min: 0.2, max: 0.8, step: 0.05, value: 0.4 },
+    { name: "screw_holes", label: "Screw holes", unit: "", type: "boolean", value: true },
+    { name: "hole_diameter", label: "Screw hole diameter", unit: "mm", min: 2, max: 6, step: 0.1, value: 3.5 },
+  ],
+  build: () => `knuckle_radius = max(leaf_thickness, pin_diameter / 2 + clearance + 1.6);
+segment = hinge_length / knuckle_count;
+
+module knuckle(index, radius, grow = 0) {
+  start = index * segment + (index == 0 ? 0 : clearance / 2) - grow;
+  end = (index + 1) * segment - (index == knuckle_count - 1 ? 0 : clearance / 2) + grow;
+  translate([0, start, knuckle_radius])
+    rotate([-90, 0, 0])
+      cylinder(h = end - start, r = radius);
+}
+
+module leaf(side) {
+  translate([side < 0 ? -(knuckle_radius + leaf_width) : 0, 0, 0])
+    cube([knuckle_radius + leaf_width, hinge_length, leaf_thickness]);
+}
+
+module screw_holes(side) {
+  if (screw_holes)
+    for (y = [hinge_length / 4, hinge_length * 3 / 4])
+      translate([side * (knuckle_radius + leaf_width / 2), y, -1])
+        cylinder(h = leaf_thickness + 2, d = hole_diameter);
+}
+
+module part(side, parity) {
+  difference() {
+    union() {
+      leaf(side);
+      for (i = [0 : knuckle_count - 1])
+        if (i % 2 == parity) knuckle(i, knuckle_radius);
+    }
+    for (i = [0 : knuckle_count - 1])
+      if (i % 2 != parity) knuckle(i, knuckle_radius + clearance, clearance);
+    screw_holes(side);
+  }
+}
+
+union() {
+  part(-1, 0);
+  translate([0, 0, knuckle_radius])
+    rotate([-90, 0, 0])
+      cylinder(h = hinge_length, d = pin_diameter);
+}
+difference() {
+  part(1, 1);
+  translate([0, -1, knuckle_radius])
+    rotate([-90, 0, 0])
+      cylinder(h = hinge_length + 2, d = pin_diameter + 2 * clearance);
+}
+`,
+};
@@ -0,0 +1,49 @@
+const MANIFEST_URL = new URL("./manifest.json", import.meta.url);
+
+// manifest.json is written by tools/list-templates.mjs, both locally and in the Pages deploy,
+// so a new template only needs its own module and that command.
+export const templateErrors = [];
+
+function isTemplate(value) {
+  return (
+    typeof value?.id === "string" &&
+    Array.isArray(value.keywords) &&
+    Array.isArray(value.parameters) &&
+    typeof value.build === "function"
+  );
+}
+
+// Higher priority wins keyword ties in the generator, so file names never decide them.
+function byPriority(a, b) {
+  return (b.priority ?? 0) - (a.priority ?? 0) || a.id.localeCompare(b.id);
+}
+
+async function loadTemplates() {
+  let files;
+  try {
+    const response = await fetch(MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    files = await response.json();
+  } catch (error) {
+    templateErrors.push(`Could not load the template list (${error.message}).`);
+    return [];
+  }
+  const results = await Promise.allSettled(
+    files.map((file) => import(new URL(file, MANIFEST_URL)))
+  );
+  const loaded = [];
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      templateErrors.push(`Could not load ${files[index]} (${result.reason?.message || "unknown error"}).`);
+    } else if (!isTemplate(result.value.default)) {
+      templateErrors.push(`${files[index]} does not export a template.`);
+    } else {
+      loaded.push(result.value.default);
+    }
+  });
+  return loaded.sort(byPriority);
+}
+
+export const templates = await loadTemplates();
@@ -0,0 +1,54 @@
+export default {
+  id: "jet",
+  name: "Jet fighter",
+  keywords: ["jet", "fighter", "plane", "aircraft"],
+  priority: 60,
+  sizeParameter: "length",
+  promptParameters: {
+    length: "length",
+    width: "wingspan",
+    thickness: "wing_thickness",
+  },
+  parameters: [
+    { name: "length", label: "Fuselage length", unit: "mm", min: 60, max: 400, step: 1, value: 170 },
+    { name: "wingspan", label: "Wingspan", unit: "mm", min: 30, max: 400, step: 1, value: 70 },
+    { name: "wing_thickness", label: "Wing thickness", unit: "mm", min: 1, max: 10, step: 0.5, value: 3 },
+  ],
+  build: () => `k = length / 170;
+
+module fuselage() {
+  hull() {
+    scale([4 * k, 1.2 * k, 1.2 * k]) sphere(10);
+    translate([80 * k, 0, 0]) scale([3 * k, 1.1 * k, 1.1 * k]) sphere(8);
+    translate([140 * k, 0, 0]) scale([2 * k, k, k]) sphere(6);
+    translate([170 * k, 0, 0]) scale([1.2 * k, 0.9 * k, 0.9 * k]) sphere(4);
+  }
+}
+
+module canopy() {
+  translate([45 * k, 0, 12 * k])
+    scale([2.2 * k, 1.2 * k, k])
+      sphere(8);
+}
+
+module wings() {
+  translate([40 * k, 0, 4 * k])
+    linear_extrude(height = wing_thickness, center = true)
+      polygon(points = [[0, 0], [90 * k, wingspan / 2], [110 * k, 0], [90 * k, -wingspan / 2]]);
+}
+
+module tail() {
+  translate([130 * k, 0, 10 * k])
+    rotate([0, 90, 0])
+      linear_extrude(height = 4 * k, center = true)
+        polygon(points = [[0, 0], [18 * k, 6 * k], [0, 12 * k]]);
+}
+
+union() {
+  fuselage();
+  canopy();
+  wings();
+  tail();
+}
+`,
+};
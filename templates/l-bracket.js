@@ -0,0 +1,76 @@
+export default {
+  id: "l-bracket",
+  name: "L-bracket",
+  keywords: ["bracket", "l-bracket", "brace", "shelf"],
+  priority: 110,
+  sizeParameter: "leg_length",
+  promptParameters: {
+    length: "leg_length",
+    height: "upright_length",
+    width: "width",
+    thickness: "thickness",
+    rounded: "fillet_radius",
+    holes: { name: "holes_per_leg", convert: (count) => Math.ceil(count / 2) },
+  },
+  parameters: [
+    { name: "leg_length", label: "Base leg length", unit: "mm", min: 15, max: 200, step: 1, value: 40 },
+    { name: "upright_length", label: "Upright leg length", unit: "mm", min: 15, max: 200, step: 1, value: 40 },
+    { name: "width", label: "Width", unit: "mm", min: 8, max: 120, step: 1, value: 20 },
+    { name: "thickness", label: "Thickness", unit: "mm", min: 2, max: 12, step: 0.5, value: 4 },
+    { name: "fillet_radius", label: "Inside fillet radius", unit: "mm", min: 0, max: 20, step: 0.5, value: 4 },
+    { name: "holes_per_leg", label: "Holes per leg", unit: "", min: 0, max: 6, step: 1, value: 2 },
+    { name: "hole_columns", label: "Hole columns", unit: "", min: 1, max: 3, step: 1, value: 1 },
+    { name: "hole_diameter", label: "Hole diameter", unit: "mm", options: [3.4, 4.5, 5.5, 6.6], value: 4.5 },
+    { name: "gussets", label: "Side gussets", unit: "", type: "boolean", value: false },
+  ],
+  build: () => `gusset_thickness = thickness;
+
+function spread(count, start, end) =
+  count == 1 ? [(start + end) / 2] : [for (i = [0 : count - 1]) start + i * (end - start) / (count - 1)];
+
+module fillet() {
+  if (fillet_radius > 0)
+    translate([0, thickness, thickness])
+      difference() {
+        cube([width, fillet_radius, fillet_radius]);
+        translate([-1, fillet_radius, fillet_radius])
+          rotate([0, 90, 0])
+            cylinder(h = width + 2, r = fillet_radius);
+      }
+}
+
+module gusset() {
+  size = min(leg_length, upright_length) * 0.6;
+  rotate([90, 0, 90])
+    linear_extrude(height = gusset_thickness)
+      polygon([[0, 0], [size, 0], [0, size]]);
+}
+
+module bracket() {
+  cube([width, leg_length, thickness]);
+  cube([width, thickness, upright_length]);
+  fillet();
+  if (gussets) {
+    gusset();
+    translate([width - gusset_thickness, 0, 0]) gusset();
+  }
+}
+
+hole_start = thickness + fillet_radius + hole_diameter;
+hole_xs = spread(hole_columns, width / (hole_columns + 1), width - width / (hole_columns + 1));
+
+difference() {
+  bracket();
+  if (holes_per_leg > 0)
+    for (x = hole_xs) {
+      for (y = spread(holes_per_leg, hole_start, leg_length - hole_diameter * 1.2))
+        translate([x, y, -1])
+          cylinder(h = thickness + 2, d = hole_diameter);
+      for (z = spread(holes_per_leg, hole_start, upright_length - hole_diameter * 1.2))
+        translate([x, -1, z])
+          rotate([-90, 0, 0])
+            cylinder(h = thickness + 2, d = hole_diameter);
+    }
+}
+`,
+};
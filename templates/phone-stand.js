@@ -0,0 +1,32 @@
+export default {
+  id: "phone-stand",
+  name: "Phone stand",
+  keywords: ["phone", "stand", "holder"],
+  priority: 10,
+  sizeParameter: "width",
+  promptParameters: {
+    width: "width",
+    depth: "depth",
+    height: "height",
+    thickness: "thickness",
+  },
+  parameters: [
+    { name: "width", label: "Width", unit: "mm", min: 30, max: 250, step: 1, value: 80 },
+    { name: "depth", label: "Depth", unit: "mm", min: 30, max: 150, step: 1, value: 47 },
+    { name: "height", label: "Back height", unit: "mm", min: 20, max: 200, step: 1, value: 46 },
+    { name: "thickness", label: "Plate thickness", unit: "mm", min: 2, max: 15, step: 0.5, value: 6 },
+    { name: "lip_height", label: "Front lip height", unit: "mm", min: 2, max: 30, step: 0.5, value: 4 },
+  ],
+  build: () => `module stand() {
+  hull() {
+    cube([width, 20, thickness]);
+    translate([0, depth - 12, height - thickness])
+      cube([width, 12, thickness]);
+  }
+  translate([6, 5, thickness])
+    cube([width - 12, 10, lip_height]);
+}
+
+stand();
+`,
+};
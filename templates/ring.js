@@ -0,0 +1,22 @@
+export default {
+  id: "ring",
+  name: "Ring",
+  keywords: ["ring", "band", "torus"],
+  priority: 30,
+  sizeParameter: "inner_diameter",
+  promptParameters: {
+    diameter: "inner_diameter",
+    width: "band_width",
+    thickness: "thickness",
+  },
+  parameters: [
+    { name: "inner_diameter", label: "Inner diameter", unit: "mm", min: 10, max: 200, step: 0.1, value: 32 },
+    { name: "band_width", label: "Band width", unit: "mm", min: 1, max: 60, step: 0.5, value: 8 },
+    { name: "thickness", label: "Band thickness", unit: "mm", min: 0.8, max: 40, step: 0.1, value: 8 },
+  ],
+  build: () => `difference() {
+  cylinder(h = band_width, d = inner_diameter + 2 * thickness, center = true);
+  cylinder(h = band_width + 2, d = inner_diameter, center = true);
+}
+`,
+};
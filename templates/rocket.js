@@ -0,0 +1,34 @@
+export default {
+  id: "rocket",
+  name: "Rocket",
+  keywords: ["rocket", "missile", "space"],
+  priority: 50,
+  sizeParameter: "body_height",
+  promptParameters: {
+    height: "body_height",
+    length: "body_height",
+    diameter: "body_diameter",
+    fins: "fin_count",
+  },
+  parameters: [
+    { name: "body_height", label: "Body height", unit: "mm", min: 20, max: 400, step: 1, value: 90 },
+    { name: "body_diameter", label: "Body diameter", unit: "mm", min: 6, max: 150, step: 0.5, value: 24 },
+    { name: "nose_height", label: "Nose cone height", unit: "mm", min: 5, max: 150, step: 1, value: 24 },
+    { name: "fin_count", label: "Fin count", unit: "", min: 2, max: 8, step: 1, value: 3 },
+    { name: "fin_height", label: "Fin height", unit: "mm", min: 5, max: 150, step: 1, value: 24 },
+    { name: "fin_depth", label: "Fin depth", unit: "mm", min: 2, max: 60, step: 0.5, value: 8 },
+  ],
+  build: () => `module rocket() {
+  cylinder(h = body_height, d = body_diameter);
+  translate([0, 0, body_height])
+    cylinder(h = nose_height, d1 = body_diameter, d2 = 0);
+  for (i = [0 : fin_count - 1]) {
+    rotate([0, 0, i * 360 / fin_count])
+      translate([body_diameter / 2 - 1, -1, body_height * 0.22])
+        cube([fin_depth + 1, 2, fin_height]);
+  }
+}
+
+rocket();
+`,
+};
@@ -0,0 +1,29 @@
+export default {
+  id: "sculpture",
+  name: "Sculpture",
+  keywords: ["sculpture", "abstract", "art"],
+  priority: 0,
+  fallback: true,
+  sizeParameter: "main_diameter",
+  promptParameters: {
+    diameter: "main_diameter",
+    blobs: "blob_count",
+  },
+  parameters: [
+    { name: "main_diameter", label: "Main sphere diameter", unit: "mm", min: 10, max: 200, step: 1, value: 32 },
+    { name: "blob_count", label: "Extra blobs", unit: "", min: 1, max: 12, step: 1, value: 3 },
+    { name: "spread", label: "Blob spread", unit: "mm", min: 0, max: 150, step: 1, value: 20 },
+    { name: "seed", label: "Random seed", unit: "", min: 0, max: 1000, step: 1, value: 1 },
+  ],
+  build: () => `offsets = rands(-spread, spread, blob_count * 3, seed);
+radii = rands(main_diameter / 5, main_diameter * 0.4, blob_count, seed + 1);
+
+union() {
+  sphere(d = main_diameter);
+  for (i = [0 : blob_count - 1]) {
+    translate([offsets[i * 3], offsets[i * 3 + 1], abs(offsets[i * 3 + 2]) / 2])
+      sphere(radii[i]);
+  }
+}
+`,
+};
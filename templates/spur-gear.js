@@ -0,0 +1,59 @@
+export default {
+  id: "spur-gear",
+  name: "Spur gear",
+  keywords: ["gear", "cog", "spur", "sprocket"],
+  priority: 100,
+  sizeParameter: null,
+  promptParameters: {
+    teeth: "teeth",
+    thickness: "thickness",
+    height: "thickness",
+    bore: "bore_diameter",
+  },
+  parameters: [
+    { name: "gear_module", label: "Module", unit: "mm", min: 0.5, max: 5, step: 0.25, value: 2 },
+    { name: "teeth", label: "Tooth count", unit: "", min: 8, max: 120, step: 1, value: 20 },
+    { name: "thickness", label: "Face width", unit: "mm", min: 2, max: 50, step: 0.5, value: 6 },
+    { name: "pressure_angle", label: "Pressure angle", unit: "deg", options: [14.5, 20, 25], value: 20 },
+    { name: "bore_diameter", label: "Bore diameter", unit: "mm", min: 0, max: 50, step: 0.1, value: 5 },
+    { name: "backlash", label: "Backlash", unit: "mm", min: 0, max: 0.6, step: 0.05, value: 0.15 },
+    { name: "bore_clearance", label: "Bore clearance", unit: "mm", min: 0, max: 0.6, step: 0.05, value: 0.2 },
+  ],
+  build: () => `pitch_radius = gear_module * teeth / 2;
+base_radius = pitch_radius * cos(pressure_angle);
+outer_radius = pitch_radius + gear_module;
+root_radius = pitch_radius - 1.25 * gear_module;
+
+function involute(angle) = [
+  base_radius * (cos(angle) + angle * PI / 180 * sin(angle)),
+  base_radius * (sin(angle) - angle * PI / 180 * cos(angle))
+];
+function involute_angle(radius) = sqrt(pow(max(radius, base_radius) / base_radius, 2) - 1) * 180 / PI;
+function rotate_point(p, angle) = [p[0] * cos(angle) - p[1] * sin(angle), p[0] * sin(angle) + p[1] * cos(angle)];
+
+pitch_point = involute(involute_angle(pitch_radius));
+half_tooth = 90 / teeth - (backlash / 2) / pitch_radius * 180 / PI;
+flank_offset = -half_tooth - atan2(pitch_point[1], pitch_point[0]);
+tip_angle = involute_angle(outer_radius);
+steps = 12;
+
+module tooth() {
+  lower = [for (i = [0 : steps]) rotate_point(involute(tip_angle * i / steps), flank_offset)];
+  upper = [for (i = [steps : -1 : 0]) [lower[i][0], -lower[i][1]]];
+  root_lower = rotate_point([root_radius * 0.95, 0], flank_offset);
+  root_upper = [root_lower[0], -root_lower[1]];
+  polygon(concat([root_lower], lower, upper, [root_upper]));
+}
+
+linear_extrude(height = thickness)
+  difference() {
+    union() {
+      circle(r = root_radius);
+      for (i = [0 : teeth - 1])
+        rotate(i * 360 / teeth) tooth();
+    }
+    if (bore_diameter > 0)
+      circle(d = bore_diameter + bore_clearance);
+  }
+`,
+};
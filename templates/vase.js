@@ -0,0 +1,39 @@
+export default {
+  id: "vase",
+  name: "Vase",
+  keywords: ["vase", "cup", "bowl"],
+  priority: 20,
+  sizeParameter: "height",
+  promptParameters: {
+    height: "height",
+    diameter: "top_diameter",
+    thickness: "wall_thickness",
+    hollow: "hollow",
+  },
+  parameters: [
+    { name: "height", label: "Height", unit: "mm", min: 20, max: 400, step: 1, value: 55 },
+    { name: "base_diameter", label: "Base diameter", unit: "mm", min: 10, max: 300, step: 1, value: 36 },
+    { name: "waist_diameter", label: "Waist diameter", unit: "mm", min: 10, max: 300, step: 1, value: 28 },
+    { name: "top_diameter", label: "Top diameter", unit: "mm", min: 10, max: 300, step: 1, value: 44 },
+    { name: "wall_thickness", label: "Wall thickness", unit: "mm", min: 0.8, max: 10, step: 0.1, value: 2 },
+    { name: "hollow", label: "Hollow", unit: "", type: "boolean", value: true },
+  ],
+  build: () => `outline = [
+  [0, 0],
+  [base_diameter / 2, 0],
+  [waist_diameter / 2, height / 2],
+  [top_diameter / 2, height]
+];
+// Thick walls on a narrow vase would push the inner profile past the axis.
+function inner_radius(diameter) = max(diameter / 2 - wall_thickness, 0.1);
+inner = [
+  [inner_radius(top_diameter), height],
+  [inner_radius(waist_diameter), height / 2],
+  [inner_radius(base_diameter), wall_thickness],
+  [0, wall_thickness]
+];
+
+rotate_extrude(angle = 360)
+  polygon(points = hollow ? concat(outline, inner) : concat(outline, [[0, height]]));
+`,
+};
@@ -0,0 +1,248 @@
+const DEFAULT_MAX_EDITS = 2000;
+
+function splitLines(text) {
+  return text.replace(/\r\n?/g, "\n").split("\n");
+}
+
+function findEdits(before, after, maxEdits) {
+  const n = before.length;
+  const m = after.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push({ start: -d - 1, values: v.slice(offset - d - 1, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && before[x] === after[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const { start, values } = trace[d];
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && values[k - 1 - start] < values[k + 1 - start]) ? k + 1 : k - 1;
+    const previousX = values[previousK - start];
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      edits.push("equal");
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) {
+      edits.push(x === previousX ? "insert" : "delete");
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return edits.reverse();
+}
+
+// Lines that occur exactly once on each side, kept in the longest run that stays in order on
+// both sides (patience diff). They split an edit too large for Myers into smaller gaps.
+function findAnchors(before, after) {
+  const counts = new Map();
+  const count = (line, side) => {
+    const entry = counts.get(line) || { before: 0, after: 0, afterIndex: -1 };
+    entry[side] += 1;
+    counts.set(line, entry);
+    return entry;
+  };
+  before.forEach((line) => count(line, "before"));
+  after.forEach((line, index) => {
+    count(line, "after").afterIndex = index;
+  });
+
+  const piles = [];
+  const previous = [];
+  const candidates = [];
+  before.forEach((line, beforeIndex) => {
+    const entry = counts.get(line);
+    if (entry.before !== 1 || entry.after !== 1) {
+      return;
+    }
+    const candidate = candidates.length;
+    candidates.push([beforeIndex, entry.afterIndex]);
+    let low = 0;
+    let high = piles.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (candidates[piles[middle]][1] < entry.afterIndex) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[candidate] = low > 0 ? piles[low - 1] : -1;
+    piles[low] = candidate;
+  });
+
+  const anchors = [];
+  for (let index = piles[piles.length - 1] ?? -1; index >= 0; index = previous[index]) {
+    anchors.push(candidates[index]);
+  }
+  return anchors.reverse();
+}
+
+function diffRange(before, after, maxEdits) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+  const middleBefore = before.slice(prefix, before.length - suffix);
+  const middleAfter = after.slice(prefix, after.length - suffix);
+  const middle =
+    findEdits(middleBefore, middleAfter, maxEdits) ||
+    anchorEdits(middleBefore, middleAfter, maxEdits);
+  return [
+    ...new Array(prefix).fill("equal"),
+    ...middle,
+    ...new Array(suffix).fill("equal"),
+  ];
+}
+
+function anchorEdits(before, after, maxEdits) {
+  const anchors = findAnchors(before, after);
+  if (anchors.length === 0) {
+    return [...before.map(() => "delete"), ...after.map(() => "insert")];
+  }
+  const edits = [];
+  let x = 0;
+  let y = 0;
+  anchors.forEach(([anchorX, anchorY]) => {
+    diffRange(before.slice(x, anchorX), after.slice(y, anchorY), maxEdits).forEach((edit) => {
+      edits.push(edit);
+    });
+    edits.push("equal");
+    x = anchorX + 1;
+    y = anchorY + 1;
+  });
+  diffRange(before.slice(x), after.slice(y), maxEdits).forEach((edit) => edits.push(edit));
+  return edits;
+}
+
+function pushSegment(segments, type, beforeLine, afterLine) {
+  let segment = segments[segments.length - 1];
+  if (!segment || segment.type !== type) {
+    segment =
+      type === "equal"
+        ? { type, lines: [], beforeStart: beforeLine, afterStart: afterLine }
+        : { type, id: segments.length, removed: [], added: [], beforeStart: beforeLine, afterStart: afterLine };
+    segments.push(segment);
+  }
+  return segment;
+}
+
+export function diffLines(beforeText, afterText, { maxEdits = DEFAULT_MAX_EDITS } = {}) {
+  const before = splitLines(beforeText);
+  const after = splitLines(afterText);
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const middleBefore = before.slice(prefix, before.length - suffix);
+  const middleAfter = after.slice(prefix, after.length - suffix);
+  const edits =
+    findEdits(middleBefore, middleAfter, maxEdits) ||
+    anchorEdits(middleBefore, middleAfter, maxEdits);
+
+  const segments = [];
+  let b = 0;
+  let a = 0;
+  const emit = (type, line) => {
+    if (type === "equal") {
+      pushSegment(segments, "equal", b + 1, a + 1).lines.push(line);
+      b += 1;
+      a += 1;
+    } else {
+      const segment = pushSegment(segments, "change", b + 1, a + 1);
+      if (type === "delete") {
+        segment.removed.push(line);
+        b += 1;
+      } else {
+        segment.added.push(line);
+        a += 1;
+      }
+    }
+  };
+
+  before.slice(0, prefix).forEach((line) => emit("equal", line));
+  let x = 0;
+  let y = 0;
+  edits.forEach((type) => {
+    if (type === "equal") {
+      emit("equal", middleBefore[x]);
+      x += 1;
+      y += 1;
+    } else if (type === "delete") {
+      emit("delete", middleBefore[x]);
+      x += 1;
+    } else {
+      emit("insert", middleAfter[y]);
+      y += 1;
+    }
+  });
+  before.slice(before.length - suffix).forEach((line) => emit("equal", line));
+  return segments;
+}
+
+export function summarizeDiff(segments) {
+  return segments
+    .filter((segment) => segment.type === "change")
+    .reduce(
+      (summary, segment) => ({
+        hunks: summary.hunks + 1,
+        added: summary.added + segment.added.length,
+        removed: summary.removed + segment.removed.length,
+      }),
+      { hunks: 0, added: 0, removed: 0 }
+    );
+}
+
+export function mergeDiff(segments, rejected = new Set()) {
+  return segments
+    .flatMap((segment) => {
+      if (segment.type === "equal") {
+        return segment.lines;
+      }
+      return rejected.has(segment.id) ? segment.removed : segment.added;
+    })
+    .join("\n");
+}
@@ -0,0 +1,51 @@
+// Writes templates/manifest.json with every module in templates/ whose default export is a
+// template. Run it after adding a template; the Pages deploy runs it too.
+//   node tools/list-templates.mjs
+import { readFile, readdir, writeFile } from "node:fs/promises";
+
+const TEMPLATE_DIR = new URL("../templates/", import.meta.url);
+// The loader itself fetches the manifest, so it is never a template.
+const SKIPPED_FILES = ["index.js"];
+
+function isTemplate(value) {
+  return (
+    typeof value?.id === "string" &&
+    Array.isArray(value.keywords) &&
+    Array.isArray(value.parameters) &&
+    typeof value.build === "function"
+  );
+}
+
+// The site has no package.json marking .js as ES modules, so each file is imported from its
+// source as a data URL. Templates are self-contained; a helper with imports just fails here.
+function importSource(source) {
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+const files = (await readdir(TEMPLATE_DIR))
+  .filter((file) => file.endsWith(".js") && !SKIPPED_FILES.includes(file))
+  .sort();
+const listed = [];
+for (const file of files) {
+  const source = await readFile(new URL(file, TEMPLATE_DIR), "utf8");
+  try {
+    const module = await importSource(source);
+    if (isTemplate(module.default)) {
+      listed.push(file);
+    } else {
+      console.log(`Skipped ${file}: its default export is not a template.`);
+    }
+  } catch (error) {
+    // A broken template should stop the deploy, not vanish from the generator.
+    if (/\bexport\s+default\b/.test(source)) {
+      console.error(`Could not load ${file}: ${error.message}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`Skipped ${file}: ${error.message}`);
+    }
+  }
+}
+if (!process.exitCode) {
+  await writeFile(new URL("manifest.json", TEMPLATE_DIR), `${JSON.stringify(listed, null, 2)}\n`);
+  console.log(`Listed ${listed.length} templates in templates/manifest.json.`);
+}